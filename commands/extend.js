@@ -0,0 +1,133 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { config, embedColors } from '../config.js';
+import { getCurrentStreamingStatus } from '../utils/streamingAudioProcessor.js';
+import { extendSessionDeadline } from '../utils/sessionWatchdog.js';
+import { resolveGuildChannel } from '../utils/guildChannels.js';
+
+/**
+ * Extend Command - Pushes out the maximum-duration auto-stop of the current recording
+ */
+
+// Recordings may never run longer than this, extensions included
+const ABSOLUTE_MAX_HOURS = 24;
+
+export const data = new SlashCommandBuilder()
+  .setName('extend')
+  .setDescription('Extend the maximum duration of the current recording')
+  .addIntegerOption(option =>
+    option.setName('minutes')
+      .setDescription('Minutes to add before the recording stops automatically')
+      .setRequired(true)
+      .setMinValue(1)
+      .setMaxValue(config.recording.maxExtensionMinutes))
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels);
+
+export async function execute(interaction) {
+  try {
+    console.log(`⏳ [EXTEND] Extend command executed by ${interaction.user.tag}`);
+
+    await interaction.deferReply({ flags: [] });
+
+    // Permission check
+    if (!hasPermission(interaction)) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Permission Denied', 'You need "Manage Channels" permission or the required role to use this command.')]
+      });
+    }
+
+    const recordingStatus = getCurrentStreamingStatus(interaction.guildId);
+    if (!recordingStatus) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('⚠️ Not Recording', 'Bot is not currently recording in this server. Use `/join` to start a recording first.')]
+      });
+    }
+
+    const minutes = interaction.options.getInteger('minutes');
+    const absoluteLimit = recordingStatus.startTime + ABSOLUTE_MAX_HOURS * 60 * 60 * 1000;
+    if (recordingStatus.deadline + minutes * 60 * 1000 > absoluteLimit) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('⚠️ Extension Too Long', `Recordings cannot run longer than ${ABSOLUTE_MAX_HOURS} hours in total. The current limit is <t:${Math.floor(recordingStatus.deadline / 1000)}:t>.`)]
+      });
+    }
+
+    const newDeadline = extendSessionDeadline(interaction.client, recordingStatus.sessionId, minutes);
+    if (!newDeadline) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('⚠️ Not Recording', 'The recording is already stopping and can no longer be extended.')]
+      });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(embedColors.success)
+      .setTitle('⏳ Recording Extended')
+      .setDescription(`The recording will now stop automatically <t:${Math.floor(newDeadline / 1000)}:R>.`)
+      .addFields(
+        { name: '➕ Added', value: `${minutes} minutes`, inline: true },
+        { name: '🕐 New Limit', value: `<t:${Math.floor(newDeadline / 1000)}:F>`, inline: true }
+      )
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+
+    // Send status to this server's status channel
+    try {
+      const statusChannel = await resolveGuildChannel(interaction.client, interaction.guildId, 'status', interaction.channelId);
+      // The reply already shows in the channel the command was used in
+      if (statusChannel && statusChannel.id !== interaction.channelId) {
+        const statusEmbed = new EmbedBuilder()
+          .setColor(embedColors.info)
+          .setTitle('⏳ Recording Extended')
+          .setDescription(`${interaction.user.tag} extended the recording by ${minutes} minutes`)
+          .addFields(
+            { name: '🕐 New Limit', value: `<t:${Math.floor(newDeadline / 1000)}:F>`, inline: true },
+            { name: '🎯 Session', value: `\`${recordingStatus.sessionId}\``, inline: true }
+          )
+          .setTimestamp();
+
+        await statusChannel.send({ embeds: [statusEmbed] });
+      }
+    } catch (error) {
+      console.warn('⚠️ [EXTEND] Could not send status message:', error.message);
+    }
+
+  } catch (error) {
+    console.error('❌ [EXTEND] Extend command error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Creates an error embed
+ * @param {string} title - Error title
+ * @param {string} description - Error description
+ * @returns {EmbedBuilder} Error embed
+ */
+function createErrorEmbed(title, description) {
+  return new EmbedBuilder()
+    .setColor(embedColors.error)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp();
+}
+
+/**
+ * Checks if user has permission to use the command
+ * @param {Object} interaction - Discord interaction
+ * @returns {boolean} True if user has permission
+ */
+function hasPermission(interaction) {
+  // Check for Manage Channels permission
+  if (interaction.member?.permissions?.has?.(PermissionFlagsBits.ManageChannels)) {
+    return true;
+  }
+  // Check for specific role if configured
+  if (config.discord.allowedRoleId) {
+    return interaction.member?.roles?.cache?.has(config.discord.allowedRoleId);
+  }
+  return false;
+}
+
+export default {
+  data,
+  execute
+};
@@ -1,5 +1,6 @@
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { embedColors, config } from '../config.js';
+import { resolveGuildChannel } from '../utils/guildChannels.js';
 
 /**
  * Help Command - Shows bot usage instructions and available commands
@@ -22,7 +23,7 @@ export async function execute(interaction) {
       .addFields(
         {
           name: '📋 Available Commands',
-          value: `\`/join\` - Join your voice channel and start recording\\n\`/stop\` - Stop recording and generate meeting summary\\n\`/recording-status\` - Check current recording status\\n\`/help\` - Show this help message`,
+          value: `\`/join\` - Join your voice channel and start recording\\n\`/stop\` - Stop recording and generate meeting summary\\n\`/pause\` / \`/resume\` - Go off the record and back on without ending the session\\n\`/extend\` - Extend the maximum recording duration\\n\`/transcription-engine\` - Show or change this server's transcription engine\\n\`/vocabulary\` - Manage the names and jargon the transcriber should expect\\n\`/redaction\` - Manage the sensitive terms removed from transcripts and summaries\\n\`/language\` - Show or change the default meeting and summary languages\\n\`/optout\` / \`/optin\` - Stop or allow recording of your own voice in this server (anyone can use these)\\n\`/recording-status\` - Check current recording status\\n\`/help\` - Show this help message`,
           inline: false
         },
         {
@@ -44,7 +45,7 @@ export async function execute(interaction) {
         },
         {
           name: '📊 Limitations & Settings',
-          value: `• **Max Duration:** ${config.recording.maxDurationHours} hours\\n• **Auto-stop:** After ${config.recording.silenceTimeoutMinutes} minutes of silence\\n• **Max File Size:** ${config.recording.maxFileSizeMB} MB per user\\n• **Concurrent Transcriptions:** ${config.assemblyAI.maxConcurrent} max`,
+          value: `• **Max Duration:** ${config.recording.maxDurationHours} hours (warnings ${config.recording.durationWarningMinutes.join(' & ')} min before, \`/extend\` to continue)\\n• **Auto-stop:** After ${config.recording.silenceTimeoutMinutes} minutes of silence\\n• **Max File Size:** ${config.recording.maxFileSizeMB} MB per user\\n• **Concurrent Transcriptions:** ${config.assemblyAI.maxConcurrent} max`,
           inline: false
         },
         {
@@ -67,8 +68,9 @@ export async function execute(interaction) {
     
     // Send help request notification to status channel
     try {
-      const statusChannel = await interaction.client.channels.fetch(config.discord.statusChannelId);
-      if (statusChannel) {
+      const statusChannel = await resolveGuildChannel(interaction.client, interaction.guildId, 'status', interaction.channelId);
+      // The reply already shows in the channel the command was used in
+      if (statusChannel && statusChannel.id !== interaction.channelId) {
         const helpNotification = new EmbedBuilder()
           .setColor(embedColors.info)
           .setTitle('❓ Help Requested')
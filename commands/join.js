@@ -1,7 +1,12 @@
 import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
 import { joinVoiceChannel, VoiceConnectionStatus, entersState } from '@discordjs/voice';
 import { config, voiceConfig, embedColors } from '../config.js';
-import { startStreamingSession, getCurrentStreamingStatus, validateStreamingConfig } from '../utils/streamingAudioProcessor.js';
+import { startStreamingSession, getCurrentStreamingStatus, hasGuildStreamingSession, reserveGuildStreamingSession, releaseGuildStreamingSession, validateStreamingConfig } from '../utils/streamingAudioProcessor.js';
+import { startSilenceWatchdog, startDurationLimit } from '../utils/sessionWatchdog.js';
+import { SPOKEN_LANGUAGES, SUMMARY_LANGUAGES, getLanguageLabel } from '../utils/languages.js';
+import { isOptedOut } from '../utils/optOutRegistry.js';
+import { postConsentPrompt } from '../utils/consentGate.js';
+import { resolveGuildChannel } from '../utils/guildChannels.js';
 
 /**
  * Join Command - Makes the bot join a voice channel and start streaming transcription
@@ -10,6 +15,20 @@ import { startStreamingSession, getCurrentStreamingStatus, validateStreamingConf
 export const data = new SlashCommandBuilder()
   .setName('join')
   .setDescription('Join your voice channel and start recording the meeting')
+  .addStringOption(option =>
+    option.setName('language')
+      .setDescription('Language spoken in the meeting (defaults to this server\'s)')
+      .setRequired(false)
+      .addChoices(...SPOKEN_LANGUAGES.map(language => ({ name: language.label, value: language.code }))))
+  .addStringOption(option =>
+    option.setName('summary_language')
+      .setDescription('Language the summary is written in (defaults to this server\'s)')
+      .setRequired(false)
+      .addChoices(...SUMMARY_LANGUAGES.map(language => ({ name: language.label, value: language.code }))))
+  .addBooleanOption(option =>
+    option.setName('consent')
+      .setDescription('Ask every participant to accept before they are recorded')
+      .setRequired(false))
   .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels);
 
 export async function execute(interaction) {
@@ -35,6 +54,7 @@ export async function execute(interaction) {
     return;
   }
 
+  let reservedGuildId = null;
   try {
     console.log(`🎤 [JOIN] Join command executed by ${interaction.user.tag} in ${interaction.guild.name}`);
     
@@ -45,20 +65,33 @@ export async function execute(interaction) {
       });
     }
     
-    // Validate streaming configuration
-    if (!validateStreamingConfig()) {
+    // Validate streaming configuration, for the engine this server records with
+    if (!validateStreamingConfig(interaction.guild.id)) {
       return await interaction.editReply({
         embeds: [createErrorEmbed('❌ Configuration Error', 'Streaming transcription is not properly configured. Check API keys and settings.')]
       });
     }
     
-    // Check if bot is already recording
-    const currentStatus = getCurrentStreamingStatus();
+    // Check if bot is already recording in this server (other servers may record at the same time)
+    const currentStatus = getCurrentStreamingStatus(interaction.guild.id);
     if (currentStatus && currentStatus.active) {
       return await interaction.editReply({
-        embeds: [createErrorEmbed('🔴 Already Recording', `Bot is already recording. Use \`/stop\` to end the current recording first.`)]
+        embeds: [createErrorEmbed('🔴 Already Recording', `Bot is already recording in <#${currentStatus.channelId}>. Use \`/stop\` to end the current recording first.`)]
       });
     }
+    if (hasGuildStreamingSession(interaction.guild.id)) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('⏳ Still Processing', 'The previous recording in this server is still being summarized. Try again in a moment.')]
+      });
+    }
+
+    // Hold the guild while connecting, so a second /join cannot start another session on this connection
+    if (!reserveGuildStreamingSession(interaction.guild.id)) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('⏳ Already Starting', 'A recording is already being started in this server.')]
+      });
+    }
+    reservedGuildId = interaction.guild.id;
     
     // Get user's voice channel
     const member = await interaction.guild.members.fetch(interaction.user.id);
@@ -133,21 +166,36 @@ export async function execute(interaction) {
         return; // stop further setup
       }
       
-      // Update global presence and guild nickname to indicate recording
-      try {
-        const { setBotState } = await import('../utils/presence.js');
-        await setBotState(interaction.client, 'recording', interaction.guild.id);
-      } catch (error) {
-        console.warn('⚠️ [JOIN] Could not update bot presence/nickname:', error.message);
-      }
-      
       // Create unique session ID
       const sessionId = `${interaction.guild.id}_${Date.now()}`;
       const userIds = Array.from(otherMembers.keys());
+      const displayNames = new Map(otherMembers.map(m => [m.id, m.displayName]));
+      const requireConsent = interaction.options.getBoolean('consent') ?? config.recording.requireConsent;
       
       // Start streaming transcription session
       console.log(`🎯 [JOIN] Starting streaming session: ${sessionId}`);
-      const streamingSession = await startStreamingSession(sessionId, connection, userIds);
+      const streamingSession = await startStreamingSession(sessionId, connection, userIds, {
+        displayNames,
+        guildId: interaction.guild.id,
+        channelId: voiceChannel.id,
+        textChannelId: interaction.channelId,
+        language: interaction.options.getString('language') || undefined,
+        summaryLanguage: interaction.options.getString('summary_language') || undefined,
+        requireConsent
+      });
+
+      // Update global presence (counts every running session) and guild nickname to indicate recording
+      try {
+        const { setBotState } = await import('../utils/presence.js');
+        await setBotState(interaction.client, 'recording', interaction.guild.id);
+      } catch (error) {
+        console.warn('⚠️ [JOIN] Could not update bot presence/nickname:', error.message);
+      }
+
+      // Auto-stop (and summarize) after SILENCE_TIMEOUT_MINUTES without speech
+      // or when MAX_RECORDING_DURATION_HOURS is reached
+      startSilenceWatchdog(interaction.client, sessionId);
+      startDurationLimit(interaction.client, sessionId);
       
       console.log(`✅ [JOIN] Streaming session started with ${userIds.length} participants`);
       
@@ -161,17 +209,33 @@ export async function execute(interaction) {
           { name: '⏱️ Started By', value: interaction.user.tag, inline: true },
           { name: '🕐 Started At', value: `<t:${Math.floor(Date.now() / 1000)}:F>`, inline: true },
           { name: '🎯 Session ID', value: `\`${sessionId}\``, inline: false },
-          { name: '⚡ Technology', value: 'AssemblyAI Streaming API\\n(No file storage required!)', inline: true }
+          { name: '⚡ Technology', value: `${streamingSession.transcriber.data.provider.label}\\n(No file storage required!)`, inline: true },
+          { name: '🌐 Language', value: `**Spoken:** ${getLanguageLabel(streamingSession.transcriber.data.language)}\\n**Summary:** ${getLanguageLabel(streamingSession.transcriber.data.summaryLanguage)}`, inline: true }
         )
         .setFooter({ text: 'Use /stop to end recording and generate summary' })
         .setTimestamp();
       
+      if (requireConsent) {
+        embed.addFields({ name: '✋ Consent Mode', value: 'Participants are recorded only after they press Accept', inline: false });
+      }
+      
       await interaction.editReply({ embeds: [embed] });
+
+      // Consent mode: nobody was subscribed yet; ask everyone who has not opted out
+      if (requireConsent) {
+        try {
+          const askable = otherMembers.filter(m => !isOptedOut(interaction.guild.id, m.id));
+          await postConsentPrompt(interaction.channel, sessionId, [...askable.values()]);
+        } catch (error) {
+          console.error('❌ [JOIN] Could not post consent prompt:', error);
+        }
+      }
       
-      // Send status to designated status channel
+      // Send status to this server's status channel
       try {
-        const statusChannel = await interaction.client.channels.fetch(config.discord.statusChannelId);
-        if (statusChannel) {
+        const statusChannel = await resolveGuildChannel(interaction.client, interaction.guildId, 'status', interaction.channelId);
+        // The reply already shows in the channel the command was used in
+        if (statusChannel && statusChannel.id !== interaction.channelId) {
           const statusEmbed = new EmbedBuilder()
             .setColor(embedColors.success)
             .setTitle('🔴 Streaming Transcription Started')
@@ -189,14 +253,14 @@ export async function execute(interaction) {
         console.warn('⚠️ [JOIN] Could not send status message:', error.message);
       }
       
-      // Send Discord policy compliance warning to designated status channel
+      // Send Discord policy compliance warning to this server's status channel
       try {
-        const statusChannel = await interaction.client.channels.fetch(config.discord.statusChannelId);
+        const statusChannel = await resolveGuildChannel(interaction.client, interaction.guildId, 'status', interaction.channelId);
         if (statusChannel) {
           const warningEmbed = new EmbedBuilder()
             .setColor(embedColors.warning)
             .setTitle('🔴 Voice Recording Active')
-            .setDescription(`**Meeting recording is now active in ${voiceChannel.name}**\\n\\n⚠️ **Important Discord Policy Notice:**\\n• Bot can only record users who actively speak\\n• Recording requires participant awareness and consent\\n• All voice data will be transcribed and summarized\\n• Users can leave the channel to opt out\\n\\n**Technical Note:** If no audio is captured, ensure users are speaking clearly and the bot has proper permissions.\\n\\n✨ **New:** Using streaming transcription for real-time results!`)
+            .setDescription(`**Meeting recording is now active in ${voiceChannel.name}**\\n\\n⚠️ **Important Discord Policy Notice:**\\n• Bot can only record users who actively speak\\n• Recording requires participant awareness and consent\\n• All voice data will be transcribed and summarized\\n• Use \`/optout\` to never be recorded (or leave the channel)\\n\\n**Technical Note:** If no audio is captured, ensure users are speaking clearly and the bot has proper permissions.\\n\\n✨ **New:** Using streaming transcription for real-time results!`)
             .setFooter({ text: `Started by ${interaction.user.tag} • Use /stop to end recording` })
             .setTimestamp();
           
@@ -235,6 +299,9 @@ export async function execute(interaction) {
     console.error('❌ [JOIN] Fatal error in join command:', error);
     // Let the global error handler in index.js manage the interaction response
     throw error;
+  } finally {
+    // A started session now holds the guild itself; after a failure the guild is free again
+    if (reservedGuildId) releaseGuildStreamingSession(reservedGuildId);
   }
 }
 
@@ -0,0 +1,135 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { config, embedColors } from '../config.js';
+import { getGuildSettings, updateGuildSettings } from '../utils/guildSettings.js';
+import { SPOKEN_LANGUAGES, SUMMARY_LANGUAGES, getLanguageLabel, resolveGuildLanguages } from '../utils/languages.js';
+
+/**
+ * Language Command - Shows or changes the meeting and summary languages this server uses by default
+ */
+
+export const data = new SlashCommandBuilder()
+  .setName('language')
+  .setDescription('Show or change the default meeting and summary languages for this server')
+  .addStringOption(option =>
+    option.setName('spoken')
+      .setDescription('Language spoken in meetings')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Deployment default', value: 'default' },
+        ...SPOKEN_LANGUAGES.map(language => ({ name: language.label, value: language.code }))
+      ))
+  .addStringOption(option =>
+    option.setName('summary')
+      .setDescription('Language summaries are written in')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Deployment default', value: 'default' },
+        ...SUMMARY_LANGUAGES.map(language => ({ name: language.label, value: language.code }))
+      ))
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels);
+
+export async function execute(interaction) {
+  try {
+    console.log(`🌐 [LANGUAGE] Language command executed by ${interaction.user.tag}`);
+
+    await interaction.deferReply({ flags: [64] }); // 64 = EPHEMERAL flag
+
+    if (!interaction.guildId) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Server Only', 'This command can only be used in a server.')]
+      });
+    }
+
+    const spoken = interaction.options.getString('spoken');
+    const summary = interaction.options.getString('summary');
+
+    // No options: report the current choice
+    if (!spoken && !summary) {
+      const settings = getGuildSettings(interaction.guildId);
+      const current = resolveGuildLanguages(interaction.guildId);
+      const embed = new EmbedBuilder()
+        .setColor(embedColors.info)
+        .setTitle('🌐 Meeting Languages')
+        .setDescription('`/join` can override these for a single recording.')
+        .addFields(
+          { name: '🗣️ Spoken', value: `${getLanguageLabel(current.spoken)}${settings.language ? '' : ' (deployment default)'}`, inline: true },
+          { name: '📝 Summary', value: `${getLanguageLabel(current.summary)}${settings.summaryLanguage ? '' : ' (deployment default)'}`, inline: true }
+        )
+        .setTimestamp();
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    // Permission check
+    if (!hasPermission(interaction)) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Permission Denied', 'You need "Manage Channels" permission or the required role to change the meeting languages.')]
+      });
+    }
+
+    const changes = {};
+    if (spoken) changes.language = spoken === 'default' ? undefined : spoken;
+    if (summary) changes.summaryLanguage = summary === 'default' ? undefined : summary;
+    try {
+      await updateGuildSettings(interaction.guildId, changes);
+    } catch (saveError) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Not Saved', 'The meeting languages could not be saved, so they were not changed. Please try again.')]
+      });
+    }
+
+    const current = resolveGuildLanguages(interaction.guildId);
+    console.log(`🌐 [LANGUAGE] Guild ${interaction.guildId} now uses spoken=${current.spoken} summary=${current.summary}`);
+
+    const embed = new EmbedBuilder()
+      .setColor(embedColors.success)
+      .setTitle('🌐 Meeting Languages Updated')
+      .setDescription('New recordings in this server will use these languages. Recordings already running keep theirs.')
+      .addFields(
+        { name: '🗣️ Spoken', value: getLanguageLabel(current.spoken), inline: true },
+        { name: '📝 Summary', value: getLanguageLabel(current.summary), inline: true }
+      )
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+
+  } catch (error) {
+    console.error('❌ [LANGUAGE] Language command error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Creates an error embed
+ * @param {string} title - Error title
+ * @param {string} description - Error description
+ * @returns {EmbedBuilder} Error embed
+ */
+function createErrorEmbed(title, description) {
+  return new EmbedBuilder()
+    .setColor(embedColors.error)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp();
+}
+
+/**
+ * Checks if user has permission to use the command
+ * @param {Object} interaction - Discord interaction
+ * @returns {boolean} True if user has permission
+ */
+function hasPermission(interaction) {
+  // Check for Manage Channels permission
+  if (interaction.member?.permissions?.has?.(PermissionFlagsBits.ManageChannels)) {
+    return true;
+  }
+  // Check for specific role if configured
+  if (config.discord.allowedRoleId) {
+    return interaction.member?.roles?.cache?.has(config.discord.allowedRoleId);
+  }
+  return false;
+}
+
+export default {
+  data,
+  execute
+};
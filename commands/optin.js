@@ -0,0 +1,85 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { embedColors } from '../config.js';
+import { setOptedOut } from '../utils/optOutRegistry.js';
+import { findStreamingSessionByChannel, addUserToStreamingSession } from '../utils/streamingAudioProcessor.js';
+
+/**
+ * Opt-in Command - Lets a member who used /optout be recorded again in this server
+ */
+
+export const data = new SlashCommandBuilder()
+  .setName('optin')
+  .setDescription('Allow your voice to be recorded and transcribed in this server again');
+
+export async function execute(interaction) {
+  try {
+    console.log(`🎙️ [OPTIN] Opt-in command executed by ${interaction.user.tag}`);
+
+    await interaction.deferReply({ flags: [64] }); // 64 = EPHEMERAL flag
+
+    if (!interaction.guildId) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Server Only', 'This command can only be used in a server.')]
+      });
+    }
+
+    let changed;
+    try {
+      changed = await setOptedOut(interaction.guildId, interaction.user.id, false);
+    } catch (saveError) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Not Saved', 'Your opt-in could not be saved, so you are still opted out. Please try again.')]
+      });
+    }
+    if (!changed) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('ℹ️ Not Opted Out', 'You have not opted out; meetings recorded in this server include your voice.')]
+      });
+    }
+
+    // Start recording right away if the member is in a channel being recorded
+    let startedRecording = false;
+    const voiceChannelId = interaction.member?.voice?.channelId;
+    const session = voiceChannelId ? findStreamingSessionByChannel(voiceChannelId) : null;
+    if (session) {
+      const displayName = interaction.member?.displayName || interaction.user.username;
+      startedRecording = await addUserToStreamingSession(session.sessionId, interaction.user.id, displayName);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(embedColors.success)
+      .setTitle('🎙️ Opted In to Recording')
+      .setDescription('Meetings recorded in this server will include your voice again.')
+      .setFooter({ text: 'Use /optout to stop being recorded' })
+      .setTimestamp();
+
+    if (startedRecording) {
+      embed.addFields({ name: '🔴 Current Recording', value: 'You are now being recorded in this meeting.', inline: false });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+
+  } catch (error) {
+    console.error('❌ [OPTIN] Opt-in command error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Creates an error embed
+ * @param {string} title - Error title
+ * @param {string} description - Error description
+ * @returns {EmbedBuilder} Error embed
+ */
+function createErrorEmbed(title, description) {
+  return new EmbedBuilder()
+    .setColor(embedColors.error)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp();
+}
+
+export default {
+  data,
+  execute
+};
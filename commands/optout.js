@@ -0,0 +1,84 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { embedColors } from '../config.js';
+import { setOptedOut } from '../utils/optOutRegistry.js';
+import { findStreamingSessionByChannel, removeUserFromStreamingSession } from '../utils/streamingAudioProcessor.js';
+import { markParticipantUnrecorded } from '../utils/streamingTranscription.js';
+
+/**
+ * Opt-out Command - Stops the bot from ever recording the member who runs it in this server
+ */
+
+export const data = new SlashCommandBuilder()
+  .setName('optout')
+  .setDescription('Never record or transcribe your voice in this server');
+
+export async function execute(interaction) {
+  try {
+    console.log(`🙈 [OPTOUT] Opt-out command executed by ${interaction.user.tag}`);
+
+    await interaction.deferReply({ flags: [64] }); // 64 = EPHEMERAL flag
+
+    if (!interaction.guildId) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Server Only', 'This command can only be used in a server.')]
+      });
+    }
+
+    let changed;
+    try {
+      changed = await setOptedOut(interaction.guildId, interaction.user.id, true);
+    } catch (saveError) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Not Saved', 'Your opt-out could not be saved, so nothing changed. Please try again, or leave the channel to stop being recorded.')]
+      });
+    }
+
+    // Stop recording right away if the member is in a channel being recorded
+    let stoppedRecording = false;
+    const voiceChannelId = interaction.member?.voice?.channelId;
+    const session = voiceChannelId ? findStreamingSessionByChannel(voiceChannelId) : null;
+    if (session) {
+      const displayName = interaction.member?.displayName || interaction.user.username;
+      stoppedRecording = await removeUserFromStreamingSession(session.sessionId, interaction.user.id);
+      markParticipantUnrecorded(session.sessionId, interaction.user.id, displayName);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(embedColors.success)
+      .setTitle('🙈 Opted Out of Recording')
+      .setDescription(changed
+        ? 'The bot will not record or transcribe your voice in this server. Meeting summaries will only note that you were present.'
+        : 'You had already opted out; the bot does not record or transcribe your voice in this server.')
+      .setFooter({ text: 'Use /optin to be recorded again' })
+      .setTimestamp();
+
+    if (stoppedRecording) {
+      embed.addFields({ name: '⏹️ Current Recording', value: 'Stopped recording you. What you said before now stays in this meeting\'s transcript.', inline: false });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+
+  } catch (error) {
+    console.error('❌ [OPTOUT] Opt-out command error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Creates an error embed
+ * @param {string} title - Error title
+ * @param {string} description - Error description
+ * @returns {EmbedBuilder} Error embed
+ */
+function createErrorEmbed(title, description) {
+  return new EmbedBuilder()
+    .setColor(embedColors.error)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp();
+}
+
+export default {
+  data,
+  execute
+};
@@ -0,0 +1,121 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { config, embedColors } from '../config.js';
+import { getCurrentStreamingStatus, pauseStreamingSession } from '../utils/streamingAudioProcessor.js';
+import { setBotState } from '../utils/presence.js';
+import { resolveGuildChannel } from '../utils/guildChannels.js';
+
+/**
+ * Pause Command - Takes the meeting off the record without ending the session
+ */
+
+export const data = new SlashCommandBuilder()
+  .setName('pause')
+  .setDescription('Go off the record: stop transcribing and saving audio until /resume')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels);
+
+export async function execute(interaction) {
+  try {
+    console.log(`⏸️ [PAUSE] Pause command executed by ${interaction.user.tag}`);
+
+    await interaction.deferReply({ flags: [] });
+
+    // Permission check
+    if (!hasPermission(interaction)) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Permission Denied', 'You need "Manage Channels" permission or the required role to use this command.')]
+      });
+    }
+
+    const recordingStatus = getCurrentStreamingStatus(interaction.guildId);
+    if (!recordingStatus) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('⚠️ Not Recording', 'Bot is not currently recording in this server. Use `/join` to start a recording first.')]
+      });
+    }
+
+    if (recordingStatus.paused) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('⏸️ Already Paused', `The recording has been paused since <t:${Math.floor(recordingStatus.pausedAt / 1000)}:t>. Use \`/resume\` to go back on the record.`)]
+      });
+    }
+
+    const actor = { userId: interaction.user.id, displayName: interaction.member?.displayName || interaction.user.username };
+    if (!pauseStreamingSession(recordingStatus.sessionId, actor)) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('⚠️ Cannot Pause', 'The recording is stopping and can no longer be paused.')]
+      });
+    }
+
+    await setBotState(interaction.client, 'paused', recordingStatus.guildId);
+
+    const embed = new EmbedBuilder()
+      .setColor(embedColors.warning)
+      .setTitle('⏸️ Recording Paused')
+      .setDescription('The meeting is off the record. Nothing is transcribed or saved until someone uses `/resume`; the bot stays in the channel.')
+      .addFields(
+        { name: '👤 Paused by', value: actor.displayName, inline: true },
+        { name: '⏹️ Auto-stop', value: `Still <t:${Math.floor(recordingStatus.deadline / 1000)}:R>`, inline: true }
+      )
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+
+    // Send status to this server's status channel
+    try {
+      const statusChannel = await resolveGuildChannel(interaction.client, interaction.guildId, 'status', interaction.channelId);
+      // The reply already shows in the channel the command was used in
+      if (statusChannel && statusChannel.id !== interaction.channelId) {
+        const statusEmbed = new EmbedBuilder()
+          .setColor(embedColors.info)
+          .setTitle('⏸️ Recording Paused')
+          .setDescription(`${interaction.user.tag} paused the recording`)
+          .addFields({ name: '🎯 Session', value: `\`${recordingStatus.sessionId}\``, inline: true })
+          .setTimestamp();
+
+        await statusChannel.send({ embeds: [statusEmbed] });
+      }
+    } catch (error) {
+      console.warn('⚠️ [PAUSE] Could not send status message:', error.message);
+    }
+
+  } catch (error) {
+    console.error('❌ [PAUSE] Pause command error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Creates an error embed
+ * @param {string} title - Error title
+ * @param {string} description - Error description
+ * @returns {EmbedBuilder} Error embed
+ */
+function createErrorEmbed(title, description) {
+  return new EmbedBuilder()
+    .setColor(embedColors.error)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp();
+}
+
+/**
+ * Checks if user has permission to use the command
+ * @param {Object} interaction - Discord interaction
+ * @returns {boolean} True if user has permission
+ */
+function hasPermission(interaction) {
+  // Check for Manage Channels permission
+  if (interaction.member?.permissions?.has?.(PermissionFlagsBits.ManageChannels)) {
+    return true;
+  }
+  // Check for specific role if configured
+  if (config.discord.allowedRoleId) {
+    return interaction.member?.roles?.cache?.has(config.discord.allowedRoleId);
+  }
+  return false;
+}
+
+export default {
+  data,
+  execute
+};
@@ -1,7 +1,8 @@
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { getCurrentStreamingStatus, getStreamingSessionStats } from '../utils/streamingAudioProcessor.js';
 import { getStreamingStats } from '../utils/streamingTranscription.js';
-import { embedColors, config } from '../config.js';
+import { embedColors } from '../config.js';
+import { resolveGuildChannel } from '../utils/guildChannels.js';
 
 /**
  * Recording Status Command - Shows current recording status and statistics
@@ -17,18 +18,18 @@ export async function execute(interaction) {
     
     await interaction.deferReply({ flags: [64] }); // 64 = EPHEMERAL flag
     
-    const streamingStatus = getCurrentStreamingStatus();
+    // Only this server's session; other servers may be recording at the same time
+    const streamingStatus = interaction.guildId ? getCurrentStreamingStatus(interaction.guildId) : null;
     const sessionStats = getStreamingSessionStats();
-    const transcriptionStats = getStreamingStats();
     
     if (!streamingStatus) {
       // Not recording
       const embed = new EmbedBuilder()
         .setColor(embedColors.info)
         .setTitle('🔘 Recording Status: Inactive')
-        .setDescription('Bot is not currently recording in any voice channel.')
+        .setDescription('Bot is not currently recording in any voice channel in this server.')
         .addFields(
-          { name: '📊 System Status', value: `**Active Sessions:** ${sessionStats.activeSessions}\\n**Total Streams:** ${sessionStats.totalStreams}\\n**System Ready:** ✅`, inline: true },
+          { name: '📊 System Status', value: `**Active Sessions (all servers):** ${sessionStats.activeSessions}\\n**Total Streams:** ${sessionStats.totalStreams}\\n**System Ready:** ✅`, inline: true },
           { name: '⚡ Streaming Mode', value: `**AssemblyAI:** Ready\\n**Real-time:** Enabled\\n**File Storage:** Not needed`, inline: true }
         )
         .setFooter({ text: 'Use /join to start streaming transcription in your voice channel' })
@@ -37,51 +38,52 @@ export async function execute(interaction) {
       return await interaction.editReply({ embeds: [embed] });
     }
     
+    const transcriptionStats = getStreamingStats(streamingStatus.sessionId);
+    const pipeline = sessionStats.sessions.find(session => session.sessionId === streamingStatus.sessionId)?.metrics;
+    const memoryUsage = process.memoryUsage();
+    const toMB = (bytes) => Math.round(bytes / 1024 / 1024);
+
     // Currently recording
     const embed = new EmbedBuilder()
       .setColor(embedColors.recording)
-      .setTitle('🔴 Recording Status: Active')
-      .setDescription(`Currently recording in **${recordingStatus.channelName}**`)
+      .setTitle(streamingStatus.paused ? '⏸️ Recording Status: Paused' : '🔴 Recording Status: Active')
+      .setDescription(`Currently recording in <#${streamingStatus.channelId}>`)
       .addFields(
         { 
           name: '⏱️ Recording Info', 
-          value: `**Duration:** ${formatDuration(recordingStatus.duration)}\\n**Started by:** ${recordingStatus.initiatedBy}\\n**Started at:** <t:${Math.floor(recordingStatus.startTime / 1000)}:F>`, 
+          value: `**Duration:** ${formatDuration(streamingStatus.duration)}\\n**Started at:** <t:${Math.floor(streamingStatus.startTime / 1000)}:F>\\n**Auto-stop:** <t:${Math.floor(streamingStatus.deadline / 1000)}:R>${streamingStatus.paused ? `\\n**Paused since:** <t:${Math.floor(streamingStatus.pausedAt / 1000)}:t>` : ''}`, 
           inline: true 
         },
         { 
           name: '👥 Participants', 
-          value: `**Current:** ${recordingStatus.participants}\\n**Active Streams:** ${recordingStats.activeRecordings}`, 
+          value: `**Current:** ${streamingStatus.participants}\\n**Transcribing:** ${transcriptionStats ? transcriptionStats.speakers.filter(speaker => speaker.isConnected).length : 0}`, 
           inline: true 
         },
         { 
           name: '📊 System Status', 
-          value: `**Memory:** ${memoryUsage.heapUsed}/${memoryUsage.heapTotal} MB\\n**RSS:** ${memoryUsage.rss} MB\\n**Files:** ${cleanupStats.trackedFiles}`, 
+          value: `**Memory:** ${toMB(memoryUsage.heapUsed)}/${toMB(memoryUsage.heapTotal)} MB\\n**RSS:** ${toMB(memoryUsage.rss)} MB`, 
           inline: false 
         }
       );
     
-    // Add participant details if available
-    if (recordingStats.users && recordingStats.users.length > 0) {
-      const participantList = recordingStats.users
-        .map(user => `• **${user.username}**: ${formatDuration(user.duration)}`)
+    // Per-user pipeline counters: where each speaker's audio got to
+    if (pipeline && pipeline.users.length > 0) {
+      const speakers = new Map((transcriptionStats?.speakers || []).map(speaker => [speaker.userId, speaker]));
+      const pipelineList = pipeline.users
+        .map(user => {
+          const level = speakers.get(user.userId)?.inputLevel;
+          const mic = level && level.speechDb !== null ? ` · mic ${level.speechDb} dBFS${level.tooQuiet ? ' ⚠️ too quiet' : ''}` : '';
+          return `• **${user.displayName}**: ${user.opusPackets} packets → ${user.framesSent} sent, ${user.framesGated} silent, ${user.packetsDeduped} deduped, ${user.framesConcealed} concealed, ${user.framesBuffered} buffered, ${user.sendFailures} failed${mic}`;
+        })
         .join('\\n');
       
       embed.addFields({
-        name: '🎤 Individual Recordings',
-        value: participantList.substring(0, 1000),
+        name: '🎤 Audio Pipeline',
+        value: pipelineList.substring(0, 1000),
         inline: false
       });
     }
     
-    // Add transcription queue info
-    if (transcriptionStats.activeTranscriptions > 0) {
-      embed.addFields({
-        name: '🔄 Transcription Queue',
-        value: `**Active:** ${transcriptionStats.activeTranscriptions}/${transcriptionStats.maxConcurrent}\\n**Concurrent Requests:** ${transcriptionStats.concurrentRequests}`,
-        inline: true
-      });
-    }
-    
     embed.setFooter({ text: 'Use /stop to end recording and generate summary' })
          .setTimestamp();
     
@@ -89,8 +91,9 @@ export async function execute(interaction) {
     
     // Send status check notification to status channel
     try {
-      const statusChannel = await interaction.client.channels.fetch(config.discord.statusChannelId);
-      if (statusChannel) {
+      const statusChannel = await resolveGuildChannel(interaction.client, interaction.guildId, 'status', interaction.channelId);
+      // The reply already shows in the channel the command was used in
+      if (statusChannel && statusChannel.id !== interaction.channelId) {
         const statusNotification = new EmbedBuilder()
           .setColor(embedColors.info)
           .setTitle('📊 Status Check Requested')
@@ -0,0 +1,175 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { config, embedColors } from '../config.js';
+import {
+  getGuildSensitiveTerms,
+  addSensitiveTerm,
+  removeSensitiveTerm,
+  PII_DETECTORS,
+  MAX_SENSITIVE_TERMS,
+  MAX_SENSITIVE_TERM_LENGTH
+} from '../utils/redaction.js';
+
+/**
+ * Redaction Command - Manages the server's sensitive terms, removed from transcripts and summaries
+ */
+
+export const data = new SlashCommandBuilder()
+  .setName('redaction')
+  .setDescription('Manage the sensitive terms removed from this server\'s transcripts and summaries')
+  .addSubcommand(subcommand =>
+    subcommand.setName('add')
+      .setDescription('Redact a word or phrase, e.g. a project codename')
+      .addStringOption(option =>
+        option.setName('term')
+          .setDescription('The word or phrase to redact (matched case-insensitively)')
+          .setRequired(true)
+          .setMaxLength(MAX_SENSITIVE_TERM_LENGTH)))
+  .addSubcommand(subcommand =>
+    subcommand.setName('remove')
+      .setDescription('Stop redacting a term')
+      .addStringOption(option =>
+        option.setName('term')
+          .setDescription('The term to remove')
+          .setRequired(true)))
+  .addSubcommand(subcommand =>
+    subcommand.setName('list')
+      .setDescription('List this server\'s sensitive terms and the PII detectors in use'))
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels);
+
+export async function execute(interaction) {
+  try {
+    const subcommand = interaction.options.getSubcommand();
+    console.log(`🔒 [REDACTION] Redaction ${subcommand} executed by ${interaction.user.tag}`);
+
+    await interaction.deferReply({ flags: [64] }); // 64 = EPHEMERAL flag
+
+    if (!interaction.guildId) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Server Only', 'This command can only be used in a server.')]
+      });
+    }
+
+    // The terms themselves are sensitive, so even listing them needs permission
+    if (!hasPermission(interaction)) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Permission Denied', 'You need "Manage Channels" permission or the required role to manage redaction.')]
+      });
+    }
+
+    if (subcommand === 'list') {
+      const terms = getGuildSensitiveTerms(interaction.guildId);
+      const detectors = config.redaction.enabled
+        ? PII_DETECTORS.filter(detector => config.redaction.types.includes(detector.type)).map(detector => `${detector.label} ${detector.type}`)
+        : [];
+      const embed = new EmbedBuilder()
+        .setColor(embedColors.info)
+        .setTitle(`🔒 Sensitive Terms (${terms.length}/${MAX_SENSITIVE_TERMS})`)
+        .setDescription(terms.length > 0 ? terms.map(term => `• ${term}`).join('\n').substring(0, 4000) : 'No terms yet. Add one with `/redaction add`.')
+        .addFields({ name: '🕵️ PII Detectors', value: detectors.length > 0 ? detectors.join('\n') : 'Off (set `REDACT_PII=true` to enable)', inline: false })
+        .setTimestamp();
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    const term = interaction.options.getString('term').trim();
+
+    if (subcommand === 'remove') {
+      let removed;
+      try {
+        removed = await removeSensitiveTerm(interaction.guildId, term);
+      } catch (saveError) {
+        return await interaction.editReply({
+          embeds: [createErrorEmbed('❌ Not Saved', `The sensitive terms could not be saved, so **${term}** is still redacted. Please try again.`)]
+        });
+      }
+      if (!removed) {
+        return await interaction.editReply({
+          embeds: [createErrorEmbed('❌ Not Found', `**${term}** is not one of this server's sensitive terms.`)]
+        });
+      }
+      console.log(`🔒 [REDACTION] Guild ${interaction.guildId} removed a sensitive term`);
+      const embed = new EmbedBuilder()
+        .setColor(embedColors.success)
+        .setTitle('🔒 Term Removed')
+        .setDescription(`**${term}** is no longer redacted. Recordings already running keep their list.`)
+        .setTimestamp();
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    // add
+    if (!term) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Invalid Term', `Terms must be between 1 and ${MAX_SENSITIVE_TERM_LENGTH} characters.`)]
+      });
+    }
+
+    if (getGuildSensitiveTerms(interaction.guildId).length >= MAX_SENSITIVE_TERMS) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ List Full', `This server already has ${MAX_SENSITIVE_TERMS} sensitive terms. Remove one before adding another.`)]
+      });
+    }
+
+    let added;
+    try {
+      added = await addSensitiveTerm(interaction.guildId, term);
+    } catch (saveError) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Not Saved', `The sensitive terms could not be saved, so **${term}** was not added. Please try again.`)]
+      });
+    }
+    if (!added) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('ℹ️ Already Listed', `**${term}** is already redacted.`)]
+      });
+    }
+    // The term itself is not logged
+    console.log(`🔒 [REDACTION] Guild ${interaction.guildId} added a sensitive term`);
+
+    const embed = new EmbedBuilder()
+      .setColor(embedColors.success)
+      .setTitle('🔒 Term Added')
+      .setDescription(`New recordings in this server will replace **${term}** with \`[SENSITIVE_TERM]\` in the transcript and summary.`)
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+
+  } catch (error) {
+    console.error('❌ [REDACTION] Redaction command error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Creates an error embed
+ * @param {string} title - Error title
+ * @param {string} description - Error description
+ * @returns {EmbedBuilder} Error embed
+ */
+function createErrorEmbed(title, description) {
+  return new EmbedBuilder()
+    .setColor(embedColors.error)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp();
+}
+
+/**
+ * Checks if user has permission to use the command
+ * @param {Object} interaction - Discord interaction
+ * @returns {boolean} True if user has permission
+ */
+function hasPermission(interaction) {
+  // Check for Manage Channels permission
+  if (interaction.member?.permissions?.has?.(PermissionFlagsBits.ManageChannels)) {
+    return true;
+  }
+  // Check for specific role if configured
+  if (config.discord.allowedRoleId) {
+    return interaction.member?.roles?.cache?.has(config.discord.allowedRoleId);
+  }
+  return false;
+}
+
+export default {
+  data,
+  execute
+};
@@ -0,0 +1,143 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { config, embedColors } from '../config.js';
+import { getCurrentStreamingStatus, resumeStreamingSession } from '../utils/streamingAudioProcessor.js';
+import { setBotState } from '../utils/presence.js';
+import { resolveGuildChannel } from '../utils/guildChannels.js';
+
+/**
+ * Resume Command - Puts a paused meeting back on the record
+ */
+
+export const data = new SlashCommandBuilder()
+  .setName('resume')
+  .setDescription('Go back on the record after /pause')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels);
+
+export async function execute(interaction) {
+  try {
+    console.log(`▶️ [RESUME] Resume command executed by ${interaction.user.tag}`);
+
+    await interaction.deferReply({ flags: [] });
+
+    // Permission check
+    if (!hasPermission(interaction)) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Permission Denied', 'You need "Manage Channels" permission or the required role to use this command.')]
+      });
+    }
+
+    const recordingStatus = getCurrentStreamingStatus(interaction.guildId);
+    if (!recordingStatus) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('⚠️ Not Recording', 'Bot is not currently recording in this server. Use `/join` to start a recording first.')]
+      });
+    }
+
+    if (!recordingStatus.paused) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('▶️ Not Paused', 'The recording is already running. Use `/pause` to go off the record.')]
+      });
+    }
+
+    const actor = { userId: interaction.user.id, displayName: interaction.member?.displayName || interaction.user.username };
+    const pausedMs = resumeStreamingSession(recordingStatus.sessionId, actor);
+    if (pausedMs === null) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('⚠️ Cannot Resume', 'The recording is stopping and can no longer be resumed.')]
+      });
+    }
+
+    await setBotState(interaction.client, 'recording', recordingStatus.guildId);
+
+    const embed = new EmbedBuilder()
+      .setColor(embedColors.recording)
+      .setTitle('▶️ Recording Resumed')
+      .setDescription('The meeting is back on the record. The paused interval is marked in the transcript.')
+      .addFields(
+        { name: '👤 Resumed by', value: actor.displayName, inline: true },
+        { name: '⏸️ Paused for', value: formatDuration(pausedMs), inline: true }
+      )
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+
+    // Send status to this server's status channel
+    try {
+      const statusChannel = await resolveGuildChannel(interaction.client, interaction.guildId, 'status', interaction.channelId);
+      // The reply already shows in the channel the command was used in
+      if (statusChannel && statusChannel.id !== interaction.channelId) {
+        const statusEmbed = new EmbedBuilder()
+          .setColor(embedColors.info)
+          .setTitle('▶️ Recording Resumed')
+          .setDescription(`${interaction.user.tag} resumed the recording after ${formatDuration(pausedMs)}`)
+          .addFields({ name: '🎯 Session', value: `\`${recordingStatus.sessionId}\``, inline: true })
+          .setTimestamp();
+
+        await statusChannel.send({ embeds: [statusEmbed] });
+      }
+    } catch (error) {
+      console.warn('⚠️ [RESUME] Could not send status message:', error.message);
+    }
+
+  } catch (error) {
+    console.error('❌ [RESUME] Resume command error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Formats duration in milliseconds to readable string
+ * @param {number} duration - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(duration) {
+  if (!duration || duration <= 0) return '0s';
+
+  const seconds = Math.floor(duration / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+
+  if (hours > 0) {
+    return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+  } else if (minutes > 0) {
+    return `${minutes}m ${seconds % 60}s`;
+  } else {
+    return `${seconds}s`;
+  }
+}
+
+/**
+ * Creates an error embed
+ * @param {string} title - Error title
+ * @param {string} description - Error description
+ * @returns {EmbedBuilder} Error embed
+ */
+function createErrorEmbed(title, description) {
+  return new EmbedBuilder()
+    .setColor(embedColors.error)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp();
+}
+
+/**
+ * Checks if user has permission to use the command
+ * @param {Object} interaction - Discord interaction
+ * @returns {boolean} True if user has permission
+ */
+function hasPermission(interaction) {
+  // Check for Manage Channels permission
+  if (interaction.member?.permissions?.has?.(PermissionFlagsBits.ManageChannels)) {
+    return true;
+  }
+  // Check for specific role if configured
+  if (config.discord.allowedRoleId) {
+    return interaction.member?.roles?.cache?.has(config.discord.allowedRoleId);
+  }
+  return false;
+}
+
+export default {
+  data,
+  execute
+};
@@ -1,8 +1,7 @@
 import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
 import { config, embedColors } from '../config.js';
 import { getCurrentStreamingStatus } from '../utils/streamingAudioProcessor.js';
-import { stopStreamingSession } from '../utils/streamingAudioProcessor.js';
-import { generateMeetingSummary } from '../utils/summarizer.js';
+import { finalizeStreamingSession } from '../utils/sessionFinalizer.js';
 
 /**
  * Stop Command - Stops streaming recording and processes transcription/summary
@@ -42,17 +41,12 @@ export async function execute(interaction) {
     }
     
     // Check if bot is recording
-    const recordingStatus = getCurrentStreamingStatus();
+    const recordingStatus = getCurrentStreamingStatus(interaction.guildId);
     if (!recordingStatus) {
       return await interaction.editReply({
-        embeds: [createErrorEmbed('⚠️ Not Recording', 'Bot is not currently recording. Use `/join` to start a recording first.')]
+        embeds: [createErrorEmbed('⚠️ Not Recording', 'Bot is not currently recording in this server. Use `/join` to start a recording first.')]
       });
     }
-    // Track processing errors and results
-    let processingError = null;
-    let finalTranscript = null;
-    let meetingSummary = null;
-    
     // Send initial processing message
     const processingEmbed = new EmbedBuilder()
       .setColor(embedColors.warning)
@@ -69,207 +63,20 @@ Participants: ${recordingStatus.participants}`, inline: true },
     await interaction.editReply({ embeds: [processingEmbed] });
     
     try {
-      // Step 2: Stop streaming transcription and generate summary
-      console.log('🔄 [STOP] Step 2: Stopping transcription and generating summary...');
-
-      try {
-        await updateProcessingProgress(interaction, 'Stopping transcription', '• Stopping streaming transcription...');
-      } catch (e) {
-        // non-fatal if progress update fails
-        console.warn('⚠️ [STOP] Could not update progress before stopping transcription:', e.message);
-      }
-
-      try {
-        // Stop the streaming session and gather the final transcript
-        finalTranscript = await stopStreamingSession(recordingStatus.sessionId);
-        console.log('✅ [STOP] Streaming transcription stopped, transcript collected');
-      } catch (stopErr) {
-        console.error('❌ [STOP] Error stopping streaming session:', stopErr);
-        processingError = stopErr && stopErr.message ? stopErr.message : String(stopErr);
-      }
-
-      try {
-        if (finalTranscript) {
-          await updateProcessingProgress(interaction, 'Generating summary', '• Generating AI summary...');
-          meetingSummary = await generateMeetingSummary(finalTranscript, { duration: recordingStatus.duration, startTime: recordingStatus.startTime, endTime: Date.now() });
-          console.log('✅ [STOP] Meeting summary generated');
-        } else {
-          console.warn('⚠️ [STOP] No final transcript available; skipping AI summary generation');
-        }
-      } catch (genErr) {
-        console.error('❌ [STOP] Error generating meeting summary:', genErr);
-        processingError = processingError || (genErr && genErr.message ? genErr.message : String(genErr));
-      }
-
-      // Step 3: Post results to summary channel (use explicit target channel)
-      console.log('🔄 [STOP] Step 3: Posting results...');
-
-  // Always post summaries to the canonical summary channel ID requested
-  const targetChannelId = '1431024855385374802';
-  const summaryChannel = await interaction.client.channels.fetch(targetChannelId);
-  const transcriptChannelId = config.discord.transcriptChannelId || '1432537458993528923';
-  const transcriptChannel = await interaction.client.channels.fetch(transcriptChannelId);
-      if (!summaryChannel) throw new Error(`Summary channel not found: ${targetChannelId}`);
-    if (!transcriptChannel) console.warn(`⚠️ Transcript channel not found: ${transcriptChannelId} - will attempt to send to summary channel instead`);
-
-      // Reset presence to idle (best-effort)
-      try {
-        const { setBotState } = await import('../utils/presence.js');
-        await setBotState(interaction.client, 'idle', interaction.guild.id);
-      } catch (e) {
-        console.warn('⚠️ [STOP] Could not reset presence:', e.message);
-      }
-
-      // Helper: split long text into chunks under Discord limit (2000 chars)
-      function splitTextIntoChunks(text, maxLen = 2000) {
-        if (!text) return [];
-        const paragraphs = text.split('\n\n');
-        const chunks = [];
-        let current = '';
-        for (const para of paragraphs) {
-          const candidate = current ? (current + '\n\n' + para) : para;
-          if (candidate.length > maxLen) {
-            if (current) {
-              chunks.push(current);
-              current = '';
-            }
-            if (para.length > maxLen) {
-              for (let i = 0; i < para.length; i += maxLen) {
-                chunks.push(para.slice(i, i + maxLen));
-              }
-            } else {
-              current = para;
-            }
-          } else {
-            current = candidate;
-          }
-        }
-        if (current) chunks.push(current);
-        return chunks;
-      }
-
-      async function sendLongMessage(channel, text) {
-        const chunks = splitTextIntoChunks(text, 2000);
-        if (chunks.length === 0) return null;
-        let last = null;
-        for (const c of chunks) {
-          last = await channel.send({ content: c });
-        }
-        return last;
-      }
-
-      // Try to send the summary as a single "post" (single message). If too large, send the first post
-      // then subsequent continuation posts. Use paragraph-aware splitting to avoid breaking numbering.
-      async function sendAsPostThenContinue(channel, text) {
-        if (!text) return null;
-
-        // Use embed-friendly chunk size (embed description limit is 4096)
-        const MAX_EMBED_DESC = 3800;
-        const chunks = splitTextIntoChunks(text, MAX_EMBED_DESC);
-        if (chunks.length === 0) return null;
-
-        // Prepare metadata for embed footers
-        const speakerCount = recordingStatus?.participants ?? (finalTranscript && Array.isArray(finalTranscript.participants) ? finalTranscript.participants.length : (finalTranscript?.statistics?.participantCount ?? 0));
-        const durationStr = recordingStatus?.duration ? formatDuration(recordingStatus.duration) : (finalTranscript?.duration ? formatDuration(finalTranscript.duration) : 'Unknown');
-        const startDate = recordingStatus?.startTime ? new Date(recordingStatus.startTime) : new Date();
-        const dateStr = startDate.toLocaleDateString('en-US');
-
-        // Send first chunk as an embed (styled post)
-        const totalPages = chunks.length;
-        const firstEmbed = new EmbedBuilder()
-          .setColor(embedColors.summary || embedColors.success)
-          .setDescription(chunks[0])
-          .setFooter({ text: `${speakerCount} speakers • ${durationStr} • ${dateStr} • Page 1 of ${totalPages}` })
-          .setTimestamp();
-
-        let first = await channel.send({ embeds: [firstEmbed] });
-
-        // Send remaining chunks as continuation embeds with footer page info
-        for (let i = 1; i < chunks.length; i++) {
-          const contEmbed = new EmbedBuilder()
-            .setColor(embedColors.summary || embedColors.success)
-            .setDescription(chunks[i])
-            .setFooter({ text: `${speakerCount} speakers • ${durationStr} • ${dateStr} • Page ${i + 1} of ${totalPages}` })
-            .setTimestamp();
-          await channel.send({ embeds: [contEmbed] });
-        }
-
-        return first;
-      }
-
-      // Build summary content directly from Gemini output and display it AS-IS (accepting markdown)
-      // Footer and paging will be handled by sendAsPostThenContinue. This intentionally
-      // avoids attempting to re-format JSON and shows the original Gemini text output.
-      let contentToPost = '';
-      if (!meetingSummary) {
-        contentToPost = 'No summary available.';
-      } else if (typeof meetingSummary === 'string') {
-        contentToPost = meetingSummary;
-      } else if (typeof meetingSummary === 'object') {
-        // Prefer the raw text returned by Gemini (rawSummary). Fall back to briefOverview.
-        contentToPost = meetingSummary.rawSummary || meetingSummary.briefOverview || 'No summary available.';
-      } else {
-        contentToPost = String(meetingSummary);
-      }
-
-      const firstSummaryMessage = await sendAsPostThenContinue(summaryChannel, contentToPost);
-  try {
-    if (firstSummaryMessage && typeof firstSummaryMessage.crosspost === 'function') {
-      await firstSummaryMessage.crosspost();
-      console.log(`✅ [STOP] Crossposted summary message in ${targetChannelId}`);
-    }
-  } catch (crossErr) {
-    console.warn('⚠️ [STOP] Could not crosspost summary (channel may not be an Announcement channel or bot lacks permission):', crossErr.message);
-  }
+      // Stop, summarize and post through the shared pipeline (also used by automatic stops)
+      const result = await finalizeStreamingSession(interaction.client, recordingStatus, {
+        reason: 'command',
+        fallbackChannelId: interaction.channelId,
+        onProgress: (currentStep, statusText) => updateProcessingProgress(interaction, currentStep, statusText)
+      });
 
-      // Attach raw transcript as a .txt file (safe for large text)
-      try {
-        const transcriptText = finalTranscript && finalTranscript.combinedText ? finalTranscript.combinedText : (typeof finalTranscript === 'string' ? finalTranscript : JSON.stringify(finalTranscript || {}, null, 2));
-        const buffer = Buffer.from(transcriptText, 'utf-8');
-        await summaryChannel.send({ files: [{ attachment: buffer, name: 'transcript.txt' }] });
-      } catch (attachErr) {
-        console.warn('⚠️ [STOP] Could not attach transcript file:', attachErr.message);
-        // Fallback: send transcript as multiple messages (code blocks) capped to avoid spam
-        try {
-          const transcriptText = finalTranscript && finalTranscript.combinedText ? finalTranscript.combinedText : (typeof finalTranscript === 'string' ? finalTranscript : JSON.stringify(finalTranscript || {}, null, 2));
-          const CHUNK_MAX = 1990;
-          const chunks = splitTextIntoChunks(transcriptText, CHUNK_MAX);
-          const MAX_CHUNKS = 50;
-          if (chunks.length === 0) {
-            await summaryChannel.send({ content: '⚠️ Transcript was empty and could not be attached.' });
-          } else if (chunks.length > MAX_CHUNKS) {
-            await summaryChannel.send({ content: `⚠️ Transcript is very large (${chunks.length} parts). Sending first ${MAX_CHUNKS} parts; the rest is truncated. Consider configuring cloud storage for large transcripts.` });
-            for (let i = 0; i < MAX_CHUNKS; i++) await summaryChannel.send({ content: '```\n' + chunks[i] + '\n```' });
-            await summaryChannel.send({ content: `⚠️ Transcript truncated after ${MAX_CHUNKS} parts.` });
-          } else {
-            await summaryChannel.send({ content: `⚠️ Could not attach transcript as a file. Falling back to sending the transcript in ${chunks.length} message(s).` });
-            for (const c of chunks) await summaryChannel.send({ content: '```\n' + c + '\n```' });
-            await summaryChannel.send({ content: '✅ Full transcript sent (split across multiple messages).' });
-          }
-        } catch (sendErr) {
-          console.error('❌ [STOP] Failed to send transcript fallback messages:', sendErr);
-          await summaryChannel.send({ content: '⚠️ Could not attach or send the full transcript due to size or permission limits. Please check bot logs or configure external storage (S3/Drive) for large transcripts.' });
-        }
+      if (!result) {
+        return await interaction.editReply({
+          embeds: [createErrorEmbed('⏳ Already Stopping', 'This recording is already being stopped and processed.')]
+        });
       }
 
-      // Send status to designated status channel (if configured)
-      try {
-        const statusChannel = await interaction.client.channels.fetch(config.discord.statusChannelId);
-        if (statusChannel && statusChannel.id !== summaryChannel.id) {
-          const statusEmbed = new EmbedBuilder()
-            .setColor(processingError ? embedColors.warning : embedColors.success)
-            .setTitle('📝 Recording Processed')
-            .setDescription('Meeting recording completed and summary generated')
-            .addFields(
-              { name: '📊 Stats', value: `Duration: ${formatDuration(recordingStatus.duration)}\nParticipants: ${recordingStatus.participants}`, inline: true },
-              { name: '📝 Summary', value: `Posted in <#${targetChannelId}>`, inline: true }
-            )
-            .setTimestamp();
-          await statusChannel.send({ embeds: [statusEmbed] });
-        }
-      } catch (err) {
-        console.warn('⚠️ [STOP] Could not send status message:', err.message);
-      }
+      const { finalTranscript, processingError, summaryChannelId: targetChannelId } = result;
 
       // Send completion message back to the user
       const totalWordsSafe = finalTranscript?.statistics?.totalWords ?? finalTranscript?.wordCount ?? 0;
@@ -294,28 +101,6 @@ Participants: ${recordingStatus.participants}`, inline: true },
     } catch (postError) {
       console.error('❌ [STOP] Failed to post results:', postError);
 
-      // If we lack access to the configured summary channel, attempt to notify in the status channel instead
-      if (postError && postError.code === 50001) {
-        try {
-          const statusChannel = await interaction.client.channels.fetch(config.discord.statusChannelId);
-          const fallbackEmbed = new EmbedBuilder()
-            .setColor(embedColors.warning)
-            .setTitle('⚠️ Summary Post Failed - Missing Access')
-            .setDescription(`I couldn't post the meeting summary to the configured summary channel because I don't have access. The summary may be attached here instead if available.`)
-            .addFields(
-              { name: 'Session', value: recordingStatus.sessionId, inline: true },
-              { name: 'Error', value: postError.message, inline: true }
-            )
-            .setTimestamp();
-
-          if (statusChannel) {
-            await statusChannel.send({ embeds: [fallbackEmbed] });
-          }
-        } catch (fallbackErr) {
-          console.error('❌ [STOP] Failed to post fallback summary to status channel:', fallbackErr);
-        }
-      }
-
       const errorDescription = postError && postError.message ? postError.message : String(postError);
       const errorEmbed = new EmbedBuilder()
         .setColor(embedColors.error)
@@ -0,0 +1,130 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { config, embedColors } from '../config.js';
+import { getGuildSettings, updateGuildSettings } from '../utils/guildSettings.js';
+import { listTranscriptionProviders, getTranscriptionProvider, resolveProviderName } from '../utils/transcriptionProviders/index.js';
+
+/**
+ * Transcription Engine Command - Shows or changes the transcription engine this server uses
+ */
+
+export const data = new SlashCommandBuilder()
+  .setName('transcription-engine')
+  .setDescription('Show or change the transcription engine used for recordings in this server')
+  .addStringOption(option =>
+    option.setName('engine')
+      .setDescription('Engine to use for new recordings')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Server default', value: 'default' },
+        ...listTranscriptionProviders().map(provider => ({ name: provider.label, value: provider.name }))
+      ))
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels);
+
+export async function execute(interaction) {
+  try {
+    console.log(`🧠 [ENGINE] Transcription engine command executed by ${interaction.user.tag}`);
+
+    await interaction.deferReply({ flags: [64] }); // 64 = EPHEMERAL flag
+
+    if (!interaction.guildId) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Server Only', 'This command can only be used in a server.')]
+      });
+    }
+
+    const engine = interaction.options.getString('engine');
+
+    // No option: report the current choice
+    if (!engine) {
+      const guildChoice = getGuildSettings(interaction.guildId).transcriptionProvider;
+      const current = getTranscriptionProvider(resolveProviderName(interaction.guildId));
+      const embed = new EmbedBuilder()
+        .setColor(embedColors.info)
+        .setTitle('🧠 Transcription Engine')
+        .setDescription(`New recordings in this server are transcribed with **${current.label}**.`)
+        .addFields(
+          { name: '⚙️ Source', value: guildChoice ? 'Chosen for this server' : 'Deployment default', inline: true },
+          { name: '🌐 Deployment Default', value: getTranscriptionProvider(config.transcription.provider).label, inline: true }
+        )
+        .setTimestamp();
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    // Permission check
+    if (!hasPermission(interaction)) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Permission Denied', 'You need "Manage Channels" permission or the required role to change the transcription engine.')]
+      });
+    }
+
+    if (engine !== 'default') {
+      const problems = getTranscriptionProvider(engine).validate();
+      if (problems.length > 0) {
+        return await interaction.editReply({
+          embeds: [createErrorEmbed('⚠️ Engine Unavailable', `This engine is not set up on this deployment:\n${problems.map(p => `• ${p}`).join('\n')}`)]
+        });
+      }
+    }
+
+    try {
+      await updateGuildSettings(interaction.guildId, {
+        transcriptionProvider: engine === 'default' ? undefined : engine
+      });
+    } catch (saveError) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Not Saved', 'The transcription engine could not be saved, so it was not changed. Please try again.')]
+      });
+    }
+
+    const selected = getTranscriptionProvider(resolveProviderName(interaction.guildId));
+    console.log(`🧠 [ENGINE] Guild ${interaction.guildId} now uses ${selected.name}`);
+
+    const embed = new EmbedBuilder()
+      .setColor(embedColors.success)
+      .setTitle('🧠 Transcription Engine Updated')
+      .setDescription(`New recordings in this server will be transcribed with **${selected.label}**. Recordings already running keep their engine.`)
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+
+  } catch (error) {
+    console.error('❌ [ENGINE] Transcription engine command error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Creates an error embed
+ * @param {string} title - Error title
+ * @param {string} description - Error description
+ * @returns {EmbedBuilder} Error embed
+ */
+function createErrorEmbed(title, description) {
+  return new EmbedBuilder()
+    .setColor(embedColors.error)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp();
+}
+
+/**
+ * Checks if user has permission to use the command
+ * @param {Object} interaction - Discord interaction
+ * @returns {boolean} True if user has permission
+ */
+function hasPermission(interaction) {
+  // Check for Manage Channels permission
+  if (interaction.member?.permissions?.has?.(PermissionFlagsBits.ManageChannels)) {
+    return true;
+  }
+  // Check for specific role if configured
+  if (config.discord.allowedRoleId) {
+    return interaction.member?.roles?.cache?.has(config.discord.allowedRoleId);
+  }
+  return false;
+}
+
+export default {
+  data,
+  execute
+};
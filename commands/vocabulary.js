@@ -0,0 +1,181 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { config, embedColors } from '../config.js';
+import {
+  getGuildVocabulary,
+  addVocabularyTerm,
+  removeVocabularyTerm,
+  MAX_VOCABULARY_TERMS,
+  MAX_TERM_LENGTH
+} from '../utils/vocabulary.js';
+
+/**
+ * Vocabulary Command - Manages the server's custom vocabulary (product names, jargon)
+ */
+
+export const data = new SlashCommandBuilder()
+  .setName('vocabulary')
+  .setDescription('Manage the words and names the transcriber should expect in this server')
+  .addSubcommand(subcommand =>
+    subcommand.setName('add')
+      .setDescription('Add a term, optionally with ways it gets misheard')
+      .addStringOption(option =>
+        option.setName('term')
+          .setDescription('The term as it should be written, e.g. Transcord')
+          .setRequired(true)
+          .setMaxLength(MAX_TERM_LENGTH))
+      .addStringOption(option =>
+        option.setName('sounds_like')
+          .setDescription('Comma-separated mis-hearings to correct, e.g. transcored, trans cord')
+          .setRequired(false)))
+  .addSubcommand(subcommand =>
+    subcommand.setName('remove')
+      .setDescription('Remove a term')
+      .addStringOption(option =>
+        option.setName('term')
+          .setDescription('The term to remove')
+          .setRequired(true)))
+  .addSubcommand(subcommand =>
+    subcommand.setName('list')
+      .setDescription('List this server\'s terms'))
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels);
+
+export async function execute(interaction) {
+  try {
+    const subcommand = interaction.options.getSubcommand();
+    console.log(`📖 [VOCABULARY] Vocabulary ${subcommand} executed by ${interaction.user.tag}`);
+
+    await interaction.deferReply({ flags: [64] }); // 64 = EPHEMERAL flag
+
+    if (!interaction.guildId) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Server Only', 'This command can only be used in a server.')]
+      });
+    }
+
+    if (subcommand === 'list') {
+      const vocabulary = getGuildVocabulary(interaction.guildId);
+      const lines = vocabulary.map(entry => entry.soundsLike.length > 0
+        ? `• **${entry.term}** (corrects: ${entry.soundsLike.join(', ')})`
+        : `• **${entry.term}**`);
+      const embed = new EmbedBuilder()
+        .setColor(embedColors.info)
+        .setTitle(`📖 Vocabulary (${vocabulary.length}/${MAX_VOCABULARY_TERMS})`)
+        .setDescription(lines.length > 0 ? lines.join('\n').substring(0, 4000) : 'No terms yet. Add one with `/vocabulary add`.')
+        .setTimestamp();
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    // Permission check
+    if (!hasPermission(interaction)) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Permission Denied', 'You need "Manage Channels" permission or the required role to change the vocabulary.')]
+      });
+    }
+
+    const term = interaction.options.getString('term').trim();
+
+    if (subcommand === 'remove') {
+      let removed;
+      try {
+        removed = await removeVocabularyTerm(interaction.guildId, term);
+      } catch (saveError) {
+        return await interaction.editReply({
+          embeds: [createErrorEmbed('❌ Not Saved', `The vocabulary could not be saved, so **${term}** was not removed. Please try again.`)]
+        });
+      }
+      if (!removed) {
+        return await interaction.editReply({
+          embeds: [createErrorEmbed('❌ Not Found', `**${term}** is not in this server's vocabulary.`)]
+        });
+      }
+      console.log(`📖 [VOCABULARY] Guild ${interaction.guildId} removed "${term}"`);
+      const embed = new EmbedBuilder()
+        .setColor(embedColors.success)
+        .setTitle('📖 Term Removed')
+        .setDescription(`**${term}** was removed. Recordings already running keep their vocabulary.`)
+        .setTimestamp();
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    // add
+    const soundsLike = (interaction.options.getString('sounds_like') || '')
+      .split(',')
+      .map(variant => variant.trim())
+      .filter(Boolean);
+
+    if (!term || soundsLike.some(variant => variant.length > MAX_TERM_LENGTH)) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Invalid Term', `Terms and mis-hearings must be between 1 and ${MAX_TERM_LENGTH} characters.`)]
+      });
+    }
+
+    const vocabulary = getGuildVocabulary(interaction.guildId);
+    const isNew = !vocabulary.some(entry => entry.term.toLowerCase() === term.toLowerCase());
+    if (isNew && vocabulary.length >= MAX_VOCABULARY_TERMS) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Vocabulary Full', `This server already has ${MAX_VOCABULARY_TERMS} terms. Remove one before adding another.`)]
+      });
+    }
+
+    let entry;
+    try {
+      entry = await addVocabularyTerm(interaction.guildId, term, soundsLike);
+    } catch (saveError) {
+      return await interaction.editReply({
+        embeds: [createErrorEmbed('❌ Not Saved', `The vocabulary could not be saved, so **${term}** was not ${isNew ? 'added' : 'updated'}. Please try again.`)]
+      });
+    }
+    console.log(`📖 [VOCABULARY] Guild ${interaction.guildId} ${isNew ? 'added' : 'updated'} "${entry.term}"`);
+
+    const embed = new EmbedBuilder()
+      .setColor(embedColors.success)
+      .setTitle(isNew ? '📖 Term Added' : '📖 Term Updated')
+      .setDescription(`New recordings in this server will listen for **${entry.term}**.`)
+      .setTimestamp();
+    if (entry.soundsLike.length > 0) {
+      embed.addFields({ name: '✏️ Corrected in Transcripts', value: entry.soundsLike.join(', ').substring(0, 1000), inline: false });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+
+  } catch (error) {
+    console.error('❌ [VOCABULARY] Vocabulary command error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Creates an error embed
+ * @param {string} title - Error title
+ * @param {string} description - Error description
+ * @returns {EmbedBuilder} Error embed
+ */
+function createErrorEmbed(title, description) {
+  return new EmbedBuilder()
+    .setColor(embedColors.error)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp();
+}
+
+/**
+ * Checks if user has permission to use the command
+ * @param {Object} interaction - Discord interaction
+ * @returns {boolean} True if user has permission
+ */
+function hasPermission(interaction) {
+  // Check for Manage Channels permission
+  if (interaction.member?.permissions?.has?.(PermissionFlagsBits.ManageChannels)) {
+    return true;
+  }
+  // Check for specific role if configured
+  if (config.discord.allowedRoleId) {
+    return interaction.member?.roles?.cache?.has(config.discord.allowedRoleId);
+  }
+  return false;
+}
+
+export default {
+  data,
+  execute
+};
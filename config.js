@@ -5,14 +5,21 @@ import 'dotenv/config';
  * Validates and exports all required environment variables with defaults
  */
 
+// Transcription engine used unless a guild picks its own
+const transcriptionProvider = process.env.TRANSCRIPTION_PROVIDER || 'assemblyai';
+
 // Validate required environment variables
 const requiredEnvVars = {
   DISCORD_BOT_TOKEN: process.env.DISCORD_BOT_TOKEN,
-  ASSEMBLYAI_API_KEY: process.env.ASSEMBLYAI_API_KEY,
   GEMINI_API_KEY: process.env.GEMINI_API_KEY
   // SUMMARY_CHANNEL_ID is optional because a sensible default is provided below
 };
 
+// The AssemblyAI key is only needed when AssemblyAI is the default engine
+if (transcriptionProvider === 'assemblyai') {
+  requiredEnvVars.ASSEMBLYAI_API_KEY = process.env.ASSEMBLYAI_API_KEY;
+}
+
 // Check for missing required variables
 const missingVars = Object.entries(requiredEnvVars)
   .filter(([key, value]) => !value)
@@ -25,6 +32,21 @@ if (missingVars.length > 0) {
   process.exit(1);
 }
 
+/**
+ * Parses the GUILD_CHANNELS map
+ * @param {string} [value] - JSON object of guild ID -> { summary, status } channel IDs
+ * @returns {Object|null} The map ({} when unset), or null if it is not a JSON object
+ */
+function parseGuildChannels(value) {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
 // Bot configuration object
 export const config = {
   // Discord Bot Settings
@@ -33,6 +55,9 @@ export const config = {
   summaryChannelId: process.env.SUMMARY_CHANNEL_ID || '1431024855385374802', // Channel for meeting summaries ONLY
   transcriptChannelId: process.env.TRANSCRIPT_CHANNEL_ID || '1432537458993528923', // Channel where raw transcripts are attached
   statusChannelId: process.env.STATUS_CHANNEL_ID || '1431006332147863705', // Channel for bot status messages
+    // Per-server channels, as JSON: {"<guildId>": {"summary": "<channelId>", "status": "<channelId>"}}.
+    // The IDs above are only used in the server they belong to; otherwise the channel /join was used in
+    guildChannels: parseGuildChannels(process.env.GUILD_CHANNELS),
     allowedRoleId: process.env.ALLOWED_ROLE_ID || null,
     clientId: process.env.DISCORD_CLIENT_ID || null
   },
@@ -46,10 +71,25 @@ export const config = {
   // Recording Settings
   recording: {
     maxDurationHours: parseInt(process.env.MAX_RECORDING_DURATION_HOURS) || 2,
+    // Minutes before the duration limit at which countdown warnings are posted (e.g. "10,1")
+    durationWarningMinutes: (process.env.MAX_DURATION_WARNING_MINUTES || '10,1')
+      .split(',')
+      .map(v => parseFloat(v.trim()))
+      .filter(v => v > 0),
+    // Longest single /extend, in minutes
+    maxExtensionMinutes: parseInt(process.env.MAX_EXTENSION_MINUTES) || 120,
     silenceTimeoutMinutes: parseInt(process.env.SILENCE_TIMEOUT_MINUTES) || 5,
+    // Consent mode by default: /join asks every participant to accept before they are recorded
+    requireConsent: process.env.REQUIRE_CONSENT === 'true',
+    // How long before the silence auto-stop a warning is posted to the status channel
+    silenceWarningMinutes: parseFloat(process.env.SILENCE_WARNING_MINUTES) || 1,
     maxFileSizeMB: parseInt(process.env.MAX_FILE_SIZE_MB) || 100,
     // If true, save raw recordings to disk and expose download API
     saveToDisk: process.env.SAVE_RECORDINGS === 'true' || false,
+    // Archive format: 'wav' (uncompressed PCM) or 'ogg' (Opus, a fraction of the size)
+    format: process.env.RECORDING_FORMAT || 'wav',
+    // Opus bitrate (bits per second) used when RECORDING_FORMAT=ogg
+    opusBitrate: parseInt(process.env.RECORDING_OPUS_BITRATE) || 32000,
     sampleRate: 48000,
     bitDepth: 16,
     channels: 2
@@ -60,12 +100,48 @@ export const config = {
     tempDir: '/tmp',
     audioFormat: 'wav',
     recordingsDir: process.env.RECORDINGS_DIR || './recordings',
+    // Persistent bot data (per-guild settings)
+    dataDir: process.env.DATA_DIR || './data',
     cleanup: {
       immediate: true,
       onError: true
     }
   },
 
+  // Transcription engine selection
+  transcription: {
+    // Default engine: 'assemblyai', 'whisper' (local whisper.cpp) or 'mock' (scripted, for testing)
+    provider: transcriptionProvider,
+    // Language spoken in meetings unless a guild or /join picks another: 'auto' or en, es, fr, de, it, pt
+    language: process.env.TRANSCRIPTION_LANGUAGE || 'en',
+    whisper: {
+      binary: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+      model: process.env.WHISPER_CPP_MODEL || './models/ggml-base.bin',
+      threads: parseInt(process.env.WHISPER_CPP_THREADS) || 2,
+      // Seconds of a speaker's audio transcribed per whisper.cpp run
+      chunkSeconds: parseInt(process.env.WHISPER_CHUNK_SECONDS) || 15
+    },
+    mock: {
+      // External mock server; when unset, one is started inside the bot process
+      url: process.env.MOCK_TRANSCRIPTION_URL || null,
+      // Optional script file: JSON array of strings, or one line per turn
+      scriptPath: process.env.MOCK_TRANSCRIPT_SCRIPT || null,
+      // Seconds of received audio per scripted turn
+      turnEverySeconds: parseFloat(process.env.MOCK_TURN_EVERY_SECONDS) || 3
+    }
+  },
+
+  // PII redaction of the final transcript, before it is stored, posted or summarized
+  redaction: {
+    // Run the regex detectors below; a guild's sensitive terms (/redaction) are always redacted
+    enabled: process.env.REDACT_PII === 'true',
+    // Detectors to run: email, phone, credit_card, ssn, ip_address
+    types: (process.env.REDACT_PII_TYPES || 'email,phone,credit_card,ssn,ip_address')
+      .split(',')
+      .map(v => v.trim())
+      .filter(Boolean)
+  },
+
   // AssemblyAI Settings
   assemblyAI: {
     baseUrl: 'https://api.assemblyai.com/v2',
@@ -87,6 +163,8 @@ export const config = {
     temperature: parseFloat(process.env.GEMINI_TEMPERATURE) || 0.3,
     // If transcript length (characters) exceeds this threshold, summarizer may try `largeModel`
     largeInputThreshold: parseInt(process.env.GEMINI_LARGE_INPUT_THRESHOLD) || 50000,
+    // Language summaries are written in: 'same' (as the meeting) or en, es, fr, de, it, pt
+    summaryLanguage: process.env.SUMMARY_LANGUAGE || 'same',
     // Updated default prompt: request Markdown-formatted meeting summary suitable for direct
     // posting into Discord embeds. The model should return ONLY the Markdown content (no
     // surrounding JSON, code fences, or explanatory text). Structure the output exactly
@@ -125,15 +203,82 @@ export const config = {
 
   // Streaming / real-time transcription settings
   streaming: {
-    // When true, apply per-user packet deduplication by hashing recent frames and
-    // dropping frames that match any hash within the configured time window.
+    // When true, drop incoming Opus packets whose RTP sequence number was already received
     enablePacketDedupe: process.env.STREAM_DEDUPE === 'false' ? false : true,
-    // Time window (ms) to consider a frame duplicate (default: 2000ms)
-    dedupeWindowMs: parseInt(process.env.STREAM_DEDUPE_WINDOW_MS) || 2000,
-    // Maximum number of recent frame hashes to keep per-user
-    dedupeMaxEntries: parseInt(process.env.STREAM_DEDUPE_MAX_ENTRIES) || 64,
+    // Audio (ms) the jitter buffer holds to put out-of-order packets back in sequence before a missing one counts as lost
+    jitterBufferMs: parseInt(process.env.STREAM_JITTER_BUFFER_MS) || 60,
+    // Longest packet loss (ms) filled with silence so timing is kept; longer gaps are skipped
+    maxConcealMs: parseInt(process.env.STREAM_MAX_CONCEAL_MS) || 1000,
     // Enable very-verbose streaming logs (opus/decoder/transform/send events)
-    debugVerbose: process.env.STREAM_DEBUG_VERBOSE === 'true' || false
+    debugVerbose: process.env.STREAM_DEBUG_VERBOSE === 'true' || false,
+    // Mono sample rate audio is resampled to before streaming and recording (Discord decodes at 48 kHz)
+    targetSampleRate: parseInt(process.env.STREAM_SAMPLE_RATE) || 16000,
+    // Mixer clock: duration (ms) of each mixed frame sent upstream and written to disk
+    mixerFrameMs: parseInt(process.env.STREAM_MIXER_FRAME_MS) || 100,
+    // Audio (ms) a speaker must have queued before the mixer starts playing them out
+    mixerJitterMs: parseInt(process.env.STREAM_MIXER_JITTER_MS) || 300,
+    // Maximum audio (ms) queued per speaker; older audio is dropped to bound latency
+    mixerMaxBufferMs: parseInt(process.env.STREAM_MIXER_MAX_BUFFER_MS) || 2000,
+    // Reconnect backoff for dropped transcription sockets: the base delay doubles per attempt up to the max
+    reconnectBaseDelayMs: parseInt(process.env.STREAM_RECONNECT_BASE_DELAY_MS) || 1000,
+    reconnectMaxDelayMs: parseInt(process.env.STREAM_RECONNECT_MAX_DELAY_MS) || 30000,
+    reconnectMaxAttempts: parseInt(process.env.STREAM_RECONNECT_MAX_ATTEMPTS) || 8,
+    // Seconds of audio held per speaker while reconnecting; older audio is dropped beyond this
+    reconnectBufferSeconds: parseInt(process.env.STREAM_RECONNECT_BUFFER_SECONDS) || 30,
+    // Seconds before an AssemblyAI session expires at which a replacement session is opened
+    rolloverLeadSeconds: parseInt(process.env.STREAM_ROLLOVER_LEAD_SECONDS) || 120,
+    // Voice activity gate: only speech (plus a short lead-in and hangover) is sent for transcription
+    vad: {
+      enabled: process.env.STREAM_VAD === 'false' ? false : true,
+      // Normalized RMS (0..1) a frame must reach to count as speech (0.02 ~= light speech)
+      threshold: parseFloat(process.env.STREAM_VAD_THRESHOLD) || 0.02,
+      // Speech (ms) required before the gate opens, so clicks and bumps stay out
+      attackMs: parseInt(process.env.STREAM_VAD_ATTACK_MS) || 100,
+      // Time (ms) the gate stays open after speech, so turn endings reach the provider
+      hangoverMs: parseInt(process.env.STREAM_VAD_HANGOVER_MS) || 1000,
+      // Audio (ms) from just before the gate opens that is sent with it, so words are not clipped
+      leadInMs: parseInt(process.env.STREAM_VAD_LEAD_IN_MS) || 300,
+      // Optional zero-crossing check that rejects hiss-like frames
+      zeroCrossingCheck: process.env.STREAM_VAD_ZCR_CHECK === 'true',
+      maxZeroCrossingRate: parseFloat(process.env.STREAM_VAD_MAX_ZCR) || 0.35,
+      // Optional spectral check that requires most energy in the 100 Hz - 4 kHz speech band
+      spectralCheck: process.env.STREAM_VAD_SPECTRAL_CHECK === 'true',
+      minSpeechBandRatio: parseFloat(process.env.STREAM_VAD_MIN_SPEECH_BAND_RATIO) || 0.6
+    },
+    // Per-speaker processing between the Opus decoder and the chunker: high-pass filter, noise gate
+    // and automatic gain control. Input levels are measured even when processing is off.
+    dsp: {
+      enabled: process.env.STREAM_DSP === 'true',
+      highPass: {
+        enabled: process.env.STREAM_DSP_HIGH_PASS === 'false' ? false : true,
+        // Removes rumble, desk bumps and mains hum below this frequency
+        cutoffHz: parseInt(process.env.STREAM_DSP_HIGH_PASS_HZ) || 80
+      },
+      noiseGate: {
+        enabled: process.env.STREAM_DSP_NOISE_GATE === 'false' ? false : true,
+        // Level (dBFS) below which audio is treated as background noise and turned down
+        thresholdDb: parseFloat(process.env.STREAM_DSP_NOISE_GATE_DB) || -50,
+        // With steady noise above the threshold (a loud fan), the gate opens this far above the noise instead
+        marginDb: 10,
+        // How far background noise is turned down
+        reductionDb: parseFloat(process.env.STREAM_DSP_NOISE_GATE_REDUCTION_DB) || 30,
+        // Time (ms) the gate stays open after the level drops, so word endings are kept
+        holdMs: parseInt(process.env.STREAM_DSP_NOISE_GATE_HOLD_MS) || 200,
+        releaseMs: 150
+      },
+      agc: {
+        enabled: process.env.STREAM_DSP_AGC === 'false' ? false : true,
+        // Speech level (dBFS) every speaker is brought to
+        targetDb: parseFloat(process.env.STREAM_DSP_AGC_TARGET_DB) || -20,
+        // Most a quiet mic is boosted, and most a loud one is turned down
+        maxGainDb: parseFloat(process.env.STREAM_DSP_AGC_MAX_GAIN_DB) || 24,
+        minGainDb: -12,
+        attackMs: 50,
+        releaseMs: 1500
+      },
+      // Speech level (dBFS) below which a speaker's mic is reported as too quiet
+      quietInputDb: parseFloat(process.env.STREAM_DSP_QUIET_INPUT_DB) || -40
+    }
   },
 
   // Server Settings
@@ -190,19 +335,75 @@ export function validateConfig() {
     errors.push('MAX_RECORDING_DURATION_HOURS must be between 1 and 24');
   }
 
+  if (config.recording.durationWarningMinutes.some(m => m >= config.recording.maxDurationHours * 60)) {
+    errors.push('MAX_DURATION_WARNING_MINUTES must all be shorter than MAX_RECORDING_DURATION_HOURS');
+  }
+
   if (config.recording.silenceTimeoutMinutes <= 0) {
     errors.push('SILENCE_TIMEOUT_MINUTES must be greater than 0');
   }
 
+  if (config.recording.silenceWarningMinutes <= 0) {
+    errors.push('SILENCE_WARNING_MINUTES must be greater than 0');
+  }
+
+  if (!['assemblyai', 'whisper', 'mock'].includes(config.transcription.provider)) {
+    errors.push('TRANSCRIPTION_PROVIDER must be one of: assemblyai, whisper, mock');
+  }
+
+  if (!['auto', 'en', 'es', 'fr', 'de', 'it', 'pt'].includes(config.transcription.language)) {
+    errors.push('TRANSCRIPTION_LANGUAGE must be one of: auto, en, es, fr, de, it, pt');
+  }
+
+  if (!['same', 'en', 'es', 'fr', 'de', 'it', 'pt'].includes(config.gemini.summaryLanguage)) {
+    errors.push('SUMMARY_LANGUAGE must be one of: same, en, es, fr, de, it, pt');
+  }
+
+  const redactionTypes = ['email', 'phone', 'credit_card', 'ssn', 'ip_address'];
+  if (config.redaction.types.some(type => !redactionTypes.includes(type))) {
+    errors.push(`REDACT_PII_TYPES may only contain: ${redactionTypes.join(', ')}`);
+  }
+
+  if (!['wav', 'ogg'].includes(config.recording.format)) {
+    errors.push('RECORDING_FORMAT must be wav or ogg');
+  }
+
+  // Opus only encodes these rates
+  if (config.recording.format === 'ogg' && ![8000, 12000, 16000, 24000, 48000].includes(config.streaming.targetSampleRate)) {
+    errors.push('STREAM_SAMPLE_RATE must be 8000, 12000, 16000, 24000 or 48000 when RECORDING_FORMAT=ogg');
+  }
+
+  // Opus supports 6 to 510 kbps
+  if (config.recording.format === 'ogg' && (config.recording.opusBitrate < 6000 || config.recording.opusBitrate > 510000)) {
+    errors.push('RECORDING_OPUS_BITRATE must be between 6000 and 510000 when RECORDING_FORMAT=ogg');
+  }
+
   if (config.recording.maxFileSizeMB <= 0) {
     errors.push('MAX_FILE_SIZE_MB must be greater than 0');
   }
 
+  if (config.streaming.vad.threshold <= 0 || config.streaming.vad.threshold >= 1) {
+    errors.push('STREAM_VAD_THRESHOLD must be between 0 and 1');
+  }
+
+  const { highPass, agc } = config.streaming.dsp;
+  if (highPass.cutoffHz >= config.streaming.targetSampleRate / 2) {
+    errors.push('STREAM_DSP_HIGH_PASS_HZ must be below half of STREAM_SAMPLE_RATE');
+  }
+
+  if (agc.targetDb >= 0 || agc.maxGainDb < 0) {
+    errors.push('STREAM_DSP_AGC_TARGET_DB must be below 0 and STREAM_DSP_AGC_MAX_GAIN_DB at least 0');
+  }
+
   // Validate Discord Channel ID format
   if (!/^\d{17,19}$/.test(config.discord.summaryChannelId)) {
     errors.push('SUMMARY_CHANNEL_ID must be a valid Discord channel ID (17-19 digits)');
   }
 
+  if (!config.discord.guildChannels) {
+    errors.push('GUILD_CHANNELS must be a JSON object of guild ID -> { "summary": channelId, "status": channelId }');
+  }
+
   if (errors.length > 0) {
     console.error('❌ Configuration validation failed:');
     errors.forEach(error => console.error(`   - ${error}`));
@@ -221,6 +422,8 @@ export function logConfig() {
     console.log(`   Max Recording Duration: ${config.recording.maxDurationHours} hours`);
     console.log(`   Silence Timeout: ${config.recording.silenceTimeoutMinutes} minutes`);
     console.log(`   Max File Size: ${config.recording.maxFileSizeMB} MB`);
+    console.log(`   Transcription Engine: ${config.transcription.provider}`);
+    console.log(`   Meeting Language: ${config.transcription.language} (summaries: ${config.gemini.summaryLanguage})`);
     console.log(`   Summary Channel: ${config.discord.summaryChannelId}`);
     console.log(`   Allowed Role: ${config.discord.allowedRoleId || 'None (using permissions)'}`);
   }
@@ -3,11 +3,14 @@ import { createServer } from 'http';
 import { config, validateConfig, logConfig } from './config.js';
 import { initializeGemini, testGeminiConnection } from './utils/summarizer.js';
 import { setBotState } from './utils/presence.js';
-import { validateStreamingConfig, stopAllStreamingSessions } from './utils/streamingAudioProcessor.js';
+import { validateStreamingConfig, stopAllStreamingSessions, getStreamingSessionStats } from './utils/streamingAudioProcessor.js';
 import { initializeStreamingClient } from './utils/streamingTranscription.js';
-import { promises as fs } from 'fs';
+import { openConcatenatedTrack } from './utils/recordingArchive.js';
+import { handleVoiceStateUpdate } from './utils/voiceStateTracker.js';
+import { isConsentButton, handleConsentButton } from './utils/consentGate.js';
+import { promises as fs, createReadStream } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, basename, extname } from 'path';
 
 /**
  * Discord Voice Recording Bot - Main Entry Point
@@ -111,6 +114,15 @@ async function loadCommands() {
       './commands/test.js',
       './commands/join.js',
       './commands/stop.js',
+      './commands/pause.js',
+      './commands/resume.js',
+      './commands/extend.js',
+      './commands/transcription-engine.js',
+      './commands/vocabulary.js',
+      './commands/redaction.js',
+      './commands/language.js',
+      './commands/optout.js',
+      './commands/optin.js',
       './commands/recording-status.js',
       './commands/help.js'
     ];
@@ -171,6 +183,16 @@ function setupEventHandlers() {
     const startTime = Date.now();
     console.log(`⚡ [INTERACTION] Received ${interaction.commandName} at ${startTime}`);
     
+    // Accept/Decline buttons of a recording started in consent mode
+    if (interaction.isButton() && isConsentButton(interaction.customId)) {
+      try {
+        await handleConsentButton(interaction);
+      } catch (error) {
+        console.error('❌ Consent button error:', error);
+      }
+      return;
+    }
+
     if (!interaction.isChatInputCommand()) return;
     
     const command = client.commands.get(interaction.commandName);
@@ -209,8 +231,8 @@ function setupEventHandlers() {
     }
   });
   
-  // Voice state update handler (managed by join command)
-  // This is set up dynamically in the join command
+  // Voice state updates: subscribe members who join a recorded channel, detach those who leave
+  client.on(Events.VoiceStateUpdate, handleVoiceStateUpdate);
   
   // Error handling
   client.on(Events.Error, (error) => {
@@ -330,47 +352,19 @@ function startHealthCheckServer() {
           res.writeHead(500, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ status: 'error', message: error.message }));
         }
+      } else if (req.url === '/metrics' && req.method === 'GET') {
+        // Pipeline counters per session, user and stage, for "the bot didn't hear me" reports
+        try {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(buildPublicMetrics(), null, 2));
+        } catch (error) {
+          console.error('❌ [HTTP] Metrics endpoint error:', error);
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message }));
+        }
       } else if (req.url && req.method === 'GET' && req.url.startsWith('/recordings')) {
         try {
-          const parts = req.url.split('/').filter(Boolean);
-          // /recordings -> list
-          if (parts.length === 1) {
-            const recordingsDir = config.files && config.files.recordingsDir ? config.files.recordingsDir : join(__dirname, 'recordings');
-            try {
-              const files = await fs.readdir(recordingsDir);
-              const wavFiles = files.filter(f => f.endsWith('.wav'));
-              const list = wavFiles.map(f => ({ file: f, url: `/recordings/${encodeURIComponent(f)}` }));
-              res.writeHead(200, { 'Content-Type': 'application/json' });
-              res.end(JSON.stringify(list, null, 2));
-            } catch (dirErr) {
-              res.writeHead(200, { 'Content-Type': 'application/json' });
-              res.end(JSON.stringify([]));
-            }
-
-            return;
-          }
-
-          // /recordings/:file -> download
-          if (parts.length === 2) {
-            const recordingsDir = config.files && config.files.recordingsDir ? config.files.recordingsDir : join(__dirname, 'recordings');
-            const fileName = decodeURIComponent(parts[1]);
-            const filePath = join(recordingsDir, fileName);
-            try {
-              const stat = await fs.stat(filePath);
-              res.writeHead(200, {
-                'Content-Type': 'audio/wav',
-                'Content-Length': stat.size,
-                'Content-Disposition': `attachment; filename="${fileName}"`
-              });
-              const readStream = fs.createReadStream(filePath);
-              readStream.pipe(res);
-              return;
-            } catch (fileErr) {
-              res.writeHead(404, { 'Content-Type': 'text/plain' });
-              res.end('Not Found');
-              return;
-            }
-          }
+          await handleRecordingsRequest(req, res);
         } catch (error) {
           console.error('❌ [HTTP] Recordings endpoint error:', error);
           res.writeHead(500, { 'Content-Type': 'application/json' });
@@ -409,6 +403,168 @@ function startHealthCheckServer() {
   }
 }
 
+/**
+ * Builds the /metrics response. The endpoint has no authentication, so sessions and speakers
+ * are numbered instead of identified: no guild, channel or user IDs and no display names.
+ * @returns {Object} Pipeline counters per session and speaker
+ */
+function buildPublicMetrics() {
+  const stats = getStreamingSessionStats();
+  return {
+    timestamp: new Date().toISOString(),
+    activeSessions: stats.activeSessions,
+    totalStreams: stats.totalStreams,
+    sessions: stats.sessions.map((session, sessionIndex) => ({
+      session: sessionIndex + 1,
+      userCount: session.userCount,
+      duration: session.duration,
+      active: session.active,
+      metrics: session.metrics && {
+        users: session.metrics.users.map(({ userId, displayName, ...counters }, userIndex) => ({ speaker: userIndex + 1, ...counters })),
+        totals: session.metrics.totals
+      }
+    }))
+  };
+}
+
+/**
+ * Content types of the files served from the recordings directory
+ */
+const RECORDING_CONTENT_TYPES = {
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.json': 'application/json'
+};
+
+/**
+ * Serves the recordings directory:
+ *   /recordings                    -> list of session archives (and legacy single files)
+ *   /recordings/:session           -> the session's manifest
+ *   /recordings/:session/:file     -> download of a segment, a whole track (segments joined) or the manifest
+ *   /recordings/:file              -> download of a legacy single-file recording
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function handleRecordingsRequest(req, res) {
+  const recordingsDir = config.files && config.files.recordingsDir ? config.files.recordingsDir : join(__dirname, 'recordings');
+  let parts;
+  try {
+    parts = new URL(req.url, 'http://localhost').pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (decodeErr) {
+    // Malformed percent-escape (e.g. %E0)
+    parts = null;
+  }
+
+  // Only plain names inside the recordings directory may be served
+  if (!parts || parts.slice(1).some(part => part !== basename(part) || part.startsWith('.'))) {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('Bad Request');
+    return;
+  }
+
+  // /recordings -> list
+  if (parts.length === 1) {
+    const list = [];
+    try {
+      const entries = await fs.readdir(recordingsDir, { withFileTypes: true });
+      for (const entry of entries) {
+        if (entry.isDirectory()) {
+          try {
+            const manifest = JSON.parse(await fs.readFile(join(recordingsDir, entry.name, 'manifest.json'), 'utf8'));
+            const fileUrl = (f) => `/recordings/${encodeURIComponent(entry.name)}/${encodeURIComponent(f)}`;
+            list.push({
+              session: entry.name,
+              startedAt: manifest.startedAt,
+              durationMs: manifest.durationMs,
+              manifest: `/recordings/${encodeURIComponent(entry.name)}`,
+              files: [manifest.master, ...manifest.tracks].map(track => ({
+                file: track.file,
+                url: fileUrl(track.file),
+                contentType: RECORDING_CONTENT_TYPES[extname(track.file)],
+                // Archives from before segment rotation have a single file per track
+                segments: (track.segments || []).map(segment => ({
+                  file: segment.file,
+                  url: fileUrl(segment.file),
+                  startOffsetMs: segment.startOffsetMs,
+                  durationMs: segment.durationMs
+                }))
+              }))
+            });
+          } catch (manifestErr) {
+            // Session still recording (no manifest yet) or not an archive
+          }
+        } else if (['.wav', '.ogg'].includes(extname(entry.name))) {
+          list.push({
+            file: entry.name,
+            url: `/recordings/${encodeURIComponent(entry.name)}`,
+            contentType: RECORDING_CONTENT_TYPES[extname(entry.name)]
+          });
+        }
+      }
+    } catch (dirErr) {
+      // No recordings directory yet
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(list, null, 2));
+    return;
+  }
+
+  let filePath;
+  if (parts.length === 2) {
+    // A session directory answers with its manifest, anything else is a legacy file
+    const target = join(recordingsDir, parts[1]);
+    const isSession = await fs.stat(target).then(stat => stat.isDirectory()).catch(() => false);
+    filePath = isSession ? join(target, 'manifest.json') : target;
+  } else if (parts.length === 3) {
+    filePath = join(recordingsDir, parts[1], parts[2]);
+  } else {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+    return;
+  }
+
+  const contentType = RECORDING_CONTENT_TYPES[extname(filePath)];
+  try {
+    const stat = await fs.stat(filePath).catch(() => null);
+
+    // A whole-track name from the manifest is served as its segments joined together
+    if (!stat && parts.length === 3 && contentType && contentType !== 'application/json') {
+      const sessionDir = join(recordingsDir, parts[1]);
+      const manifest = JSON.parse(await fs.readFile(join(sessionDir, 'manifest.json'), 'utf8'));
+      const download = await openConcatenatedTrack(sessionDir, manifest, parts[2]);
+      if (!download) throw new Error('Not a recording file');
+
+      res.writeHead(200, {
+        'Content-Type': contentType,
+        'Content-Length': download.length,
+        'Content-Disposition': `attachment; filename="${parts[1]}-${parts[2]}"`
+      });
+      download.stream.on('error', (streamErr) => {
+        console.error('❌ Recording download failed:', streamErr.message);
+        res.destroy(streamErr);
+      });
+      download.stream.pipe(res);
+      return;
+    }
+
+    if (!contentType || !stat || !stat.isFile()) throw new Error('Not a recording file');
+
+    const headers = {
+      'Content-Type': contentType,
+      'Content-Length': stat.size
+    };
+    if (contentType !== 'application/json') {
+      headers['Content-Disposition'] = `attachment; filename="${basename(filePath)}"`;
+    }
+    res.writeHead(200, headers);
+    createReadStream(filePath).pipe(res);
+  } catch (fileErr) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+  }
+}
+
 /**
  * Sets up bot-specific shutdown handlers
  */
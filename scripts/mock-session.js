@@ -0,0 +1,125 @@
+import { PassThrough } from 'stream';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Prism from 'prism-media';
+
+/**
+ * Mock Session - records a short two-speaker meeting against the mock transcription engine,
+ * without Discord or any API key, and checks the transcript that comes out.
+ * Run with `npm test`; exits non-zero if a check fails.
+ */
+
+const SPEAKERS = [
+  { userId: 'mock-user-1', displayName: 'Alice', frequencyHz: 220 },
+  { userId: 'mock-user-2', displayName: 'Bob', frequencyHz: 330 }
+];
+const SPEECH_SECONDS = 4;
+const FRAME_SAMPLES = 960; // 20 ms at 48 kHz
+
+// Settings and recordings of this run go to a scratch directory; config reads these on import
+const scratchDir = mkdtempSync(join(tmpdir(), 'mock-session-'));
+process.env.DISCORD_BOT_TOKEN ||= 'mock-session';
+process.env.GEMINI_API_KEY ||= 'mock-session';
+process.env.TRANSCRIPTION_PROVIDER = 'mock';
+process.env.MOCK_TURN_EVERY_SECONDS ||= '1';
+process.env.DATA_DIR = join(scratchDir, 'data');
+process.env.RECORDINGS_DIR = join(scratchDir, 'recordings');
+
+const { startStreamingSession, stopStreamingSession, hasGuildStreamingSession } = await import('../utils/streamingAudioProcessor.js');
+const { loadMockScript } = await import('../utils/transcriptionProviders/mockServer.js');
+const { toSrt } = await import('../utils/transcriptTimeline.js');
+
+/**
+ * Creates a stand-in for a voice connection whose receiver hands out one Opus stream per user
+ * @param {Map<string, PassThrough>} streams - userId -> Opus packet stream
+ * @returns {Object} Voice connection stand-in
+ */
+function createMockConnection(streams) {
+  return {
+    receiver: {
+      subscribe(userId) {
+        const stream = new PassThrough({ objectMode: true });
+        streams.set(userId, stream);
+        return stream;
+      },
+      parsePacket() {}
+    }
+  };
+}
+
+/**
+ * Speaks a tone into each speaker's stream in real time, as Discord would deliver it
+ * @param {Map<string, PassThrough>} streams - userId -> Opus packet stream
+ * @param {number} seconds - How long to speak
+ */
+async function speak(streams, seconds) {
+  const encoders = SPEAKERS.map(speaker => {
+    const encoder = new Prism.opus.Encoder({ frameSize: FRAME_SAMPLES, channels: 2, rate: 48000 });
+    encoder.on('data', packet => streams.get(speaker.userId)?.write(packet));
+    return { speaker, encoder };
+  });
+
+  const frames = (seconds * 1000) / 20;
+  for (let frame = 0; frame < frames; frame++) {
+    for (const { speaker, encoder } of encoders) {
+      const pcm = Buffer.alloc(FRAME_SAMPLES * 4);
+      for (let i = 0; i < FRAME_SAMPLES; i++) {
+        const t = frame * FRAME_SAMPLES + i;
+        const sample = Math.round(4000 * Math.sin((2 * Math.PI * speaker.frequencyHz * t) / 48000));
+        pcm.writeInt16LE(sample, i * 4);
+        pcm.writeInt16LE(sample, i * 4 + 2);
+      }
+      encoder.write(pcm);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+async function main() {
+  const failures = [];
+  const check = (passed, description) => {
+    console.log(`${passed ? '✅' : '❌'} [MOCK-SESSION] ${description}`);
+    if (!passed) failures.push(description);
+  };
+
+  const streams = new Map();
+  const sessionId = `mock-guild_${Date.now()}`;
+  await startStreamingSession(sessionId, createMockConnection(streams), SPEAKERS.map(s => s.userId), {
+    guildId: 'mock-guild',
+    channelId: 'mock-channel',
+    displayNames: SPEAKERS.map(s => [s.userId, s.displayName])
+  });
+  check(hasGuildStreamingSession('mock-guild'), 'Session is registered for its guild');
+
+  await speak(streams, SPEECH_SECONDS);
+  // Let the mixer and the mock server catch up with the last frames
+  await new Promise(resolve => setTimeout(resolve, 1000));
+
+  const result = await stopStreamingSession(sessionId);
+  const transcript = result?.combinedText || '';
+  const [firstLine] = await loadMockScript(process.env.MOCK_TRANSCRIPT_SCRIPT);
+
+  check(!hasGuildStreamingSession('mock-guild'), 'Session is released after stopping');
+  for (const speaker of SPEAKERS) {
+    check(new RegExp(`^\\[\\d{2}:\\d{2}:\\d{2}\\] ${speaker.displayName}: `, 'm').test(transcript), `Transcript has timestamped turns from ${speaker.displayName}`);
+  }
+  check(transcript.includes(firstLine), 'Transcript contains the scripted text');
+  check(toSrt(result?.timeline || { turns: [] }).includes(' --> '), 'Timeline exports as SRT subtitles');
+
+  console.log(`\n${transcript}\n`);
+  return failures;
+}
+
+let failures;
+try {
+  failures = await main();
+} catch (error) {
+  console.error('❌ [MOCK-SESSION] Session failed:', error);
+  failures = [error.message];
+} finally {
+  rmSync(scratchDir, { recursive: true, force: true });
+}
+
+console.log(failures.length === 0 ? '✅ [MOCK-SESSION] All checks passed' : `❌ [MOCK-SESSION] ${failures.length} checks failed`);
+process.exit(failures.length === 0 ? 0 : 1);
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResampler, downmixStereo, toPcm16, createSpeakerDspChain, createVoiceActivityGate } from '../utils/audioDsp.js';
+
+// Mono samples in int16 scale: a sine of `hz` at `amplitude` (0..1 of full scale)
+function sine(hz, amplitude, ms, sampleRate) {
+  const count = Math.round((sampleRate * ms) / 1000);
+  return Float64Array.from({ length: count }, (_, i) => amplitude * 32767 * Math.sin((2 * Math.PI * hz * i) / sampleRate));
+}
+
+function rms(samples) {
+  return Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+}
+
+test('48 kHz to 16 kHz gives one output sample per three input samples, across chunks', () => {
+  const resample = createResampler(48000, 16000);
+  let total = 0;
+  // Odd chunk sizes: the resampler must carry its phase over chunk boundaries
+  for (const size of [960, 1001, 7, 3000, 32]) total += resample(new Float64Array(size)).length;
+
+  assert.equal(total, Math.ceil((960 + 1001 + 7 + 3000 + 32) / 3));
+});
+
+test('the resampler passes DC at unity gain once its filter has filled', () => {
+  const resample = createResampler(48000, 16000);
+  const output = resample(new Float64Array(48000).fill(10000));
+
+  // Skip the filter's warm-up from the silence it is primed with
+  for (const sample of output.slice(100)) {
+    assert.ok(Math.abs(sample - 10000) < 10, `DC sample ${sample} is not 10000`);
+  }
+});
+
+test('the resampler keeps speech-band tones and removes what would alias', () => {
+  const resample = createResampler(48000, 16000);
+  const kept = resample(sine(1000, 0.5, 500, 48000)).slice(100);
+  assert.ok(Math.abs(rms(kept) / (0.5 * 32767 * Math.SQRT1_2) - 1) < 0.01);
+
+  // 12 kHz is above the new Nyquist frequency and would fold back to 4 kHz
+  const removed = createResampler(48000, 16000)(sine(12000, 0.5, 500, 48000)).slice(100);
+  assert.ok(rms(removed) < 0.001 * 32767);
+});
+
+test('stereo is downmixed by averaging the two channels', () => {
+  const stereo = Buffer.alloc(12);
+  [[1000, 3000], [-32768, -32768], [32767, -32767]].forEach(([left, right], i) => {
+    stereo.writeInt16LE(left, i * 4);
+    stereo.writeInt16LE(right, i * 4 + 2);
+  });
+
+  assert.deepEqual(Array.from(downmixStereo(stereo)), [2000, -32768, 0]);
+});
+
+test('samples outside the int16 range are clamped when converted to PCM', () => {
+  const pcm = toPcm16(Float64Array.from([40000, -40000, 1.6]));
+
+  assert.deepEqual([0, 1, 2].map(i => pcm.readInt16LE(i * 2)), [32767, -32768, 2]);
+});
+
+// 20 ms PCM frames at 16 kHz, the way speaker audio reaches the voice gate
+function framesOf(samples) {
+  const pcm = toPcm16(samples);
+  return Array.from({ length: pcm.length / 640 }, (_, i) => pcm.subarray(i * 640, (i + 1) * 640));
+}
+
+function voiceGate() {
+  return createVoiceActivityGate({ sampleRate: 16000, threshold: 0.02, attackMs: 100, hangoverMs: 1000, leadInMs: 300 });
+}
+
+test('the voice gate forwards nothing for silence or noise below the threshold', () => {
+  const gate = voiceGate();
+  const quiet = [...framesOf(new Float64Array(16000)), ...framesOf(sine(440, 0.01, 1000, 16000))];
+
+  for (const frame of quiet) assert.deepEqual(gate.process(frame), []);
+  assert.equal(gate.isOpen, false);
+  assert.deepEqual(gate.stats, { sentMs: 0, gatedMs: 2000, openings: 0 });
+});
+
+test('a tone opens the voice gate after the attack time and releases the lead-in with it', () => {
+  const gate = voiceGate();
+  const silence = framesOf(new Float64Array(16000));
+  const tone = framesOf(sine(440, 0.3, 200, 16000));
+  for (const frame of silence) gate.process(frame);
+
+  // Four tone frames (80 ms) are still short of the 100 ms attack
+  for (const frame of tone.slice(0, 4)) assert.deepEqual(gate.process(frame), []);
+  const released = gate.process(tone[4]);
+
+  assert.equal(gate.isOpen, true);
+  // 300 ms of lead-in silence, then the 100 ms of tone that opened the gate
+  assert.equal(released.length, 20);
+  assert.deepEqual(released.slice(0, 15), silence.slice(-15));
+  assert.deepEqual(released.slice(15), tone.slice(0, 5));
+  assert.deepEqual(gate.process(tone[5]), [tone[5]]);
+  assert.deepEqual(gate.stats, { sentMs: 420, gatedMs: 700, openings: 1 });
+});
+
+test('the voice gate stays open through the hangover, then closes on silence', () => {
+  const gate = voiceGate();
+  for (const frame of framesOf(sine(440, 0.3, 200, 16000))) gate.process(frame);
+  const silence = framesOf(new Float64Array(32000));
+
+  // A pause of up to a second is forwarded so words are not cut apart
+  for (const frame of silence.slice(0, 50)) assert.deepEqual(gate.process(frame), [frame]);
+  assert.deepEqual(gate.process(silence[50]), []);
+  assert.equal(gate.isOpen, false);
+  assert.equal(gate.stats.sentMs, 1200);
+});
+
+// A 440 Hz tone whose RMS level is `db` dBFS
+function toneAt(db, ms) {
+  return sine(440, Math.SQRT2 * Math.pow(10, db / 20), ms, 16000);
+}
+
+function levelDb(frame) {
+  const samples = Float64Array.from({ length: frame.length / 2 }, (_, i) => frame.readInt16LE(i * 2));
+  return 20 * Math.log10(rms(samples) / 32767);
+}
+
+// AGC on its own, with the default target (-20 dBFS) and gain limits
+function agcChain() {
+  return createSpeakerDspChain({ sampleRate: 16000, highPass: { enabled: false }, noiseGate: { enabled: false } });
+}
+
+test('AGC brings a quiet speaker up to the target level', () => {
+  const chain = agcChain();
+  let output;
+  for (const frame of framesOf(toneAt(-40, 5000))) output = chain.process(frame);
+
+  // Turned up slowly (1.5 s release), most of the way to +20 dB after five seconds
+  assert.ok(Math.abs(chain.levels.gainDb - 20) < 1, `gain ${chain.levels.gainDb} dB`);
+  assert.ok(Math.abs(levelDb(output) + 20) < 1, `output at ${levelDb(output)} dBFS`);
+});
+
+test('AGC turns a loud speaker down quickly', () => {
+  const chain = agcChain();
+  let output;
+  for (const frame of framesOf(toneAt(-10, 500))) output = chain.process(frame);
+
+  assert.ok(Math.abs(chain.levels.gainDb + 10) < 0.2, `gain ${chain.levels.gainDb} dB`);
+  assert.ok(Math.abs(levelDb(output) + 20) < 0.2, `output at ${levelDb(output)} dBFS`);
+});
+
+test('AGC holds its gain on input below the gate threshold, so noise is not pumped up', () => {
+  const chain = agcChain();
+  for (const frame of framesOf(toneAt(-70, 3000))) chain.process(frame);
+
+  assert.equal(chain.levels.gainDb, 0);
+});
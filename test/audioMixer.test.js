@@ -0,0 +1,64 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAudioMixer } from '../utils/streamingAudioProcessor.js';
+
+const SAMPLE_RATE = 16000;
+
+// A mono PCM buffer of `ms` milliseconds holding one constant sample value
+function constant(value, ms) {
+  const samples = (SAMPLE_RATE * ms) / 1000;
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) buffer.writeInt16LE(value, i * 2);
+  return buffer;
+}
+
+function samplesOf(frame) {
+  return Array.from({ length: frame.length / 2 }, (_, i) => frame.readInt16LE(i * 2));
+}
+
+// Queues each speaker's audio, then plays everything out the way stop() does at the end of a session
+function mix(speakers) {
+  const mixed = [];
+  const tracks = new Map();
+  const mixer = createAudioMixer({
+    sampleRate: SAMPLE_RATE,
+    onTrackFrame: (userId, frame) => tracks.set(userId, [...(tracks.get(userId) || []), frame]),
+    onMixFrame: (frame) => mixed.push(frame)
+  });
+  mixer.start();
+  for (const [userId, pcm] of Object.entries(speakers)) mixer.push(userId, pcm);
+  mixer.stop();
+  return { mixed: mixed.flatMap(samplesOf), tracks };
+}
+
+test('overlapping speakers are summed sample by sample below the clipping knee', () => {
+  const { mixed, tracks } = mix({ alice: constant(1000, 300), bob: constant(-3000, 300) });
+
+  assert.equal(mixed.length, (SAMPLE_RATE * 300) / 1000);
+  assert.ok(mixed.every(sample => sample === -2000));
+  // Each speaker's own track is passed through untouched
+  assert.ok(tracks.get('alice').flatMap(samplesOf).every(sample => sample === 1000));
+});
+
+test('loud overlapping speakers stay inside the int16 range without hard clipping', () => {
+  const { mixed } = mix({ alice: constant(30000, 200), bob: constant(30000, 200), carol: constant(30000, 200) });
+  const { mixed: negative } = mix({ alice: constant(-32768, 200), bob: constant(-32768, 200) });
+
+  for (const sample of [...mixed, ...negative]) {
+    assert.ok(sample <= 32767 && sample >= -32767, `sample ${sample} is out of range`);
+  }
+  // Compressed above the knee (80% of full scale), but still louder than one speaker alone
+  assert.ok(mixed[0] > 30000 && mixed[0] <= 32767);
+  assert.ok(negative[0] < -0.8 * 32767);
+});
+
+test('a speaker who runs dry is padded with silence to a whole frame', () => {
+  const { mixed, tracks } = mix({ alice: constant(500, 150) });
+  const frameSamples = (SAMPLE_RATE * 100) / 1000;
+
+  assert.equal(mixed.length, 2 * frameSamples);
+  assert.ok(mixed.slice(0, frameSamples * 1.5).every(sample => sample === 500));
+  assert.ok(mixed.slice(frameSamples * 1.5).every(sample => sample === 0));
+  assert.equal(tracks.get('alice').length, 2);
+});
@@ -0,0 +1,17 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Test environment - config.js exits on import without its required variables, so test files
+ * that reach it import this module first. Settings go to a scratch directory.
+ */
+
+const scratchDir = mkdtempSync(join(tmpdir(), 'transcord-test-'));
+process.env.DISCORD_BOT_TOKEN ||= 'test';
+process.env.GEMINI_API_KEY ||= 'test';
+process.env.TRANSCRIPTION_PROVIDER = 'mock';
+process.env.DATA_DIR = join(scratchDir, 'data');
+process.env.RECORDINGS_DIR = join(scratchDir, 'recordings');
+
+process.on('exit', () => rmSync(scratchDir, { recursive: true, force: true }));
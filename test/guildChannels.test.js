@@ -0,0 +1,48 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { resolveGuildChannel } from '../utils/guildChannels.js';
+
+// Stands in for the discord.js client: channel ID -> guild it belongs to
+function fakeClient(channels) {
+  return {
+    channels: {
+      fetch: async (id) => {
+        if (!channels[id]) throw new Error('Unknown Channel');
+        return { id, guildId: channels[id], isTextBased: () => true };
+      }
+    }
+  };
+}
+
+const client = fakeClient({
+  [config.discord.summaryChannelId]: 'guild-a',
+  'a-text': 'guild-a',
+  'b-text': 'guild-b',
+  'b-summary': 'guild-b'
+});
+
+test('the global summary channel is only used in the guild it belongs to', async () => {
+  assert.equal((await resolveGuildChannel(client, 'guild-a', 'summary', 'a-text')).id, config.discord.summaryChannelId);
+  assert.equal((await resolveGuildChannel(client, 'guild-b', 'summary', 'b-text')).id, 'b-text');
+});
+
+test('a guild entry in GUILD_CHANNELS wins', async () => {
+  config.discord.guildChannels['guild-b'] = { summary: 'b-summary' };
+  try {
+    assert.equal((await resolveGuildChannel(client, 'guild-b', 'summary', 'b-text')).id, 'b-summary');
+  } finally {
+    delete config.discord.guildChannels['guild-b'];
+  }
+});
+
+test('nothing is posted outside the guild, whatever is configured', async () => {
+  config.discord.guildChannels['guild-b'] = { status: 'a-text' };
+  try {
+    assert.equal(await resolveGuildChannel(client, 'guild-b', 'status', 'a-text'), null);
+    assert.equal(await resolveGuildChannel(client, null, 'status', 'a-text'), null);
+  } finally {
+    delete config.discord.guildChannels['guild-b'];
+  }
+});
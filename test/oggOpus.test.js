@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOggOpusSilence, createOggPageWriter } from '../utils/oggOpus.js';
+
+// Splits a written stream back into pages
+function parsePages(stream) {
+  const pages = [];
+  let offset = 0;
+  while (offset < stream.length) {
+    assert.equal(stream.toString('ascii', offset, offset + 4), 'OggS');
+    const segments = stream.readUInt8(offset + 26);
+    const lacing = [...stream.subarray(offset + 27, offset + 27 + segments)];
+    const length = 27 + segments + lacing.reduce((sum, value) => sum + value, 0);
+    pages.push({
+      flags: stream.readUInt8(offset + 5),
+      granule: Number(stream.readBigInt64LE(offset + 6)),
+      sequence: stream.readUInt32LE(offset + 18),
+      segments,
+      lacing
+    });
+    offset += length;
+  }
+  return pages;
+}
+
+function writeStream(packets) {
+  const chunks = [];
+  const writer = createOggPageWriter({ serial: 1234, onData: (page) => chunks.push(page) });
+  writer.writeHeader(Buffer.from('OpusHead'), 0x02);
+  packets.forEach((packet, i) => writer.addPacket(packet, (i + 1) * 960));
+  writer.flush(0x04);
+  return Buffer.concat(chunks);
+}
+
+test('large packets are split across pages so no page exceeds 255 segments', () => {
+  // 1000-byte packets take 4 lacing values each; 50 of them would need 200, 100 would need 400
+  const packets = Array.from({ length: 100 }, (_, i) => Buffer.alloc(1000, i));
+  const pages = parsePages(writeStream(packets));
+
+  for (const page of pages) {
+    assert.ok(page.segments <= 255, `page ${page.sequence} has ${page.segments} segments`);
+  }
+
+  // Every packet survives: a lacing value below 255 ends one
+  const audioPackets = pages.slice(1).flatMap((page) => page.lacing.filter((value) => value < 255));
+  assert.equal(audioPackets.length, 100);
+});
+
+test('pages of small packets still close at 50 packets', () => {
+  // 85 packets of 3 segments each would fit the 255 lacing values of one page
+  const packets = Array.from({ length: 85 }, () => Buffer.alloc(600));
+  const pages = [];
+  const writer = createOggPageWriter({ serial: 1, onData: (page) => pages.push(page) });
+  packets.forEach((packet, i) => writer.addPacket(packet, (i + 1) * 960));
+  writer.flush();
+
+  const parsed = parsePages(Buffer.concat(pages));
+  // Pages still close at 50 packets: 150 segments, then 35 packets / 105 segments
+  assert.deepEqual(parsed.map((page) => page.segments), [150, 105]);
+});
+
+test('page sequence numbers and granule positions increase', () => {
+  const packets = Array.from({ length: 120 }, () => Buffer.alloc(1500));
+  const pages = parsePages(writeStream(packets));
+
+  pages.forEach((page, i) => assert.equal(page.sequence, i));
+  for (let i = 2; i < pages.length; i++) {
+    assert.ok(pages[i].granule > pages[i - 1].granule);
+  }
+  assert.equal(pages[0].flags, 0x02);
+  assert.equal(pages.at(-1).flags, 0x04);
+  assert.equal(pages.at(-1).granule, 120 * 960);
+});
+
+test('silence streams end on the exact granule of their duration', () => {
+  const pages = parsePages(createOggOpusSilence(1010, 16000));
+
+  assert.equal(pages[0].flags, 0x02);
+  assert.equal(pages.at(-1).flags, 0x04);
+  assert.equal(pages.at(-1).granule, 1010 * 48);
+  // 1010 ms needs 51 frames of 20 ms; the last one is trimmed by the granule
+  const audioPackets = pages.slice(2).flatMap((page) => page.lacing);
+  assert.equal(audioPackets.length, 51);
+});
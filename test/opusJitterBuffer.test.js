@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { OPUS_SILENCE_FRAME, attachRtpHeaderCapture, createOpusJitterBuffer } from '../utils/opusJitterBuffer.js';
+
+// Stands in for the @discordjs/voice receiver: the payload follows a 12-byte RTP header
+const receiver = {
+  parsePacket: (buffer) => buffer.subarray(12)
+};
+attachRtpHeaderCapture(receiver);
+
+// Parses an RTP packet carrying "p<sequence>" the way the receiver would
+function packet(sequence, timestamp = sequence * 960) {
+  const buffer = Buffer.alloc(12);
+  buffer.writeUInt16BE(sequence, 2);
+  buffer.writeUInt32BE(timestamp >>> 0, 4);
+  return receiver.parsePacket(Buffer.concat([buffer, Buffer.from(`p${sequence}`)]));
+}
+
+// Runs packets through a jitter buffer and names what comes out
+async function run(packets, options) {
+  const buffer = createOpusJitterBuffer(options);
+  const out = [];
+  buffer.on('data', (payload) => out.push(payload.equals(OPUS_SILENCE_FRAME) ? 'silence' : payload.toString()));
+  for (const payload of packets) buffer.write(payload);
+  buffer.end();
+  await once(buffer, 'end');
+  return out;
+}
+
+test('packets are put back in sequence order', async () => {
+  const metrics = {};
+  const out = await run([1, 3, 2, 4].map(s => packet(s)), { metrics });
+
+  assert.deepEqual(out, ['p1', 'p2', 'p3', 'p4']);
+  assert.equal(metrics.packetsReordered, 1);
+});
+
+test('ordering survives the 16-bit sequence wraparound', async () => {
+  const out = await run([65534, 0, 65535, 1].map(s => packet(s)));
+
+  assert.deepEqual(out, ['p65534', 'p65535', 'p0', 'p1']);
+});
+
+test('duplicates are dropped, or passed through with dedupe off', async () => {
+  const metrics = {};
+  assert.deepEqual(await run([1, 2, 2, 3, 1].map(s => packet(s)), { metrics }), ['p1', 'p2', 'p3']);
+  assert.equal(metrics.packetsDeduped, 2);
+
+  assert.deepEqual(await run([1, 2, 2, 3].map(s => packet(s)), { dedupe: false }), ['p1', 'p2', 'p2', 'p3']);
+});
+
+test('lost packets are concealed with silence once the buffer depth has passed', async () => {
+  const metrics = {};
+  const losses = [];
+  const out = await run([1, 2, 5, 6, 7, 8, 3].map(s => packet(s)), {
+    depthMs: 60,
+    metrics,
+    onLoss: loss => losses.push(loss)
+  });
+
+  // 3 and 4 are missing while 5..7 wait; 8 overflows the three-packet depth
+  assert.deepEqual(out, ['p1', 'p2', 'silence', 'silence', 'p5', 'p6', 'p7', 'p8']);
+  assert.deepEqual(losses, [{ lostFrames: 2, concealedFrames: 2 }]);
+  assert.equal(metrics.framesConcealed, 2);
+  // 3 finally arrives after its slot was filled
+  assert.equal(metrics.packetsLate, 1);
+});
+
+test('a pause in transmission is not concealed as loss', async () => {
+  // Sequence numbers continue, but the timestamp shows the sender stopped for two seconds
+  const out = await run([packet(1, 960), packet(3, 960 * 102), packet(2, 960 * 101)]);
+
+  assert.deepEqual(out, ['p1', 'p2', 'p3']);
+});
+
+test('concealment is capped and packets without a header pass straight through', async () => {
+  const losses = [];
+  const out = await run([packet(1), packet(200), Buffer.from('raw')], {
+    depthMs: 20,
+    maxConcealMs: 100,
+    onLoss: loss => losses.push(loss)
+  });
+
+  assert.deepEqual(losses, [{ lostFrames: 198, concealedFrames: 5 }]);
+  assert.deepEqual(out, ['p1', 'raw', 'silence', 'silence', 'silence', 'silence', 'silence', 'p200']);
+});
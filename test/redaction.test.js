@@ -0,0 +1,43 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRedactor } from '../utils/redaction.js';
+
+const redactor = createRedactor({ enabled: true, types: ['email', 'phone', 'credit_card', 'ssn', 'ip_address'] });
+const redact = text => redactor.redact(text).text;
+
+test('card numbers are redacted only when they pass the Luhn check', () => {
+  assert.equal(redact('Card 4111 1111 1111 1111 please'), 'Card [CARD_NUMBER] please');
+  assert.equal(redact('Card 4111-1111-1111-1111.'), 'Card [CARD_NUMBER].');
+  // Same length, bad checksum: an order number, not a card
+  assert.equal(redact('Order 4111 1111 1111 1112 shipped'), 'Order 4111 1111 1111 1112 shipped');
+});
+
+test('phone numbers need 8 to 15 digits in the international form', () => {
+  assert.equal(redact('Call +1 415 555 0134 today'), 'Call [PHONE] today');
+  assert.equal(redact('Call (415) 555-0134 today'), 'Call [PHONE] today');
+  assert.equal(redact('Score was +1 2 3 overall'), 'Score was +1 2 3 overall');
+  assert.equal(redact('Dial +44 20 7946 0958 1234 5678 now'), 'Dial +44 20 7946 0958 1234 5678 now');
+});
+
+test('IP addresses are redacted, version numbers and out-of-range octets are not', () => {
+  assert.equal(redact('The server is at 10.0.12.255.'), 'The server is at [IP_ADDRESS].');
+  assert.equal(redact('We upgraded to version 1.2.3.4 today'), 'We upgraded to version 1.2.3.4 today');
+  assert.equal(redact('Running v2.10.0.1 and V 3.1.4.1'), 'Running v2.10.0.1 and V 3.1.4.1');
+  assert.equal(redact('Not an address: 300.1.1.1'), 'Not an address: 300.1.1.1');
+  assert.equal(redact('Build 1.2.3.4.5 failed'), 'Build 1.2.3.4.5 failed');
+});
+
+test('emails and SSNs get their own labels and counts', () => {
+  const { text, counts } = redactor.redact('Mail ana.lee@example.com, SSN 123-45-6789');
+
+  assert.equal(text, 'Mail [EMAIL], SSN [SSN]');
+  assert.deepEqual(counts, { email: 1, ssn: 1 });
+});
+
+test('sensitive terms are redacted even with the detectors off', () => {
+  const termsOnly = createRedactor({ enabled: false, terms: ['Project Falcon', 'Falcon'] });
+
+  assert.equal(termsOnly.redact('project  falcon and Falcon, not falconry').text, '[SENSITIVE_TERM] and [SENSITIVE_TERM], not falconry');
+  assert.equal(createRedactor({ enabled: false, terms: [] }), null);
+});
@@ -0,0 +1,28 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { config } from '../config.js';
+import { startStreamingServer, frame, waitFor } from './streamingServer.js';
+import { createStreamingTranscriber, connectAudioStream, sendSpeakerAudio, getStreamingStats, stopStreamingTranscription } from '../utils/streamingTranscription.js';
+
+test('a speaker is given up after the last reconnect attempt, and the transcript says so', async () => {
+  const server = await startStreamingServer({ refuseReconnects: true });
+  const sessionId = 'give-up-test';
+  config.streaming.reconnectMaxAttempts = 2;
+  await createStreamingTranscriber(sessionId, { provider: 'mock', sampleRate: 16000 });
+  await connectAudioStream(sessionId, new PassThrough({ objectMode: true }), 'bob', 'Bob', { onFrame: () => {} });
+
+  let transcript;
+  try {
+    server.connections[0].ws.terminate();
+    await waitFor(() => server.connections.length === 3 && !getStreamingStats(sessionId).speakers[0].reconnecting);
+    assert.equal(sendSpeakerAudio(sessionId, 'bob', frame(1)), false);
+  } finally {
+    transcript = await stopStreamingTranscription(sessionId);
+    server.close();
+  }
+
+  const lost = transcript.timeline.events.find(event => event.type === 'transcription_lost');
+  assert.equal(lost.description, '[Transcription of Bob stopped after repeated connection failures]');
+});
@@ -0,0 +1,40 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { startStreamingServer, frame, waitFor } from './streamingServer.js';
+import { createStreamingTranscriber, connectAudioStream, sendSpeakerAudio, getStreamingStats, getPipelineMetrics, stopStreamingTranscription } from '../utils/streamingTranscription.js';
+
+test('audio sent during an outage is replayed in order after the reconnect', async () => {
+  const server = await startStreamingServer();
+  const sessionId = 'reconnect-test';
+  await createStreamingTranscriber(sessionId, { provider: 'mock', sampleRate: 16000 });
+  await connectAudioStream(sessionId, new PassThrough({ objectMode: true }), 'alice', 'Alice', { onFrame: () => {} });
+  const speakerStats = () => getStreamingStats(sessionId).speakers[0];
+
+  try {
+    sendSpeakerAudio(sessionId, 'alice', frame(1));
+    await waitFor(() => server.connections[0].frames.length === 1);
+
+    // Drop the socket; until the reconnect, frames are held instead of lost
+    server.connections[0].ws.terminate();
+    await waitFor(() => speakerStats().reconnecting);
+    assert.equal(sendSpeakerAudio(sessionId, 'alice', frame(2)), false);
+    assert.equal(sendSpeakerAudio(sessionId, 'alice', frame(3)), false);
+    assert.equal(speakerStats().bufferedBytes, 6400);
+
+    await waitFor(() => server.connections.length === 2 && server.connections[1].frames.length === 2);
+    assert.ok(sendSpeakerAudio(sessionId, 'alice', frame(4)));
+    await waitFor(() => server.connections[1].frames.length === 3);
+
+    assert.deepEqual(server.connections[1].frames, [2, 3, 4]);
+    assert.equal(speakerStats().reconnecting, false);
+    assert.equal(speakerStats().bufferedBytes, 0);
+    const metrics = getPipelineMetrics(sessionId).totals;
+    assert.equal(metrics.framesBuffered, 2);
+    assert.equal(metrics.framesSent, 4);
+  } finally {
+    await stopStreamingTranscription(sessionId);
+    server.close();
+  }
+});
@@ -0,0 +1,50 @@
+import { once } from 'events';
+import { WebSocketServer } from 'ws';
+import { config } from '../config.js';
+
+/**
+ * Streaming test server - stands in for the AssemblyAI v3 endpoint and keeps the first byte of
+ * every audio frame each connection received. The reconnect tests import it after env.js.
+ */
+
+// Frames are sent straight through: no voice gate, short backoff
+config.streaming.vad.enabled = false;
+config.streaming.reconnectBaseDelayMs = 100;
+config.streaming.reconnectMaxDelayMs = 100;
+
+/**
+ * Starts the server and points the mock provider at it.
+ * @param {Object} [options]
+ * @param {boolean} [options.refuseReconnects] - Close every connection after the first before its session begins
+ * @returns {Promise<{connections: Array<{ws: import('ws').WebSocket, frames: number[]}>, close: Function}>}
+ */
+export async function startStreamingServer({ refuseReconnects = false } = {}) {
+  const wss = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await once(wss, 'listening');
+  const connections = [];
+  wss.on('connection', (ws) => {
+    const connection = { ws, frames: [] };
+    connections.push(connection);
+    if (refuseReconnects && connections.length > 1) return ws.close();
+    ws.on('message', (message, isBinary) => {
+      if (isBinary) connection.frames.push(message[0]);
+      else if (JSON.parse(message.toString()).type === 'Terminate') ws.close();
+    });
+    ws.send(JSON.stringify({ type: 'Begin', id: `provider-${connections.length}` }));
+  });
+  config.transcription.mock.url = `ws://127.0.0.1:${wss.address().port}`;
+  return { connections, close: () => wss.close() };
+}
+
+// A 100 ms frame at 16 kHz whose samples all hold `tag`, so the server can tell frames apart
+export function frame(tag) {
+  return Buffer.alloc(3200, tag);
+}
+
+export async function waitFor(condition, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
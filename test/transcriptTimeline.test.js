@@ -0,0 +1,77 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTimestamp, buildTimeline, toSrt, toWebVtt } from '../utils/transcriptTimeline.js';
+
+const turn = (startMs, endMs, speakerName, text, words) => ({ startMs, endMs, speakerName, text, words });
+
+test('formatTimestamp pads hours, minutes and seconds', () => {
+  assert.equal(formatTimestamp(0), '00:00:00');
+  assert.equal(formatTimestamp(754999), '00:12:34');
+  assert.equal(formatTimestamp(3723000), '01:02:03');
+  assert.equal(formatTimestamp(-500), '00:00:00');
+});
+
+test('SRT cues use comma milliseconds and number from 1', () => {
+  const timeline = buildTimeline({
+    startTime: 0,
+    endTime: 10000,
+    turns: [turn(3723004, 3725250, 'Bob', 'Later.'), turn(1500, 2999.6, 'Alice', 'Hello there.')],
+    events: []
+  });
+
+  assert.equal(toSrt(timeline), [
+    '1\n00:00:01,500 --> 00:00:03,000\nAlice: Hello there.\n',
+    '2\n01:02:03,004 --> 01:02:05,250\nBob: Later.\n'
+  ].join('\n'));
+});
+
+test('long turns with word timings are split into several cues', () => {
+  const words = Array.from({ length: 10 }, (_, i) => ({ text: `w${i}`, start: i * 1000, end: i * 1000 + 800 }));
+  const timeline = buildTimeline({
+    startTime: 0,
+    endTime: 10000,
+    turns: [turn(0, 9800, 'Alice', words.map(word => word.text).join(' '), words)],
+    events: []
+  });
+
+  const cues = toSrt(timeline).split('\n\n');
+  assert.equal(cues.length, 2);
+  assert.match(cues[0], /^1\n00:00:00,000 --> 00:00:06,800\nAlice: w0 w1 w2 w3 w4 w5 w6$/);
+  assert.match(cues[1], /^2\n00:00:07,000 --> 00:00:09,800\nAlice: w7 w8 w9\n$/);
+});
+
+test('WebVTT uses dot milliseconds, voice tags and chapter notes', () => {
+  const timeline = buildTimeline({
+    startTime: 0,
+    endTime: 300000,
+    turns: [turn(1000, 2000, 'Alice', 'First topic.'), turn(200000, 201500, 'Bob', 'Second topic.')],
+    events: []
+  });
+
+  assert.equal(toWebVtt(timeline), [
+    'WEBVTT',
+    'NOTE Chapter 1: First topic.',
+    '00:00:01.000 --> 00:00:02.000\n<v Alice>First topic.',
+    'NOTE Chapter 2: Second topic.',
+    '00:03:20.000 --> 00:03:21.500\n<v Bob>Second topic.'
+  ].join('\n\n') + '\n');
+});
+
+test('chapters start after a pause of 90 seconds', () => {
+  const { chapters } = buildTimeline({
+    startTime: 0,
+    endTime: 400000,
+    turns: [
+      turn(0, 10000, 'Alice', 'One.'),
+      turn(99000, 100000, 'Bob', 'Still one.'),
+      turn(190000, 191000, 'Alice', 'Two.')
+    ],
+    events: []
+  });
+
+  assert.deepEqual(chapters.map(chapter => [chapter.startMs, chapter.endMs, chapter.title]), [
+    [0, 100000, 'One.'],
+    [190000, 191000, 'Two.']
+  ]);
+});
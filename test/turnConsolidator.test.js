@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTurnConsolidator, summarizeTurns } from '../utils/turnConsolidator.js';
+
+const version = (fields) => ({ userId: 'u1', providerSessionId: 's1', turnOrder: 0, text: '', ...fields });
+
+test('keeps the best version of a turn in its first-seen position', () => {
+  const consolidator = createTurnConsolidator();
+  consolidator.add(version({ text: 'hello' }));
+  consolidator.add(version({ turnOrder: 1, text: 'next' }));
+  consolidator.add(version({ text: 'hello there', endOfTurn: true }));
+  consolidator.add(version({ text: 'Hello there.', endOfTurn: true, isFormatted: true }));
+
+  assert.deepEqual(consolidator.turns.map(turn => turn.text), ['Hello there.', 'next']);
+});
+
+test('a lower-ranked version arriving late is discarded', () => {
+  const consolidator = createTurnConsolidator();
+  consolidator.add(version({ text: 'Hello there.', endOfTurn: true, isFormatted: true }));
+
+  assert.equal(consolidator.add(version({ text: 'hello there', endOfTurn: true })), null);
+  assert.equal(consolidator.add(version({ text: 'hello' })), null);
+  assert.equal(consolidator.turns[0].text, 'Hello there.');
+});
+
+test('turn order is scoped to the speaker and the provider session', () => {
+  const consolidator = createTurnConsolidator();
+  consolidator.add(version({ text: 'first session', endOfTurn: true }));
+  consolidator.add(version({ providerSessionId: 's2', text: 'after rollover', endOfTurn: true }));
+  consolidator.add(version({ userId: 'u2', text: 'other speaker', endOfTurn: true }));
+
+  assert.equal(consolidator.turns.length, 3);
+});
+
+test('entries without a turn order are all kept', () => {
+  const consolidator = createTurnConsolidator();
+  consolidator.add(version({ turnOrder: undefined, text: 'a' }));
+  consolidator.add(version({ turnOrder: null, text: 'b' }));
+
+  assert.equal(consolidator.turns.length, 2);
+});
+
+test('summarizeTurns counts words and averages word confidence', () => {
+  const stats = summarizeTurns([
+    { text: 'one two', endOfTurn: true, words: [{ text: 'one', confidence: 0.9 }, { text: 'two', confidence: 0.8 }] },
+    { text: 'three four five', endOfTurn: false }
+  ]);
+
+  assert.deepEqual(stats, { totalWords: 5, averageConfidence: 85, unfinalizedTurns: 1 });
+});
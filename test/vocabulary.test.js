@@ -0,0 +1,37 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyVocabularyCorrections } from '../utils/vocabulary.js';
+
+test('misheard variants and wrong casing are replaced by the term', () => {
+  const vocabulary = [{ term: 'Transcord', soundsLike: ['trans cord', 'transcored'] }];
+
+  assert.equal(
+    applyVocabularyCorrections('We use trans  cord and transcored, not TRANSCORD.', vocabulary),
+    'We use Transcord and Transcord, not Transcord.'
+  );
+});
+
+test('replacement patterns in a term are inserted literally', () => {
+  const vocabulary = [
+    { term: 'A$&B', soundsLike: ['ayb'] },
+    { term: 'C$1D', soundsLike: ['seed'] }
+  ];
+
+  assert.equal(applyVocabularyCorrections('ayb and seed', vocabulary), 'A$&B and C$1D');
+});
+
+test('only whole words are corrected', () => {
+  const vocabulary = [{ term: 'Kube', soundsLike: ['cube'] }];
+
+  assert.equal(applyVocabularyCorrections('a cube, cubed, icube', vocabulary), 'a Kube, cubed, icube');
+});
+
+test('longer variants are corrected before the shorter ones inside them', () => {
+  const vocabulary = [
+    { term: 'Postgres', soundsLike: ['post'] },
+    { term: 'PostHog', soundsLike: ['post hog'] }
+  ];
+
+  assert.equal(applyVocabularyCorrections('post hog reads from post', vocabulary), 'PostHog reads from Postgres');
+});
@@ -0,0 +1,492 @@
+/**
+ * Audio DSP helpers for the streaming pipeline
+ * Stereo downmix, band-limited sample rate conversion, per-speaker level processing and
+ * voice activity gating for PCM s16le audio
+ */
+
+/**
+ * Greatest common divisor, used to reduce a resampling ratio to L/M
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * Builds a windowed-sinc low-pass prototype filter split into polyphase branches
+ * @param {number} up - Interpolation factor (L)
+ * @param {number} down - Decimation factor (M)
+ * @param {number} tapsPerPhase - Filter taps per polyphase branch
+ * @returns {Float64Array[]} One coefficient set per phase
+ */
+function designPolyphaseFilter(up, down, tapsPerPhase) {
+  const length = up * tapsPerPhase;
+  // Cut off a little below the lower Nyquist frequency so the transition band does not alias
+  const cutoff = 0.5 * Math.min(1 / up, 1 / down) * 0.9;
+  const center = (length - 1) / 2;
+
+  const prototype = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    const x = i - center;
+    const sinc = x === 0 ? 1 : Math.sin(2 * Math.PI * cutoff * x) / (2 * Math.PI * cutoff * x);
+    // Blackman window
+    const window = 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / (length - 1)) + 0.08 * Math.cos((4 * Math.PI * i) / (length - 1));
+    // Gain of `up` compensates for the zeros inserted by interpolation
+    prototype[i] = up * 2 * cutoff * sinc * window;
+  }
+
+  const phases = [];
+  for (let p = 0; p < up; p++) {
+    const taps = new Float64Array(tapsPerPhase);
+    for (let k = 0; k < tapsPerPhase; k++) taps[k] = prototype[p + k * up];
+    phases.push(taps);
+  }
+  return phases;
+}
+
+/**
+ * Creates a streaming polyphase resampler. State is kept between calls so
+ * consecutive chunks resample as one continuous signal.
+ * @param {number} inputRate - Input sample rate (Hz)
+ * @param {number} outputRate - Output sample rate (Hz)
+ * @param {number} [tapsPerPhase=64] - Filter length per phase; longer gives a sharper anti-aliasing filter
+ * @returns {Function} (Float64Array samples) => Float64Array resampled samples
+ */
+export function createResampler(inputRate, outputRate, tapsPerPhase = 64) {
+  if (inputRate === outputRate) return (samples) => samples;
+
+  const divisor = gcd(inputRate, outputRate);
+  const up = outputRate / divisor;
+  const down = inputRate / divisor;
+  const phases = designPolyphaseFilter(up, down, tapsPerPhase);
+
+  // Previous input samples needed by the filter, primed with silence
+  let history = new Float64Array(tapsPerPhase - 1);
+  // Absolute input index of history[0]
+  let historyStart = -(tapsPerPhase - 1);
+  // Absolute index of the next output sample
+  let outputIndex = 0;
+
+  return function resample(samples) {
+    const buffer = new Float64Array(history.length + samples.length);
+    buffer.set(history, 0);
+    buffer.set(samples, history.length);
+    const bufferEnd = historyStart + buffer.length;
+
+    const output = [];
+    for (;;) {
+      const upIndex = outputIndex * down;
+      const base = Math.floor(upIndex / up);
+      if (base >= bufferEnd) break;
+
+      const taps = phases[upIndex % up];
+      const offset = base - historyStart;
+      let acc = 0;
+      for (let k = 0; k < tapsPerPhase; k++) acc += buffer[offset - k] * taps[k];
+      output.push(acc);
+      outputIndex++;
+    }
+
+    history = buffer.slice(buffer.length - (tapsPerPhase - 1));
+    historyStart = bufferEnd - history.length;
+    return Float64Array.from(output);
+  };
+}
+
+/**
+ * Averages interleaved stereo s16le PCM into mono samples
+ * @param {Buffer} chunk - Interleaved stereo PCM (4 bytes per frame)
+ * @returns {Float64Array} Mono samples in int16 scale
+ */
+export function downmixStereo(chunk) {
+  const frames = Math.floor(chunk.length / 4);
+  const mono = new Float64Array(frames);
+  for (let i = 0; i < frames; i++) {
+    mono[i] = (chunk.readInt16LE(i * 4) + chunk.readInt16LE(i * 4 + 2)) / 2;
+  }
+  return mono;
+}
+
+/**
+ * Converts samples in int16 scale to a PCM s16le buffer, clamping out-of-range values
+ * @param {Float64Array} samples
+ * @returns {Buffer}
+ */
+export function toPcm16(samples) {
+  const out = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    out.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(samples[i]))), i * 2);
+  }
+  return out;
+}
+
+/**
+ * Converts a level in decibels to a linear gain
+ * @param {number} db
+ * @returns {number}
+ */
+function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+/**
+ * Level of an RMS or peak value in dB relative to int16 full scale, floored at -96 dBFS
+ * @param {number} value - RMS or peak in int16 scale
+ * @returns {number} dBFS
+ */
+function toDbfs(value) {
+  return value > 0 ? Math.max(-96, 20 * Math.log10(value / 32767)) : -96;
+}
+
+/**
+ * Smoothing factor that reaches ~63% of a step after the given time
+ * @param {number} timeMs - Time constant
+ * @param {number} stepMs - Time between updates (1000 / sampleRate for per-sample smoothing)
+ * @returns {number} Smoothing factor (0..1)
+ */
+function timeCoefficient(timeMs, stepMs) {
+  return 1 - Math.exp(-stepMs / Math.max(timeMs, stepMs));
+}
+
+/**
+ * Designs a second-order Butterworth high-pass filter (RBJ cookbook biquad)
+ * @param {number} cutoffHz - Cutoff frequency
+ * @param {number} sampleRate - Sample rate
+ * @returns {Object} Normalized coefficients { b0, b1, b2, a1, a2 }
+ */
+function designHighPass(cutoffHz, sampleRate) {
+  const w0 = (2 * Math.PI * cutoffHz) / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+  const a0 = 1 + alpha;
+  return {
+    b0: (1 + cos) / 2 / a0,
+    b1: -(1 + cos) / a0,
+    b2: (1 + cos) / 2 / a0,
+    a1: (-2 * cos) / a0,
+    a2: (1 - alpha) / a0
+  };
+}
+
+/**
+ * Creates one speaker's level processing chain: a high-pass filter against rumble and hum, a noise
+ * gate that turns down steady background noise (fans) between words, and automatic gain control
+ * that brings quiet and loud mics to a common speech level. The input is metered whether or not
+ * the chain is enabled, so mics that are too quiet can be pointed out.
+ * @param {Object} options - Chain options (config.streaming.dsp plus the sample rate)
+ * @param {number} options.sampleRate - Sample rate of the mono PCM
+ * @param {boolean} [options.enabled=true] - Process audio; when false frames are only metered
+ * @param {Object} [options.highPass] - { enabled, cutoffHz }
+ * @param {Object} [options.noiseGate] - { enabled, thresholdDb, marginDb, reductionDb, holdMs, releaseMs }
+ * @param {Object} [options.agc] - { enabled, targetDb, maxGainDb, minGainDb, attackMs, releaseMs }
+ * @param {number} [options.quietInputDb=-40] - Speech level (dBFS) below which a mic is reported as too quiet
+ * @returns {Object} Chain: process(frame) -> processed frame, levels
+ */
+export function createSpeakerDspChain(options) {
+  const {
+    sampleRate,
+    enabled = true,
+    highPass = {},
+    noiseGate = {},
+    agc = {},
+    quietInputDb = -40
+  } = options;
+  const sampleMs = 1000 / sampleRate;
+  const minThresholdDb = noiseGate.thresholdDb ?? -50;
+  const marginDb = noiseGate.marginDb ?? 10;
+
+  // High-pass filter state
+  const hp = designHighPass(highPass.cutoffHz || 80, sampleRate);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+  // Noise gate state: mean-square envelope, current gain and remaining hold time
+  const envelopeCoeff = timeCoefficient(10, sampleMs);
+  const gateOpenCoeff = timeCoefficient(2, sampleMs);
+  const gateCloseCoeff = timeCoefficient(noiseGate.releaseMs || 150, sampleMs);
+  const gateFloor = dbToGain(-(noiseGate.reductionDb ?? 30));
+  const holdSamples = Math.round((noiseGate.holdMs ?? 200) / sampleMs);
+  let envelope = 0;
+  let gateGain = 1;
+  let holdRemaining = 0;
+
+  // AGC state
+  const targetDb = agc.targetDb ?? -20;
+  const maxGainDb = agc.maxGainDb ?? 24;
+  const minGainDb = agc.minGainDb ?? -12;
+  let gainDb = 0;
+
+  // Background noise estimate: falls quickly to quiet frames, rises slowly so speech does not lift it.
+  // The gate opens at whichever is higher, the configured threshold or a margin above the noise.
+  let noiseFloorDb = minThresholdDb - marginDb;
+  let gateThresholdDb = minThresholdDb;
+
+  // Input meter
+  let recentDb = -96;
+  let peak = 0;
+  let speechSquares = 0;
+  let speechSamples = 0;
+  let quietReported = false;
+
+  return {
+    /**
+     * Input levels: the recent input level, the average level while speaking, the loudest sample,
+     * the gain AGC is applying, and whether the mic is too quiet
+     */
+    get levels() {
+      const speechDb = speechSamples > 0 ? toDbfs(Math.sqrt(speechSquares / speechSamples)) : null;
+      const speechMs = speechSamples * sampleMs;
+      return {
+        inputDb: Math.round(recentDb * 10) / 10,
+        speechDb: speechDb === null ? null : Math.round(speechDb * 10) / 10,
+        peakDb: Math.round(toDbfs(peak) * 10) / 10,
+        gainDb: Math.round(gainDb * 10) / 10,
+        speechSeconds: Math.round(speechMs / 100) / 10,
+        // Judged only after a few seconds of speech, so one soft word does not count
+        tooQuiet: speechMs >= 3000 && speechDb < quietInputDb
+      };
+    },
+
+    /**
+     * Whether the mic has just been found too quiet; true once per chain
+     * @returns {boolean}
+     */
+    takeQuietWarning() {
+      if (quietReported || !this.levels.tooQuiet) return false;
+      quietReported = true;
+      return true;
+    },
+
+    /**
+     * Meters and processes one frame
+     * @param {Buffer} frame - Mono PCM s16le frame
+     * @returns {Buffer} Processed frame (the input frame itself when the chain is disabled)
+     */
+    process(frame) {
+      const count = frame.length >> 1;
+      if (count === 0) return frame;
+
+      let sumSquares = 0;
+      const samples = new Float64Array(count);
+      for (let i = 0; i < count; i++) {
+        const sample = frame.readInt16LE(i * 2);
+        samples[i] = sample;
+        sumSquares += sample * sample;
+        peak = Math.max(peak, Math.abs(sample));
+      }
+      const frameDb = toDbfs(Math.sqrt(sumSquares / count));
+      const frameMs = count * sampleMs;
+      recentDb += timeCoefficient(500, frameMs) * (frameDb - recentDb);
+      noiseFloorDb += timeCoefficient(frameDb < noiseFloorDb ? 200 : 10000, frameMs) * (frameDb - noiseFloorDb);
+      gateThresholdDb = Math.max(minThresholdDb, noiseFloorDb + marginDb);
+      if (frameDb > gateThresholdDb) {
+        speechSquares += sumSquares;
+        speechSamples += count;
+      }
+
+      if (!enabled) return frame;
+
+      const gateThresholdSquared = Math.pow(32767 * dbToGain(gateThresholdDb), 2);
+      let framePeak = 0;
+      let processedSquares = 0;
+      for (let i = 0; i < count; i++) {
+        let sample = samples[i];
+
+        if (highPass.enabled !== false) {
+          const filtered = hp.b0 * sample + hp.b1 * x1 + hp.b2 * x2 - hp.a1 * y1 - hp.a2 * y2;
+          x2 = x1; x1 = sample;
+          y2 = y1; y1 = filtered;
+          sample = filtered;
+        }
+
+        if (noiseGate.enabled !== false) {
+          envelope += envelopeCoeff * (sample * sample - envelope);
+          if (envelope >= gateThresholdSquared) {
+            holdRemaining = holdSamples;
+          } else if (holdRemaining > 0) {
+            holdRemaining--;
+          }
+          const target = holdRemaining > 0 ? 1 : gateFloor;
+          gateGain += (target > gateGain ? gateOpenCoeff : gateCloseCoeff) * (target - gateGain);
+          sample *= gateGain;
+        }
+
+        samples[i] = sample;
+        framePeak = Math.max(framePeak, Math.abs(sample));
+        processedSquares += sample * sample;
+      }
+
+      if (agc.enabled !== false) {
+        // Gain only follows speech; between words it holds, so background noise is not pumped up
+        const startGain = dbToGain(gainDb);
+        const processedDb = toDbfs(Math.sqrt(processedSquares / count));
+        if (processedDb > gateThresholdDb) {
+          const desiredDb = Math.max(minGainDb, Math.min(maxGainDb, targetDb - processedDb));
+          // Turn down quickly when too loud, turn up slowly when too quiet
+          const timeMs = desiredDb < gainDb ? (agc.attackMs || 50) : (agc.releaseMs || 1500);
+          gainDb += timeCoefficient(timeMs, frameMs) * (desiredDb - gainDb);
+        }
+        // Never push the frame's loudest sample into clipping
+        if (framePeak > 0) gainDb = Math.min(gainDb, toDbfs(framePeak * 1.02) * -1);
+
+        // Ramp across the frame so gain changes do not click
+        const endGain = dbToGain(gainDb);
+        for (let i = 0; i < count; i++) {
+          samples[i] *= startGain + ((endGain - startGain) * (i + 1)) / count;
+        }
+      }
+
+      return toPcm16(samples);
+    }
+  };
+}
+
+/**
+ * Coefficient of a one-pole low-pass filter
+ * @param {number} cutoffHz - Cutoff frequency
+ * @param {number} sampleRate - Sample rate
+ * @returns {number} Smoothing factor (0..1)
+ */
+function onePoleCoefficient(cutoffHz, sampleRate) {
+  return 1 - Math.exp((-2 * Math.PI * cutoffHz) / sampleRate);
+}
+
+/**
+ * Creates a voice activity gate for one speaker. Frames pass while speech is detected and for
+ * a hangover period after it; silence is held back. Speech must last the attack time before the
+ * gate opens, and the audio just before the opening is released with it so word onsets survive.
+ * @param {Object} options - Gate options
+ * @param {number} options.sampleRate - Sample rate of the mono PCM
+ * @param {number} options.threshold - Normalized RMS (0..1) a frame must reach to count as speech
+ * @param {number} options.attackMs - Speech required before the gate opens
+ * @param {number} options.hangoverMs - Time the gate stays open after the last speech frame
+ * @param {number} options.leadInMs - Audio from before the opening that is released with it
+ * @param {boolean} [options.zeroCrossingCheck] - Also require a zero-crossing rate below maxZeroCrossingRate (rejects hiss)
+ * @param {number} [options.maxZeroCrossingRate] - Zero crossings per sample (0..1)
+ * @param {boolean} [options.spectralCheck] - Also require most energy in the speech band (rejects hum and hiss)
+ * @param {number} [options.minSpeechBandRatio] - Share of energy (0..1) that must fall between 100 Hz and 4 kHz
+ * @returns {Object} Gate: process(frame) -> frames to forward, isOpen, stats { sentMs, gatedMs, openings }
+ */
+export function createVoiceActivityGate(options) {
+  const {
+    sampleRate,
+    threshold,
+    attackMs,
+    hangoverMs,
+    leadInMs,
+    zeroCrossingCheck = false,
+    maxZeroCrossingRate = 0.35,
+    spectralCheck = false,
+    minSpeechBandRatio = 0.6
+  } = options;
+  const bytesPerMs = (sampleRate / 1000) * 2;
+  const highPass = onePoleCoefficient(100, sampleRate);
+  const lowPass = onePoleCoefficient(Math.min(4000, sampleRate / 2.5), sampleRate);
+
+  let open = false;
+  let speechRunMs = 0;
+  let silenceRunMs = 0;
+  let openings = 0;
+  let totalMs = 0;
+  let sentMs = 0;
+  // Recent held-back frames: the lead-in plus the speech counted towards the attack
+  const preRoll = [];
+  let preRollMs = 0;
+  // Filter state carried across frames
+  let lowState = 0;
+  let bandState = 0;
+  let bandOutput = 0;
+
+  const isSpeech = (frame) => {
+    const samples = frame.length >> 1;
+    if (samples === 0) return false;
+
+    let sumSquares = 0;
+    let bandSquares = 0;
+    let crossings = 0;
+    let previous = 0;
+    for (let i = 0; i < samples; i++) {
+      const sample = frame.readInt16LE(i * 2);
+      sumSquares += sample * sample;
+      if (i > 0 && (sample >= 0) !== (previous >= 0)) crossings++;
+      previous = sample;
+
+      // Band-pass: remove hum below ~100 Hz, then two low-pass stages above ~4 kHz
+      lowState += highPass * (sample - lowState);
+      bandState += lowPass * ((sample - lowState) - bandState);
+      bandOutput += lowPass * (bandState - bandOutput);
+      bandSquares += bandOutput * bandOutput;
+    }
+
+    const rms = Math.sqrt(sumSquares / samples) / 32767;
+    if (rms < threshold) return false;
+    if (zeroCrossingCheck && crossings / samples > maxZeroCrossingRate) return false;
+    if (spectralCheck && bandSquares / sumSquares < minSpeechBandRatio) return false;
+    return true;
+  };
+
+  return {
+    get isOpen() {
+      return open;
+    },
+
+    get stats() {
+      return { sentMs, gatedMs: totalMs - sentMs, openings };
+    },
+
+    /**
+     * Runs one frame through the gate
+     * @param {Buffer} frame - Mono PCM s16le frame
+     * @returns {Buffer[]} Frames to forward, oldest first (empty while the gate is closed)
+     */
+    process(frame) {
+      const frameMs = frame.length / bytesPerMs;
+      totalMs += frameMs;
+      const speech = isSpeech(frame);
+
+      if (open) {
+        if (speech) {
+          silenceRunMs = 0;
+        } else {
+          silenceRunMs += frameMs;
+          if (silenceRunMs > hangoverMs) {
+            open = false;
+            speechRunMs = 0;
+          }
+        }
+      } else {
+        speechRunMs = speech ? speechRunMs + frameMs : 0;
+        if (speechRunMs >= attackMs) {
+          open = true;
+          openings++;
+          silenceRunMs = 0;
+        }
+      }
+
+      if (open) {
+        const released = preRoll.splice(0, preRoll.length);
+        released.push(frame);
+        preRollMs = 0;
+        sentMs += released.reduce((sum, f) => sum + f.length / bytesPerMs, 0);
+        return released;
+      }
+
+      preRoll.push(frame);
+      preRollMs += frameMs;
+      while (preRoll.length > 1 && preRollMs - preRoll[0].length / bytesPerMs >= leadInMs + speechRunMs) {
+        preRollMs -= preRoll.shift().length / bytesPerMs;
+      }
+      return [];
+    }
+  };
+}
+
+export default {
+  createResampler,
+  downmixStereo,
+  toPcm16,
+  createSpeakerDspChain,
+  createVoiceActivityGate
+};
@@ -0,0 +1,285 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import { promises as fsp } from 'fs';
+import { join } from 'path';
+import { config, embedColors } from '../config.js';
+import {
+  addUserToStreamingSession,
+  removeUserFromStreamingSession,
+  getStreamingSessionStatus,
+  recordConsentPrompt,
+  recordConsentDecision,
+  getParticipantConsent,
+  getConsentRecord
+} from './streamingAudioProcessor.js';
+import { markParticipantUnrecorded } from './streamingTranscription.js';
+import { isOptedOut } from './optOutRegistry.js';
+
+/**
+ * Consent Gate - the Accept/Decline prompts of a recording started in consent mode.
+ * Nobody is recorded until they press Accept. Every prompt and decision is written to
+ * dataDir/consent/<sessionId>.json as it happens, and the record is kept with the transcript.
+ */
+
+// Button custom IDs: "consent:<accept|decline>:<sessionId>"
+const CUSTOM_ID_PREFIX = 'consent';
+
+// sessionId -> { message, thread, participants: Map userId -> displayName }
+const consentPrompts = new Map();
+
+/**
+ * Checks whether a button belongs to a consent prompt
+ * @param {string} customId - Button custom ID
+ * @returns {boolean} True for consent buttons
+ */
+export function isConsentButton(customId) {
+  return typeof customId === 'string' && customId.startsWith(`${CUSTOM_ID_PREFIX}:`);
+}
+
+/**
+ * Posts the consent prompt of a session, listing every participant and their answer
+ * @param {import('discord.js').TextBasedChannel} channel - Channel to post in (where /join was used)
+ * @param {string} sessionId - Session identifier
+ * @param {import('discord.js').GuildMember[]} members - Participants to ask
+ * @returns {Promise<import('discord.js').Message>} The prompt message
+ */
+export async function postConsentPrompt(channel, sessionId, members) {
+  const prompt = { message: null, thread: null, participants: new Map() };
+  consentPrompts.set(sessionId, prompt);
+
+  for (const member of members) {
+    prompt.participants.set(member.id, member.displayName);
+  }
+
+  prompt.message = await channel.send({
+    content: members.map(member => `<@${member.id}>`).join(' ') || undefined,
+    embeds: [buildPromptEmbed(sessionId, prompt)],
+    components: [createConsentButtons(sessionId)]
+  });
+
+  for (const member of members) {
+    recordConsentPrompt(sessionId, member.id, { displayName: member.displayName, via: 'channel', messageId: prompt.message.id });
+  }
+  await saveConsentRecord(sessionId);
+
+  console.log(`✋ [CONSENT] Asked ${members.length} participants for consent in session ${sessionId}`);
+  return prompt.message;
+}
+
+/**
+ * Asks a member who joined the channel after the recording started. Tries a DM first and falls
+ * back to a thread on the session's prompt message.
+ * @param {import('discord.js').GuildMember} member - Member who joined
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<boolean>} True if the member was asked
+ */
+export async function promptLateJoiner(member, sessionId) {
+  const consent = getParticipantConsent(sessionId, member.id);
+  // Members already asked keep their prompt; those who answered were handled by their answer
+  if (!consent || consent.prompted || consent.decision) return false;
+
+  const prompt = consentPrompts.get(sessionId);
+  if (prompt) prompt.participants.set(member.id, member.displayName);
+
+  const status = getStreamingSessionStatus(sessionId);
+  const embed = new EmbedBuilder()
+    .setColor(embedColors.warning)
+    .setTitle('✋ Recording Consent Needed')
+    .setDescription(`You joined <#${status?.channelId}>, which is being recorded and transcribed. You will not be recorded unless you press **Accept**. Your answer is saved with the session as a record of consent, and you can change it at any time during the meeting.`)
+    .setTimestamp();
+  const message = { embeds: [embed], components: [createConsentButtons(sessionId)] };
+
+  let via = null;
+  let sent = null;
+  try {
+    sent = await member.send(message);
+    via = 'dm';
+  } catch (dmError) {
+    console.warn(`⚠️ [CONSENT] Could not DM ${member.displayName}, asking in a thread instead:`, dmError.message);
+    try {
+      if (prompt?.message) {
+        if (!prompt.thread) {
+          prompt.thread = await prompt.message.startThread({ name: 'Recording consent', autoArchiveDuration: 60 });
+        }
+        sent = await prompt.thread.send({ content: `<@${member.id}>`, ...message });
+        via = 'thread';
+      }
+    } catch (threadError) {
+      console.warn(`⚠️ [CONSENT] Could not ask ${member.displayName} in a thread:`, threadError.message);
+    }
+  }
+
+  if (!via) {
+    console.warn(`⚠️ [CONSENT] Could not ask ${member.displayName} for consent in session ${sessionId}; they are not recorded`);
+    return false;
+  }
+
+  recordConsentPrompt(sessionId, member.id, { displayName: member.displayName, via, messageId: sent.id });
+  await saveConsentRecord(sessionId);
+  await refreshPromptMessage(sessionId);
+  console.log(`✋ [CONSENT] Asked late joiner ${member.displayName} for consent via ${via}`);
+  return true;
+}
+
+/**
+ * Handles a press of Accept or Decline: records the decision, then starts or stops recording
+ * the member if they are in the recorded channel
+ * @param {import('discord.js').ButtonInteraction} interaction - Button interaction
+ */
+export async function handleConsentButton(interaction) {
+  const [, action, sessionId] = interaction.customId.split(':');
+  const decision = action === 'accept' ? 'accepted' : 'declined';
+  const userId = interaction.user.id;
+
+  // Subscribing opens the provider socket, which can take longer than Discord's 3 s reply window
+  await interaction.deferReply({ flags: [64] }); // 64 = EPHEMERAL flag
+
+  const status = getStreamingSessionStatus(sessionId);
+  const consent = status ? getParticipantConsent(sessionId, userId) : null;
+  if (!status || !consent) {
+    return await interaction.editReply({ content: 'ℹ️ This recording has ended; there is nothing to consent to.' });
+  }
+
+  const guild = interaction.client.guilds.cache.get(status.guildId);
+  const inChannel = guild?.voiceStates?.cache?.get(userId)?.channelId === status.channelId;
+  if (!consent.prompted && !inChannel) {
+    return await interaction.editReply({ content: 'ℹ️ This prompt is for the participants of the recorded meeting.' });
+  }
+
+  if (decision === 'accepted' && isOptedOut(status.guildId, userId)) {
+    return await interaction.editReply({ content: '🙈 You opted out of recording in this server. Use `/optin` first if you want to be recorded.' });
+  }
+
+  const displayName = guild?.members?.cache?.get(userId)?.displayName || interaction.user.username;
+  const via = !interaction.guildId ? 'dm' : (interaction.channel?.isThread?.() ? 'thread' : 'channel');
+  recordConsentDecision(sessionId, userId, decision, { displayName, via, messageId: interaction.message?.id });
+  // The record is the proof of consent, so it is stored before recording starts or stops
+  await saveConsentRecord(sessionId);
+
+  let reply;
+  try {
+    if (decision === 'accepted') {
+      const recording = inChannel && await addUserToStreamingSession(sessionId, userId, displayName);
+      reply = recording
+        ? '✅ Thanks — you are now being recorded. Press **Decline** at any time to stop.'
+        : '✅ Thanks — you will be recorded while you are in the meeting channel.';
+    } else {
+      const wasRecording = await removeUserFromStreamingSession(sessionId, userId);
+      markParticipantUnrecorded(sessionId, userId, displayName, 'declined consent');
+      reply = wasRecording
+        ? '❌ Stopped recording you. What you said before now stays in this meeting\'s transcript.'
+        : '❌ You will not be recorded in this meeting. The summary will only note that you were present.';
+    }
+  } catch (error) {
+    console.error(`❌ [CONSENT] Failed to apply ${displayName}'s decision in session ${sessionId}:`, error);
+    reply = decision === 'accepted'
+      ? '⚠️ Your consent was saved, but recording you failed to start. It will be retried if you rejoin the channel.'
+      : '⚠️ Your decision was saved, but recording you could not be stopped cleanly.';
+  }
+
+  await refreshPromptMessage(sessionId);
+  await interaction.editReply({ content: reply });
+}
+
+/**
+ * Disables the buttons of a session's prompt once the recording has stopped
+ * @param {string} sessionId - Session identifier
+ */
+export async function closeConsentPrompts(sessionId) {
+  const prompt = consentPrompts.get(sessionId);
+  if (!prompt) return;
+  consentPrompts.delete(sessionId);
+
+  try {
+    await prompt.message?.edit({ components: [createConsentButtons(sessionId, true)] });
+  } catch (error) {
+    console.warn('⚠️ [CONSENT] Could not disable consent buttons:', error.message);
+  }
+}
+
+/**
+ * Creates the Accept/Decline buttons of a session
+ * @param {string} sessionId - Session identifier
+ * @param {boolean} [disabled=false] - Grey the buttons out
+ * @returns {ActionRowBuilder} Button row
+ */
+function createConsentButtons(sessionId, disabled = false) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${CUSTOM_ID_PREFIX}:accept:${sessionId}`)
+      .setLabel('Accept')
+      .setEmoji('✅')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(disabled),
+    new ButtonBuilder()
+      .setCustomId(`${CUSTOM_ID_PREFIX}:decline:${sessionId}`)
+      .setLabel('Decline')
+      .setEmoji('❌')
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(disabled)
+  );
+}
+
+/**
+ * Builds the prompt embed with every participant's current answer
+ * @param {string} sessionId - Session identifier
+ * @param {Object} prompt - Prompt state
+ * @returns {EmbedBuilder} Prompt embed
+ */
+function buildPromptEmbed(sessionId, prompt) {
+  const status = getStreamingSessionStatus(sessionId);
+  const lines = Array.from(prompt.participants, ([userId, displayName]) => {
+    const decision = getParticipantConsent(sessionId, userId)?.decision;
+    const icon = decision === 'accepted' ? '✅' : decision === 'declined' ? '❌' : '⏳';
+    return `${icon} ${displayName}`;
+  });
+
+  return new EmbedBuilder()
+    .setColor(embedColors.warning)
+    .setTitle('✋ Recording Consent Needed')
+    .setDescription(`This meeting in <#${status?.channelId}> is being recorded in consent mode. Nobody is recorded until they press **Accept**.\n\nYour answer is saved with the session as a record of consent, and you can change it at any time during the meeting.`)
+    .addFields({ name: '👥 Participants', value: lines.join('\n').slice(0, 1024) || 'None yet', inline: false })
+    .setFooter({ text: `Session ${sessionId}` })
+    .setTimestamp();
+}
+
+/**
+ * Updates the prompt message with the latest answers (best-effort)
+ * @param {string} sessionId - Session identifier
+ */
+async function refreshPromptMessage(sessionId) {
+  const prompt = consentPrompts.get(sessionId);
+  if (!prompt?.message) return;
+  try {
+    await prompt.message.edit({ embeds: [buildPromptEmbed(sessionId, prompt)] });
+  } catch (error) {
+    console.warn('⚠️ [CONSENT] Could not update consent prompt:', error.message);
+  }
+}
+
+/**
+ * Writes a session's consent record to the data directory
+ * @param {string} sessionId - Session identifier
+ */
+async function saveConsentRecord(sessionId) {
+  const record = getConsentRecord(sessionId);
+  if (!record) return;
+
+  try {
+    const dir = join(config.files.dataDir, 'consent');
+    await fsp.mkdir(dir, { recursive: true });
+    // Write then rename, so a crash mid-write cannot leave a truncated record
+    const path = join(dir, `${sessionId}.json`);
+    await fsp.writeFile(`${path}.tmp`, JSON.stringify(record, null, 2));
+    await fsp.rename(`${path}.tmp`, path);
+  } catch (error) {
+    console.error(`❌ [CONSENT] Failed to save consent record for ${sessionId}:`, error);
+  }
+}
+
+export default {
+  isConsentButton,
+  postConsentPrompt,
+  promptLateJoiner,
+  handleConsentButton,
+  closeConsentPrompts
+};
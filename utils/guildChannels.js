@@ -0,0 +1,43 @@
+import { config } from '../config.js';
+
+/**
+ * Guild Channels - where a guild's summaries and status messages are posted.
+ * Several guilds record at once, so a channel is only used if it belongs to the guild
+ * the message is about; nothing is ever posted into another server.
+ */
+
+/**
+ * Resolves the channel a guild's summary or status messages go to. Tried in order: the guild's
+ * entry in GUILD_CHANNELS, the global SUMMARY_CHANNEL_ID / STATUS_CHANNEL_ID (only in the guild
+ * they belong to), then the fallback channel (usually where the command was used).
+ * @param {import('discord.js').Client} client - Discord client
+ * @param {string} guildId - Guild the message is about
+ * @param {'summary'|'status'} kind - Kind of message
+ * @param {string} [fallbackChannelId] - Channel to use when none is configured for the guild
+ * @returns {Promise<import('discord.js').TextBasedChannel|null>} Channel, or null if the guild has none
+ */
+export async function resolveGuildChannel(client, guildId, kind, fallbackChannelId = null) {
+  if (!guildId) return null;
+
+  const candidates = [
+    config.discord.guildChannels?.[guildId]?.[kind],
+    config.discord[`${kind}ChannelId`],
+    fallbackChannelId
+  ];
+
+  for (const channelId of new Set(candidates.filter(Boolean))) {
+    try {
+      const channel = await client.channels.fetch(channelId);
+      if (channel?.guildId === guildId && channel.isTextBased()) return channel;
+    } catch (error) {
+      // Unknown channel or no access; try the next one
+    }
+  }
+
+  console.warn(`⚠️ [CHANNELS] No ${kind} channel available in guild ${guildId}`);
+  return null;
+}
+
+export default {
+  resolveGuildChannel
+};
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import { promises as fsp } from 'fs';
+import { dirname, join } from 'path';
+import { config } from '../config.js';
+
+/**
+ * Per-guild settings, persisted as one JSON file in the data directory
+ */
+
+const settingsPath = join(config.files.dataDir, 'guild-settings.json');
+
+// guildId -> settings object, loaded on first use
+let settingsCache = null;
+// Writes are chained so concurrent updates cannot interleave on disk
+let writeQueue = Promise.resolve();
+
+/**
+ * Loads the settings file into the cache
+ * @returns {Object} All guild settings keyed by guild ID
+ */
+function loadSettings() {
+  if (settingsCache) return settingsCache;
+
+  try {
+    settingsCache = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('⚠️ [SETTINGS] Could not read guild settings, starting empty:', error.message);
+    }
+    settingsCache = {};
+  }
+  return settingsCache;
+}
+
+/**
+ * Gets the stored settings of a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Object} Copy of the guild's settings (empty if none stored)
+ */
+export function getGuildSettings(guildId) {
+  const settings = loadSettings()[guildId] || {};
+  return JSON.parse(JSON.stringify(settings));
+}
+
+/**
+ * Merges changes into a guild's settings and saves them.
+ * Keys set to undefined are removed. If the file cannot be written the change is rolled back
+ * and the error is thrown, so callers never report a setting that will not survive a restart.
+ * @param {string} guildId - Guild ID
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} Updated settings
+ */
+export async function updateGuildSettings(guildId, changes) {
+  const all = loadSettings();
+  const previous = all[guildId];
+  const updated = { ...(previous || {}), ...changes };
+  for (const [key, value] of Object.entries(updated)) {
+    if (value === undefined) delete updated[key];
+  }
+  all[guildId] = updated;
+
+  const snapshot = JSON.stringify(all, null, 2);
+  const write = writeQueue.then(async () => {
+    await fsp.mkdir(dirname(settingsPath), { recursive: true });
+    // Write then rename, so a crash mid-write cannot leave a truncated file
+    const tempPath = `${settingsPath}.tmp`;
+    await fsp.writeFile(tempPath, snapshot);
+    await fsp.rename(tempPath, settingsPath);
+  });
+  // A failed write must not block the writes queued after it
+  writeQueue = write.catch(() => {});
+
+  try {
+    await write;
+  } catch (error) {
+    console.error('❌ [SETTINGS] Failed to save guild settings:', error);
+    // Undo the cached change unless a later update already replaced it
+    if (all[guildId] === updated) {
+      if (previous) all[guildId] = previous;
+      else delete all[guildId];
+    }
+    throw error;
+  }
+
+  return getGuildSettings(guildId);
+}
+
+export default {
+  getGuildSettings,
+  updateGuildSettings
+};
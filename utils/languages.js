@@ -0,0 +1,71 @@
+import { config } from '../config.js';
+import { getGuildSettings } from './guildSettings.js';
+
+/**
+ * Meeting languages: what participants speak (passed to the transcription engine) and what
+ * the summary is written in. The list is the set AssemblyAI's multilingual streaming model
+ * covers; whisper.cpp handles all of them with a multilingual model (not the English-only
+ * .en models).
+ */
+
+export const SPOKEN_LANGUAGES = [
+  { code: 'auto', label: 'Auto-detect' },
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'fr', label: 'French' },
+  { code: 'de', label: 'German' },
+  { code: 'it', label: 'Italian' },
+  { code: 'pt', label: 'Portuguese' }
+];
+
+// 'same' writes the summary in the language the meeting was held in
+export const SUMMARY_LANGUAGES = [
+  { code: 'same', label: 'Same as the meeting' },
+  ...SPOKEN_LANGUAGES.filter(language => language.code !== 'auto')
+];
+
+/**
+ * Gets the display name of a language code
+ * @param {string} code - Language code (e.g. "es")
+ * @returns {string} Label, or the code itself if unknown
+ */
+export function getLanguageLabel(code) {
+  const language = [...SPOKEN_LANGUAGES, ...SUMMARY_LANGUAGES].find(l => l.code === code);
+  return language ? language.label : code;
+}
+
+/**
+ * Picks a guild's meeting languages: its own defaults, else the deployment defaults
+ * @param {string} [guildId] - Guild ID
+ * @returns {Object} { spoken, summary } language codes
+ */
+export function resolveGuildLanguages(guildId) {
+  const settings = guildId ? getGuildSettings(guildId) : {};
+  return {
+    spoken: settings.language || config.transcription.language,
+    summary: settings.summaryLanguage || config.gemini.summaryLanguage
+  };
+}
+
+/**
+ * Works out which languages a session's turns were in
+ * @param {Object[]} turns - Transcript entries with an optional language
+ * @returns {string[]} Language codes, most-spoken (by words) first
+ */
+export function rankTurnLanguages(turns) {
+  const wordsByLanguage = new Map();
+  for (const turn of turns) {
+    if (!turn.language) continue;
+    const words = turn.text.split(/\s+/).filter(Boolean).length;
+    wordsByLanguage.set(turn.language, (wordsByLanguage.get(turn.language) || 0) + words);
+  }
+  return [...wordsByLanguage.entries()].sort((a, b) => b[1] - a[1]).map(([code]) => code);
+}
+
+export default {
+  SPOKEN_LANGUAGES,
+  SUMMARY_LANGUAGES,
+  getLanguageLabel,
+  resolveGuildLanguages,
+  rankTurnLanguages
+};
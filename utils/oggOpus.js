@@ -0,0 +1,239 @@
+import Prism from 'prism-media';
+import { OPUS_SILENCE_FRAME } from './opusJitterBuffer.js';
+
+/**
+ * Ogg/Opus encoding for recording archives (RFC 3533 Ogg framing, RFC 7845 Opus mapping)
+ */
+
+// Sample rates the Opus encoder accepts
+export const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+// Ogg Opus granule positions always count 48 kHz samples, whatever the input rate
+const GRANULE_RATE = 48000;
+// Encoder lookahead at 48 kHz that players trim from the start of the stream
+const PRE_SKIP = 312;
+// 20 ms frames
+const FRAME_MS = 20;
+// Packets collected into one page (about a second of audio)
+const PACKETS_PER_PAGE = 50;
+// Lacing values one page can hold; large packets at high bitrates use several each
+const MAX_PAGE_SEGMENTS = 255;
+
+// CRC-32 as used by Ogg: polynomial 0x04c11db7, no reflection, zero initial value
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let r = i << 24;
+    for (let j = 0; j < 8; j++) {
+      r = (r & 0x80000000) ? ((r << 1) ^ 0x04c11db7) : (r << 1);
+    }
+    table[i] = r >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes the Ogg page checksum
+ * @param {Buffer} page - Page with its checksum field zeroed
+ * @returns {number} CRC-32
+ */
+function oggCrc(page) {
+  let crc = 0;
+  for (let i = 0; i < page.length; i++) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ page[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+/**
+ * Builds one Ogg page
+ * @param {Buffer[]} packets - Complete packets carried by the page
+ * @param {Object} page - Page fields
+ * @param {number} page.granule - Granule position after the last packet
+ * @param {number} page.serial - Stream serial number
+ * @param {number} page.sequence - Page sequence number
+ * @param {number} page.flags - Header type flags (0x02 first page, 0x04 last page)
+ * @returns {Buffer} Encoded page
+ */
+function buildPage(packets, { granule, serial, sequence, flags }) {
+  // Lacing: each packet is split into 255-byte segments, ending with a segment shorter than 255
+  const lacing = [];
+  for (const packet of packets) {
+    let remaining = packet.length;
+    while (remaining >= 255) {
+      lacing.push(255);
+      remaining -= 255;
+    }
+    lacing.push(remaining);
+  }
+
+  const header = Buffer.alloc(27 + lacing.length);
+  header.write('OggS', 0);
+  header.writeUInt8(0, 4); // version
+  header.writeUInt8(flags, 5);
+  header.writeBigInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+  header.writeUInt32LE(0, 22); // checksum, filled in below
+  header.writeUInt8(lacing.length, 26);
+  Buffer.from(lacing).copy(header, 27);
+
+  const page = Buffer.concat([header, ...packets]);
+  page.writeUInt32LE(oggCrc(page), 22);
+  return page;
+}
+
+/**
+ * Creates the page layer of one Ogg logical stream. Audio packets are collected into pages of
+ * up to PACKETS_PER_PAGE packets; a page is closed early when the next packet's lacing values
+ * would not fit in it.
+ * @param {Object} options - Writer options
+ * @param {number} options.serial - Stream serial number
+ * @param {Function} options.onData - Receives each encoded page, in order
+ * @returns {Object} { writeHeader(packet, flags), addPacket(packet, granule), flush(flags, granule) }
+ */
+export function createOggPageWriter({ serial, onData }) {
+  let sequence = 0;
+  let pending = [];
+  let pendingSegments = 0;
+  let pendingGranule = 0;
+
+  const flush = (flags = 0, granule = pendingGranule) => {
+    if (pending.length === 0 && !(flags & 0x04)) return;
+    onData(buildPage(pending, { granule, serial, sequence: sequence++, flags }));
+    pending = [];
+    pendingSegments = 0;
+  };
+
+  return {
+    // Header packets each get their own page with granule position 0
+    writeHeader(packet, flags = 0) {
+      onData(buildPage([packet], { granule: 0, serial, sequence: sequence++, flags }));
+    },
+
+    // granule is the stream position after this packet
+    addPacket(packet, granule) {
+      // A page holds at most 255 lacing values, so close it first if this packet would not fit
+      const segments = Math.floor(packet.length / 255) + 1;
+      if (pendingSegments + segments > MAX_PAGE_SEGMENTS) flush();
+
+      pending.push(packet);
+      pendingSegments += segments;
+      pendingGranule = granule;
+      if (pending.length >= PACKETS_PER_PAGE) flush();
+    },
+
+    flush
+  };
+}
+
+/**
+ * Writes the OpusHead and OpusTags header pages that start every Ogg/Opus stream
+ * @param {Object} pages - Page writer (see createOggPageWriter)
+ * @param {number} sampleRate - Original input rate, informational
+ * @param {number} preSkip - Samples (at 48 kHz) players trim from the start
+ */
+function writeOpusHeaders(pages, sampleRate, preSkip) {
+  const opusHead = Buffer.alloc(19);
+  opusHead.write('OpusHead', 0);
+  opusHead.writeUInt8(1, 8); // version
+  opusHead.writeUInt8(1, 9); // channels
+  opusHead.writeUInt16LE(preSkip, 10);
+  opusHead.writeUInt32LE(sampleRate, 12); // original input rate, informational
+  opusHead.writeInt16LE(0, 16); // output gain
+  opusHead.writeUInt8(0, 18); // channel mapping family
+
+  const vendor = Buffer.from('prism-media');
+  const opusTags = Buffer.alloc(8 + 4 + vendor.length + 4);
+  opusTags.write('OpusTags', 0);
+  opusTags.writeUInt32LE(vendor.length, 8);
+  vendor.copy(opusTags, 12);
+  opusTags.writeUInt32LE(0, 12 + vendor.length); // no user comments
+
+  pages.writeHeader(opusHead, 0x02);
+  pages.writeHeader(opusTags);
+}
+
+/**
+ * Builds a complete Ogg/Opus stream of silence, without running the encoder. Chained between
+ * recording segments it keeps a joined download aligned with the session clock.
+ * @param {number} durationMs - Length of the silence
+ * @param {number} sampleRate - Original input rate recorded in the header
+ * @returns {Buffer} Ogg stream
+ */
+export function createOggOpusSilence(durationMs, sampleRate) {
+  const chunks = [];
+  const pages = createOggPageWriter({ serial: Math.floor(Math.random() * 0xffffffff), onData: (page) => chunks.push(page) });
+  writeOpusHeaders(pages, sampleRate, 0);
+
+  const endGranule = Math.round((durationMs * GRANULE_RATE) / 1000);
+  const granulePerPacket = (FRAME_MS * GRANULE_RATE) / 1000;
+  let granule = 0;
+  while (granule < endGranule) {
+    granule += granulePerPacket;
+    pages.addPacket(OPUS_SILENCE_FRAME, granule);
+  }
+  // The last page's granule trims the final frame to the exact length
+  pages.flush(0x04, endGranule);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Creates an encoder that turns mono 16-bit PCM into an Ogg/Opus byte stream
+ * @param {Object} options - Encoder options
+ * @param {number} options.sampleRate - Input sample rate (one of OPUS_SAMPLE_RATES)
+ * @param {number} [options.bitrate=32000] - Opus bitrate in bits per second
+ * @param {Function} options.onData - Receives each encoded chunk of the Ogg stream, in order
+ * @returns {Object} { write(pcm), end() -> Promise }
+ */
+export function createOggOpusEncoder(options) {
+  const { sampleRate, bitrate = 32000, onData } = options;
+  const frameSize = (sampleRate * FRAME_MS) / 1000;
+  const granulePerPacket = (frameSize * GRANULE_RATE) / sampleRate;
+  const serial = Math.floor(Math.random() * 0xffffffff);
+
+  const encoder = new Prism.opus.Encoder({ rate: sampleRate, channels: 1, frameSize });
+  encoder.setBitrate(bitrate);
+
+  const pages = createOggPageWriter({ serial, onData });
+  let granule = PRE_SKIP;
+  let pcmSamples = 0;
+
+  writeOpusHeaders(pages, sampleRate, PRE_SKIP);
+
+  encoder.on('data', (packet) => {
+    granule += granulePerPacket;
+    pages.addPacket(packet, granule);
+  });
+
+  return {
+    write(pcm) {
+      pcmSamples += pcm.length / 2;
+      encoder.write(pcm);
+    },
+
+    end() {
+      return new Promise((resolve, reject) => {
+        encoder.once('error', reject);
+        encoder.once('end', () => {
+          // The last page's granule marks where real audio ends, trimming the padding below
+          const endGranule = PRE_SKIP + Math.round((pcmSamples * GRANULE_RATE) / sampleRate);
+          pages.flush(0x04, Math.min(granule, endGranule));
+          resolve();
+        });
+
+        // Pad the trailing partial frame with silence so it is encoded too
+        const partial = pcmSamples % frameSize;
+        if (partial > 0) encoder.write(Buffer.alloc((frameSize - partial) * 2));
+        encoder.end();
+      });
+    }
+  };
+}
+
+export default {
+  OPUS_SAMPLE_RATES,
+  createOggPageWriter,
+  createOggOpusSilence,
+  createOggOpusEncoder
+};
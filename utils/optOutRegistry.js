@@ -0,0 +1,50 @@
+import { getGuildSettings, updateGuildSettings } from './guildSettings.js';
+
+/**
+ * Recording opt-outs: members who asked never to be recorded in a guild. Stored with the
+ * guild settings so the choice survives restarts.
+ */
+
+/**
+ * Gets the members of a guild who opted out of recording
+ * @param {string} guildId - Guild ID
+ * @returns {string[]} User IDs
+ */
+export function getOptedOutUsers(guildId) {
+  if (!guildId) return [];
+  const settings = getGuildSettings(guildId);
+  return Array.isArray(settings.optedOutUsers) ? settings.optedOutUsers : [];
+}
+
+/**
+ * Checks whether a member opted out of recording
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the member must not be recorded
+ */
+export function isOptedOut(guildId, userId) {
+  return getOptedOutUsers(guildId).includes(userId);
+}
+
+/**
+ * Opts a member out of (or back into) recording in a guild
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @param {boolean} optedOut - True to stop recording the member, false to record them again
+ * @returns {Promise<boolean>} True if the registry changed
+ */
+export async function setOptedOut(guildId, userId, optedOut) {
+  const users = getOptedOutUsers(guildId);
+  if (users.includes(userId) === optedOut) return false;
+
+  const updated = optedOut ? [...users, userId] : users.filter(id => id !== userId);
+  await updateGuildSettings(guildId, { optedOutUsers: updated.length > 0 ? updated : undefined });
+  console.log(`🙈 [OPT-OUT] User ${userId} opted ${optedOut ? 'out of' : 'back into'} recording in guild ${guildId}`);
+  return true;
+}
+
+export default {
+  getOptedOutUsers,
+  isOptedOut,
+  setOptedOut
+};
@@ -0,0 +1,222 @@
+import { Transform } from 'stream';
+
+/**
+ * Jitter buffer for the Opus packets a Discord voice receiver emits. Packets are put back in RTP
+ * sequence order, exact duplicates are dropped, and lost packets are replaced with Opus silence
+ * frames so the decoded audio keeps its length and timing.
+ */
+
+// Discord's Opus silence frame: decodes to 20 ms of silence
+export const OPUS_SILENCE_FRAME = Buffer.from([0xf8, 0xff, 0xfe]);
+
+// Samples per 20 ms Opus frame at Discord's 48 kHz RTP clock
+const RTP_SAMPLES_PER_FRAME = 960;
+const FRAME_MS = 20;
+
+// RTP sequence/timestamp of each received Opus packet; packets are passed by reference through the
+// object-mode receive stream, so the payload itself is the key
+const packetHeaders = new WeakMap();
+
+/**
+ * Makes a voice receiver remember the RTP header of every Opus packet it emits. The receive
+ * stream only carries the decrypted payload, so the header is read from the raw UDP message.
+ * Safe to call more than once for the same receiver.
+ * @param {Object} receiver - VoiceReceiver from @discordjs/voice (connection.receiver)
+ * @returns {boolean} True if the receiver is (now) capturing headers
+ */
+export function attachRtpHeaderCapture(receiver) {
+  if (!receiver || typeof receiver.parsePacket !== 'function') return false;
+  if (receiver.rtpHeaderCapture) return true;
+
+  const parsePacket = receiver.parsePacket.bind(receiver);
+  receiver.parsePacket = (buffer, ...rest) => {
+    const packet = parsePacket(buffer, ...rest);
+    if (packet && buffer.length >= 12) {
+      packetHeaders.set(packet, { sequence: buffer.readUInt16BE(2), timestamp: buffer.readUInt32BE(4) });
+    }
+    return packet;
+  };
+  receiver.rtpHeaderCapture = true;
+  return true;
+}
+
+/**
+ * Gets the RTP header captured for an Opus packet
+ * @param {Buffer} packet - Opus payload emitted by a receive stream
+ * @returns {Object|null} { sequence, timestamp } or null if none was captured
+ */
+export function getRtpHeader(packet) {
+  return packetHeaders.get(packet) || null;
+}
+
+/**
+ * Signed distance from sequence number b to a, allowing for 16-bit wraparound
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function sequenceDiff(a, b) {
+  return ((a - b + 0x8000) & 0xffff) - 0x8000;
+}
+
+/**
+ * Creates a jitter buffer stage to sit between a receive stream and the Opus decoder.
+ * Packets without a captured RTP header pass straight through.
+ * @param {Object} [options] - Buffer options
+ * @param {number} [options.depthMs=60] - Audio held back to wait for late packets before a missing one counts as lost
+ * @param {number} [options.maxConcealMs=1000] - Longest loss filled with silence; longer gaps are skipped
+ * @param {boolean} [options.dedupe=true] - Drop packets whose sequence number was already seen
+ * @param {Object} [options.metrics] - Counters to increment: packetsDeduped, packetsLate, packetsReordered, framesConcealed
+ * @param {Function} [options.onLoss] - Called with { lostFrames, concealedFrames } for every gap
+ * @returns {Transform} Object-mode transform emitting Opus packets in order
+ */
+export function createOpusJitterBuffer(options = {}) {
+  const {
+    depthMs = 60,
+    maxConcealMs = 1000,
+    dedupe = true,
+    metrics = {},
+    onLoss = null
+  } = options;
+  const depthPackets = Math.max(1, Math.round(depthMs / FRAME_MS));
+  const maxConcealFrames = Math.floor(maxConcealMs / FRAME_MS);
+  const count = (name, amount = 1) => { metrics[name] = (metrics[name] || 0) + amount; };
+
+  // Sequence number expected next, and the last packet emitted (for the timestamp of a gap)
+  let nextSequence = null;
+  let lastTimestamp = null;
+  // sequence -> { packet, timestamp } waiting for the packets before it
+  const pending = new Map();
+  // Recently emitted sequence numbers, to tell duplicates from packets that came too late
+  const recent = new Set();
+  const recentOrder = [];
+  let flushTimer = null;
+
+  const remember = (sequence) => {
+    recent.add(sequence);
+    recentOrder.push(sequence);
+    if (recentOrder.length > 256) recent.delete(recentOrder.shift());
+  };
+
+  const emit = (stream, sequence, { packet, timestamp }) => {
+    stream.push(packet);
+    remember(sequence);
+    lastTimestamp = timestamp;
+    nextSequence = (sequence + 1) & 0xffff;
+  };
+
+  // Emits the earliest pending packet, concealing the packets missing before it
+  const skipToEarliest = (stream) => {
+    let earliest = null;
+    for (const sequence of pending.keys()) {
+      if (earliest === null || sequenceDiff(sequence, earliest) < 0) earliest = sequence;
+    }
+    const entry = pending.get(earliest);
+    pending.delete(earliest);
+
+    let lostFrames = sequenceDiff(earliest, nextSequence);
+    // The sender stops transmitting during silence, so a timestamp gap shorter than the sequence
+    // gap is the more accurate measure of the audio that went missing
+    if (lastTimestamp !== null) {
+      const timestampFrames = Math.round(((entry.timestamp - lastTimestamp) >>> 0) / RTP_SAMPLES_PER_FRAME) - 1;
+      if (timestampFrames >= 0) lostFrames = Math.min(lostFrames, timestampFrames);
+    }
+    if (lostFrames > 0) {
+      const concealedFrames = Math.min(lostFrames, maxConcealFrames);
+      for (let i = 0; i < concealedFrames; i++) stream.push(OPUS_SILENCE_FRAME);
+      count('framesConcealed', concealedFrames);
+      if (onLoss) onLoss({ lostFrames, concealedFrames });
+    }
+
+    emit(stream, earliest, entry);
+  };
+
+  const drainInOrder = (stream) => {
+    while (pending.has(nextSequence)) {
+      const sequence = nextSequence;
+      const entry = pending.get(sequence);
+      pending.delete(sequence);
+      emit(stream, sequence, entry);
+    }
+  };
+
+  const drainAll = (stream) => {
+    while (pending.size > 0) {
+      skipToEarliest(stream);
+      drainInOrder(stream);
+    }
+  };
+
+  return new Transform({
+    objectMode: true,
+
+    transform(packet, encoding, callback) {
+      const header = getRtpHeader(packet);
+      if (!header) return callback(null, packet);
+
+      const { sequence, timestamp } = header;
+      if (nextSequence === null) nextSequence = sequence;
+
+      let diff = sequenceDiff(sequence, nextSequence);
+      if (Math.abs(diff) > 0x4000) {
+        // Sequence jumped far away (the sender restarted): start over from this packet
+        drainAll(this);
+        recent.clear();
+        recentOrder.length = 0;
+        nextSequence = sequence;
+        lastTimestamp = null;
+        diff = 0;
+      }
+
+      if (diff < 0 || pending.has(sequence)) {
+        if (recent.has(sequence) || pending.has(sequence)) {
+          count('packetsDeduped');
+          // With dedupe off a repeat is played where it arrived
+          return dedupe ? callback() : callback(null, packet);
+        }
+        // Its slot was already concealed; playing it now would put audio out of order
+        count('packetsLate');
+        return callback();
+      }
+
+      if (diff === 0 && pending.size > 0) count('packetsReordered');
+      pending.set(sequence, { packet, timestamp });
+      drainInOrder(this);
+
+      // A hole that stays open longer than the buffer depth is a lost packet
+      while (pending.size > depthPackets) {
+        skipToEarliest(this);
+        drainInOrder(this);
+      }
+
+      // If packets stop arriving right after a loss, release what is held after the buffer depth
+      if (flushTimer) clearTimeout(flushTimer);
+      flushTimer = pending.size > 0 ? setTimeout(() => {
+        flushTimer = null;
+        drainAll(this);
+      }, depthMs) : null;
+
+      callback();
+    },
+
+    flush(callback) {
+      if (flushTimer) clearTimeout(flushTimer);
+      flushTimer = null;
+      drainAll(this);
+      callback();
+    },
+
+    destroy(error, callback) {
+      if (flushTimer) clearTimeout(flushTimer);
+      flushTimer = null;
+      callback(error);
+    }
+  });
+}
+
+export default {
+  OPUS_SILENCE_FRAME,
+  attachRtpHeaderCapture,
+  getRtpHeader,
+  createOpusJitterBuffer
+};
@@ -1,4 +1,5 @@
 import { ActivityType } from 'discord.js';
+import { listStreamingSessionStatuses } from './streamingAudioProcessor.js';
 
 // Manage bot presence and per-guild nickname to reflect recording states
 // Default display name (nickname) used across guilds
@@ -8,13 +9,31 @@ const STATE_MAP = {
   idle: { emoji: '⬡', text: 'transcord - idle', status: 'online', nickname: `${DEFAULT_NAME}` },
   looking: { emoji: '🔶', text: 'Looking for participants • /join', status: 'idle', nickname: `🔶 ${DEFAULT_NAME}` },
   recording: { emoji: '🟢', text: 'Recording', status: 'dnd', nickname: `🟢 Recording` },
+  paused: { emoji: '⏸️', text: 'Recording paused • /resume', status: 'idle', nickname: `⏸️ Paused` },
   stopped: { emoji: '🔴', text: 'Recording stopped', status: 'online', nickname: `🔴 Stopped` }
 };
 
+/**
+ * Picks the global presence. The nickname shows each guild's own state, but the presence is
+ * shared by every guild, so while any session is running it reflects all of them.
+ * @param {Object} s - Requested state from STATE_MAP
+ * @returns {Object} State to show as the presence
+ */
+function resolveGlobalPresence(s) {
+  const sessions = listStreamingSessionStatuses();
+  if (sessions.length === 0) return s;
+
+  const recording = sessions.filter(session => !session.paused).length;
+  if (recording === 0) {
+    return sessions.length === 1 ? STATE_MAP.paused : { ...STATE_MAP.paused, text: `${sessions.length} recordings paused` };
+  }
+  return sessions.length === 1 ? STATE_MAP.recording : { ...STATE_MAP.recording, text: `Recording in ${sessions.length} servers` };
+}
+
 /**
  * Set bot presence and optionally set nickname in a specific guild (or all guilds)
  * @param {import('discord.js').Client} client
- * @param {'idle'|'looking'|'recording'|'stopped'} state
+ * @param {'idle'|'looking'|'recording'|'paused'|'stopped'} state
  * @param {string|null} guildId - if provided, only set nickname in that guild; otherwise apply to all guilds
  */
 export async function setBotState(client, state = 'idle', guildId = null) {
@@ -23,9 +42,10 @@ export async function setBotState(client, state = 'idle', guildId = null) {
 
   try {
     // Update global presence
+    const presence = resolveGlobalPresence(s);
     await client.user.setPresence({
-      activities: [{ name: `${s.emoji} ${s.text}`, type: ActivityType.Watching }],
-      status: s.status
+      activities: [{ name: `${presence.emoji} ${presence.text}`, type: ActivityType.Watching }],
+      status: presence.status
     });
   } catch (err) {
     console.warn('⚠️ [PRESENCE] Could not set presence:', err.message);
@@ -0,0 +1,454 @@
+import fs from 'fs';
+import { promises as fsp } from 'fs';
+import { join } from 'path';
+import { PassThrough } from 'stream';
+import { once } from 'events';
+import { config } from '../config.js';
+import { createOggOpusEncoder, createOggOpusSilence } from './oggOpus.js';
+
+/**
+ * Multi-track recording archive.
+ * Every session gets its own directory holding one track per speaker, the mixed master
+ * track and a manifest.json describing how the tracks line up:
+ *
+ *   recordings/<sessionId>/master.part1.wav
+ *   recordings/<sessionId>/<userId>.part1.wav
+ *   recordings/<sessionId>/manifest.json
+ *
+ * A track is rotated into a new segment (.part2, .part3, ...) before a file would grow past
+ * MAX_FILE_SIZE_MB, and after a long silence, which is left out of the files and recorded as
+ * the next segment's later start offset. Tracks are .ogg (Opus) instead of .wav when
+ * RECORDING_FORMAT=ogg.
+ */
+
+const WAV_HEADER_BYTES = 44;
+// Longest silence written into a speaker's track; longer gaps start a new segment instead
+const MAX_PADDED_GAP_MS = 10000;
+// Silence written at once when a joined download fills the gap between two segments
+const GAP_FILL_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Builds a WAV (RIFF) header for PCM data
+ * @param {number} dataSize - PCM payload length in bytes
+ * @param {number} channels
+ * @param {number} sampleRate
+ * @param {number} bitDepth
+ * @returns {Buffer} 44-byte header
+ */
+export function createWavHeader(dataSize, channels = 1, sampleRate = 48000, bitDepth = 16) {
+  const bytesPerSample = bitDepth / 8;
+  const byteRate = sampleRate * channels * bytesPerSample;
+  const blockAlign = channels * bytesPerSample;
+
+  const header = Buffer.alloc(WAV_HEADER_BYTES);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // Subchunk1Size (16 for PCM)
+  header.writeUInt16LE(1, 20); // AudioFormat (1 = PCM)
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitDepth, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+}
+
+/**
+ * Finalize a raw PCM file into a WAV file (RIFF header + PCM data)
+ * @param {string} rawPath - path to raw PCM file
+ * @param {string} wavPath - destination WAV file path
+ * @param {number} channels
+ * @param {number} sampleRate
+ * @param {number} bitDepth
+ */
+export async function finalizeWavFile(rawPath, wavPath, channels = 1, sampleRate = 48000, bitDepth = 16) {
+  // Read raw file size
+  try {
+    const stat = await fsp.stat(rawPath);
+    const header = createWavHeader(stat.size, channels, sampleRate, bitDepth);
+
+    // Create write stream for WAV and pipe raw data
+    await new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(wavPath);
+      out.on('error', reject);
+      out.on('finish', resolve);
+      out.write(header);
+      const readStream = fs.createReadStream(rawPath);
+      readStream.on('error', reject);
+      readStream.pipe(out);
+    });
+  } catch (error) {
+    console.error('❌ [ARCHIVE] finalizeWavFile error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Creates the writer of one file in the configured recording format
+ * @param {string} dir - Directory of the session archive
+ * @param {string} name - File name without extension
+ * @param {number} sampleRate - Sample rate of the mono PCM
+ * @returns {Object} File writer: bytesWritten (PCM bytes), fileBytes (bytes on disk),
+ *   write(pcm), close() -> { file, bytes }
+ */
+function createFileWriter(dir, name, sampleRate) {
+  return config.recording.format === 'ogg'
+    ? createOggTrackWriter(dir, name, sampleRate)
+    : createWavTrackWriter(dir, name, sampleRate);
+}
+
+/**
+ * Creates a track that rotates to a new segment file before one would exceed MAX_FILE_SIZE_MB.
+ * Each finished segment is finalized to a playable file on its own.
+ * @param {string} dir - Directory of the session archive
+ * @param {string} name - Track name (segment files are <name>.part<N>.<ext>)
+ * @param {number} sampleRate - Sample rate of the mono PCM
+ * @returns {Object} Track: bytesWritten (PCM bytes over all segments, gaps included), write(pcm),
+ *   skip(bytes), close() -> { file, bytes, segments }
+ */
+function createTrackWriter(dir, name, sampleRate) {
+  const maxBytes = config.recording.maxFileSizeMB * 1024 * 1024;
+  const extension = config.recording.format === 'ogg' ? 'ogg' : 'wav';
+  const segments = [];
+  // Segments being finalized in the background after a rotation
+  const closing = [];
+  let current = null;
+  let currentStartByte = 0;
+  let bytesWritten = 0;
+
+  const openSegment = () => {
+    current = createFileWriter(dir, `${name}.part${segments.length + 1}`, sampleRate);
+    currentStartByte = bytesWritten;
+    segments.push({ startByte: currentStartByte, info: null });
+  };
+
+  const closeSegment = () => {
+    const segment = segments[segments.length - 1];
+    const writer = current;
+    current = null;
+    closing.push(writer.close().then(info => {
+      segment.info = info;
+    }));
+  };
+
+  return {
+    get bytesWritten() {
+      return bytesWritten;
+    },
+
+    write(pcm) {
+      // The PCM length bounds how much a write can grow the file, in either format
+      if (current && current.bytesWritten > 0 && current.fileBytes + pcm.length > maxBytes) {
+        console.log(`💾 [ARCHIVE] ${name} reached ${config.recording.maxFileSizeMB} MB, starting segment ${segments.length + 1}`);
+        closeSegment();
+      }
+      if (!current) openSegment();
+      current.write(pcm);
+      bytesWritten += pcm.length;
+    },
+
+    // Leaves a gap of silence out of the files: the next write starts a segment after it
+    skip(bytes) {
+      if (current) closeSegment();
+      bytesWritten += bytes;
+    },
+
+    async close() {
+      if (!current && segments.length === 0) openSegment();
+      if (current) closeSegment();
+      await Promise.all(closing);
+      return {
+        file: `${name}.${extension}`,
+        bytes: bytesWritten,
+        segments: segments.map(segment => ({
+          file: segment.info.file,
+          startByte: segment.startByte,
+          bytes: segment.info.bytes
+        }))
+      };
+    }
+  };
+}
+
+/**
+ * Creates a writer that encodes PCM to Opus as it arrives and writes it into an Ogg file
+ * @param {string} dir - Directory of the session archive
+ * @param {string} name - Track file name without extension
+ * @param {number} sampleRate - Sample rate of the mono PCM
+ * @returns {Object} Track writer
+ */
+function createOggTrackWriter(dir, name, sampleRate) {
+  const oggPath = join(dir, `${name}.ogg`);
+  const writeStream = fs.createWriteStream(oggPath);
+  let bytesWritten = 0;
+  let fileBytes = 0;
+
+  writeStream.on('error', (error) => {
+    console.warn(`⚠️ [ARCHIVE] Write error on ${oggPath}:`, error.message);
+  });
+
+  const encoder = createOggOpusEncoder({
+    sampleRate,
+    bitrate: config.recording.opusBitrate,
+    onData: (chunk) => {
+      writeStream.write(chunk);
+      fileBytes += chunk.length;
+    }
+  });
+
+  return {
+    get bytesWritten() {
+      return bytesWritten;
+    },
+
+    get fileBytes() {
+      return fileBytes;
+    },
+
+    write(pcm) {
+      encoder.write(pcm);
+      bytesWritten += pcm.length;
+    },
+
+    async close() {
+      await encoder.end();
+      await new Promise(resolve => writeStream.end(resolve));
+      return { file: `${name}.ogg`, bytes: bytesWritten };
+    }
+  };
+}
+
+/**
+ * Creates a writer that appends PCM to a raw file and turns it into a WAV when closed
+ * @param {string} dir - Directory of the session archive
+ * @param {string} name - Track file name without extension
+ * @param {number} sampleRate - Sample rate of the mono PCM
+ * @returns {Object} Track writer
+ */
+function createWavTrackWriter(dir, name, sampleRate) {
+  const rawPath = join(dir, `${name}.pcm`);
+  const wavPath = join(dir, `${name}.wav`);
+  const writeStream = fs.createWriteStream(rawPath, { flags: 'a' });
+  let bytesWritten = 0;
+
+  writeStream.on('error', (error) => {
+    console.warn(`⚠️ [ARCHIVE] Write error on ${rawPath}:`, error.message);
+  });
+
+  return {
+    get bytesWritten() {
+      return bytesWritten;
+    },
+
+    get fileBytes() {
+      return WAV_HEADER_BYTES + bytesWritten;
+    },
+
+    write(pcm) {
+      writeStream.write(pcm);
+      bytesWritten += pcm.length;
+    },
+
+    async close() {
+      await new Promise(resolve => writeStream.end(resolve));
+      await finalizeWavFile(rawPath, wavPath, 1, sampleRate, 16);
+      await fsp.unlink(rawPath).catch(() => {});
+      return { file: `${name}.wav`, bytes: bytesWritten };
+    }
+  };
+}
+
+/**
+ * Creates the recording archive of a session
+ * @param {string} sessionId - Session identifier
+ * @param {Object} options - Archive options
+ * @param {number} options.sampleRate - Sample rate of the mono PCM written to every track
+ * @returns {Promise<Object>} Archive
+ */
+export async function createRecordingArchive(sessionId, options) {
+  const { sampleRate } = options;
+  const dir = join(config.files.recordingsDir, sessionId);
+  await fsp.mkdir(dir, { recursive: true });
+
+  const bytesPerMs = (sampleRate / 1000) * 2;
+  const maxPaddedGapBytes = Math.round(MAX_PADDED_GAP_MS * sampleRate / 1000) * 2;
+  const startedAt = Date.now();
+  const master = createTrackWriter(dir, 'master', sampleRate);
+  // userId -> { writer, displayName, startByte, firstFrameAt }
+  const tracks = new Map();
+
+  console.log(`💾 [ARCHIVE] Recording session ${sessionId} to ${dir}`);
+
+  return {
+    dir,
+
+    /**
+     * Appends one speaker's frame. Frames belong to the mixer tick that is about to be
+     * written to the master, so the master's length is the tick's position on the session
+     * clock. Short gaps since the speaker's last frame are filled with silence to keep every
+     * track aligned with the master; longer ones are skipped into a new segment whose start
+     * offset keeps it aligned.
+     * @param {string} userId - Speaker
+     * @param {Buffer} frame - Mono PCM frame
+     * @param {string} [displayName] - Speaker name for the manifest
+     */
+    writeTrackFrame(userId, frame, displayName) {
+      let track = tracks.get(userId);
+      if (!track) {
+        track = {
+          writer: createTrackWriter(dir, userId, sampleRate),
+          displayName: displayName || userId,
+          startByte: master.bytesWritten,
+          firstFrameAt: Date.now()
+        };
+        tracks.set(userId, track);
+      }
+      if (displayName) track.displayName = displayName;
+
+      const gap = master.bytesWritten - track.startByte - track.writer.bytesWritten;
+      if (gap > maxPaddedGapBytes) {
+        track.writer.skip(gap);
+      } else if (gap > 0) {
+        track.writer.write(Buffer.alloc(gap));
+      }
+      track.writer.write(frame);
+    },
+
+    /**
+     * Appends one frame of the mixed master track
+     * @param {Buffer} frame - Mono PCM frame
+     */
+    writeMixFrame(frame) {
+      master.write(frame);
+    },
+
+    /**
+     * Advances the master by one frame without writing it, leaving a gap in its segments
+     * (e.g. while the session is paused)
+     * @param {number} bytes - Length of the frame left out
+     */
+    skipMixFrame(bytes) {
+      master.skip(bytes);
+    },
+
+    /**
+     * Closes every track, finalizes its file and writes the manifest
+     * @param {Object} [metadata] - Extra session metadata to store in the manifest (e.g. consent)
+     * @returns {Promise<Object>} Manifest
+     */
+    async finalize(metadata = {}) {
+      // Segment offsets are on the session clock, like the track offsets
+      const describeSegments = (info, trackStartByte) => info.segments.map(segment => ({
+        file: segment.file,
+        startOffsetMs: Math.round((trackStartByte + segment.startByte) / bytesPerMs),
+        durationMs: Math.round(segment.bytes / bytesPerMs)
+      }));
+
+      const masterInfo = await master.close();
+      const trackInfos = [];
+      for (const [userId, track] of tracks) {
+        try {
+          const info = await track.writer.close();
+          trackInfos.push({
+            userId,
+            displayName: track.displayName,
+            file: info.file,
+            startOffsetMs: Math.round(track.startByte / bytesPerMs),
+            durationMs: Math.round(info.bytes / bytesPerMs),
+            segments: describeSegments(info, track.startByte)
+          });
+        } catch (error) {
+          console.error(`❌ [ARCHIVE] Could not finalize track for ${userId}:`, error);
+        }
+      }
+
+      const manifest = {
+        sessionId,
+        startedAt: new Date(startedAt).toISOString(),
+        sampleRate,
+        channels: 1,
+        format: config.recording.format,
+        durationMs: Math.round(masterInfo.bytes / bytesPerMs),
+        master: { file: masterInfo.file, segments: describeSegments(masterInfo, 0) },
+        tracks: trackInfos.sort((a, b) => a.startOffsetMs - b.startOffsetMs),
+        ...metadata
+      };
+
+      await fsp.writeFile(join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+      console.log(`💾 [ARCHIVE] Finalized ${trackInfos.length} speaker tracks and master for ${sessionId}`);
+      return manifest;
+    }
+  };
+}
+
+/**
+ * Opens a download of a whole track by joining its segments with the gaps between them filled
+ * with silence, so the track stays aligned with the master: WAV segments are merged under one
+ * header, Ogg segments are chained with a silent Ogg stream in each gap (consecutive Ogg streams
+ * form a valid Ogg file)
+ * @param {string} sessionDir - Directory of the session archive
+ * @param {Object} manifest - Session manifest
+ * @param {string} fileName - Track file name from the manifest (e.g. "master.wav")
+ * @returns {Promise<Object|null>} { length, stream } or null if the manifest has no such track
+ */
+export async function openConcatenatedTrack(sessionDir, manifest, fileName) {
+  const entry = [manifest.master, ...manifest.tracks].find(track => track.file === fileName);
+  if (!entry || !entry.segments) return null;
+
+  const isWav = fileName.endsWith('.wav');
+  const skip = isWav ? WAV_HEADER_BYTES : 0;
+  const paths = entry.segments.map(segment => join(sessionDir, segment.file));
+  const sizes = await Promise.all(paths.map(path => fsp.stat(path).then(stat => stat.size)));
+
+  // Silence before each segment; offsets are rounded to whole milliseconds, so a difference
+  // of 1 ms between back-to-back segments is not a gap
+  const gapsMs = entry.segments.map((segment, i) => {
+    if (i === 0) return 0;
+    const previous = entry.segments[i - 1];
+    const gapMs = segment.startOffsetMs - (previous.startOffsetMs + previous.durationMs);
+    return gapMs > 1 ? gapMs : 0;
+  });
+  // WAV gaps are zero bytes written in chunks; Ogg gaps are prebuilt silent streams
+  const gaps = gapsMs.map(gapMs => {
+    if (isWav) return Math.round(gapMs * manifest.sampleRate / 1000) * 2;
+    return gapMs > 0 ? createOggOpusSilence(gapMs, manifest.sampleRate) : null;
+  });
+  const gapBytes = gap => (isWav ? gap : (gap ? gap.length : 0));
+  const dataSize = sizes.reduce((sum, size, i) => sum + gapBytes(gaps[i]) + size - skip, 0);
+
+  const stream = new PassThrough();
+  (async () => {
+    if (isWav) stream.write(createWavHeader(dataSize, manifest.channels, manifest.sampleRate, 16));
+    for (const [i, path] of paths.entries()) {
+      if (isWav) {
+        for (let remaining = gaps[i]; remaining > 0; remaining -= GAP_FILL_CHUNK_BYTES) {
+          if (!stream.write(Buffer.alloc(Math.min(remaining, GAP_FILL_CHUNK_BYTES)))) {
+            await once(stream, 'drain');
+          }
+        }
+      } else if (gaps[i] && !stream.write(gaps[i])) {
+        await once(stream, 'drain');
+      }
+      await new Promise((resolve, reject) => {
+        const readStream = fs.createReadStream(path, { start: skip });
+        readStream.on('error', reject);
+        readStream.on('end', resolve);
+        readStream.pipe(stream, { end: false });
+      });
+    }
+    stream.end();
+  })().catch(error => stream.destroy(error));
+
+  return { length: (isWav ? WAV_HEADER_BYTES : 0) + dataSize, stream };
+}
+
+export default {
+  createWavHeader,
+  finalizeWavFile,
+  createRecordingArchive,
+  openConcatenatedTrack
+};
@@ -0,0 +1,169 @@
+import { config } from '../config.js';
+import { getGuildSettings, updateGuildSettings } from './guildSettings.js';
+
+/**
+ * PII redaction for final transcripts. Regex detectors find common personal data (emails,
+ * phone numbers, card numbers, ...) and a per-guild list of sensitive terms covers the rest.
+ * Every match is replaced with a labelled placeholder such as [EMAIL].
+ */
+
+export const MAX_SENSITIVE_TERMS = 100;
+export const MAX_SENSITIVE_TERM_LENGTH = 100;
+
+// Placeholder for a guild's sensitive terms
+export const SENSITIVE_TERM_LABEL = '[SENSITIVE_TERM]';
+
+// Run in this order: card numbers before phone numbers and SSNs, whose patterns would match parts of them
+export const PII_DETECTORS = [
+  {
+    type: 'email',
+    label: '[EMAIL]',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    type: 'credit_card',
+    label: '[CARD_NUMBER]',
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    // Long digit runs are common (order numbers, IDs); only numbers passing the Luhn check are cards
+    validate: match => passesLuhnCheck(match.replace(/\D/g, ''))
+  },
+  {
+    type: 'ssn',
+    label: '[SSN]',
+    pattern: /(?<![\d-])\d{3}[- ]\d{2}[- ]\d{4}(?![\d-])/g
+  },
+  {
+    type: 'phone',
+    label: '[PHONE]',
+    pattern: /(?<![\w+])(?:\+\d{1,3}(?:[\s.-]?\(?\d{1,4}\)?){2,5}|(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4})(?![\w])/g,
+    // The international form also matches short runs like "+1 2 3"; real numbers have 8 to 15 digits (E.164)
+    validate: match => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 8 && digits <= 15;
+    }
+  },
+  {
+    type: 'ip_address',
+    label: '[IP_ADDRESS]',
+    // Not after "v" or "version", so "version 1.2.3.4" stays; a sentence may end right after the address
+    pattern: /(?<!\b(?:v|version)\s*)(?<![\d.])\d{1,3}(?:\.\d{1,3}){3}(?!\.?\d)/gi,
+    validate: match => match.split('.').every(octet => Number(octet) <= 255)
+  }
+];
+
+/**
+ * Checks a card number with the Luhn algorithm
+ * @param {string} digits - Digits only, 13 to 19 of them
+ * @returns {boolean} True if the checksum is valid
+ */
+function passesLuhnCheck(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Gets a guild's sensitive terms
+ * @param {string} guildId - Guild ID
+ * @returns {string[]} Terms
+ */
+export function getGuildSensitiveTerms(guildId) {
+  if (!guildId) return [];
+  return getGuildSettings(guildId).sensitiveTerms || [];
+}
+
+/**
+ * Adds a sensitive term to a guild's list
+ * @param {string} guildId - Guild ID
+ * @param {string} term - Term to redact (matched case-insensitively, as a whole word or phrase)
+ * @returns {Promise<boolean>} False if the term was already listed
+ */
+export async function addSensitiveTerm(guildId, term) {
+  const terms = getGuildSensitiveTerms(guildId);
+  if (terms.some(t => t.toLowerCase() === term.toLowerCase())) return false;
+
+  await updateGuildSettings(guildId, { sensitiveTerms: [...terms, term] });
+  return true;
+}
+
+/**
+ * Removes a sensitive term from a guild's list
+ * @param {string} guildId - Guild ID
+ * @param {string} term - Term to remove (case-insensitive)
+ * @returns {Promise<boolean>} Whether the term was found
+ */
+export async function removeSensitiveTerm(guildId, term) {
+  const terms = getGuildSensitiveTerms(guildId);
+  const remaining = terms.filter(t => t.toLowerCase() !== term.toLowerCase());
+  if (remaining.length === terms.length) return false;
+
+  await updateGuildSettings(guildId, { sensitiveTerms: remaining.length > 0 ? remaining : undefined });
+  return true;
+}
+
+/**
+ * Creates a redactor for one session
+ * @param {Object} [options] - Redaction options
+ * @param {boolean} [options.enabled] - Run the PII detectors (defaults to REDACT_PII)
+ * @param {string[]} [options.types] - Detectors to run (defaults to REDACT_PII_TYPES)
+ * @param {string[]} [options.terms] - Guild sensitive terms, always redacted
+ * @returns {Object|null} { redact(text) -> { text, counts } }, or null if there is nothing to redact
+ */
+export function createRedactor(options = {}) {
+  const {
+    enabled = config.redaction.enabled,
+    types = config.redaction.types,
+    terms = []
+  } = options;
+
+  const detectors = enabled ? PII_DETECTORS.filter(detector => types.includes(detector.type)) : [];
+  // Longest first, so a phrase wins over a shorter term inside it
+  const escaped = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+  const termPattern = escaped.length > 0 ? new RegExp(`(?<![\\w])(?:${escaped.join('|')})(?![\\w])`, 'gi') : null;
+
+  if (detectors.length === 0 && !termPattern) return null;
+
+  return {
+    /**
+     * Redacts one piece of text
+     * @param {string} text - Text to redact
+     * @returns {Object} { text, counts } where counts maps a type ('email', 'sensitive_term', ...) to its matches
+     */
+    redact(text) {
+      const counts = {};
+      const replace = (input, type, label, pattern, validate) => input.replace(pattern, match => {
+        if (validate && !validate(match)) return match;
+        counts[type] = (counts[type] || 0) + 1;
+        return label;
+      });
+
+      let result = text || '';
+      if (termPattern) result = replace(result, 'sensitive_term', SENSITIVE_TERM_LABEL, termPattern);
+      for (const detector of detectors) {
+        result = replace(result, detector.type, detector.label, detector.pattern, detector.validate);
+      }
+      return { text: result, counts };
+    }
+  };
+}
+
+export default {
+  PII_DETECTORS,
+  SENSITIVE_TERM_LABEL,
+  MAX_SENSITIVE_TERMS,
+  MAX_SENSITIVE_TERM_LENGTH,
+  getGuildSensitiveTerms,
+  addSensitiveTerm,
+  removeSensitiveTerm,
+  createRedactor
+};
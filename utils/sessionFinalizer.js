@@ -0,0 +1,322 @@
+import { EmbedBuilder } from 'discord.js';
+import { embedColors } from '../config.js';
+import { stopStreamingSession, markSessionStopping } from './streamingAudioProcessor.js';
+import { generateMeetingSummary } from './summarizer.js';
+import { setBotState } from './presence.js';
+import { closeConsentPrompts } from './consentGate.js';
+import { formatTimestamp, toSrt, toWebVtt } from './transcriptTimeline.js';
+import { resolveGuildChannel } from './guildChannels.js';
+
+/**
+ * Session Finalizer - the stop → summarize → post pipeline
+ * Shared by the /stop command and automatic stops (silence timeout, duration limit)
+ */
+
+/**
+ * Stops a streaming session, generates the meeting summary and posts the results
+ * @param {import('discord.js').Client} client - Discord client
+ * @param {Object} recordingStatus - Session status (see getStreamingSessionStatus)
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why the session is stopping ('command', 'silence', ...)
+ * @param {string} [options.fallbackChannelId] - Channel to post in when the guild has none configured (defaults to where /join was used)
+ * @param {Function} [options.onProgress] - Called with (step, statusText) as processing advances
+ * @returns {Promise<Object|null>} Processing result, or null if the session is already stopping
+ */
+export async function finalizeStreamingSession(client, recordingStatus, options = {}) {
+  const { reason = 'command', onProgress = async () => {}, fallbackChannelId = recordingStatus.textChannelId } = options;
+
+  // Only one stop pipeline may run per session (e.g. /stop racing an automatic stop)
+  if (!markSessionStopping(recordingStatus.sessionId)) {
+    console.warn(`⚠️ [FINALIZE] Session ${recordingStatus.sessionId} is already stopping`);
+    return null;
+  }
+
+  console.log(`⏹️ [FINALIZE] Finalizing session ${recordingStatus.sessionId} (reason: ${reason})`);
+
+  let processingError = null;
+  let finalTranscript = null;
+  let meetingSummary = null;
+
+  try {
+    // Step 2: Stop streaming transcription and generate summary
+    console.log('🔄 [FINALIZE] Step 2: Stopping transcription and generating summary...');
+
+    try {
+      await onProgress('Stopping transcription', '• Stopping streaming transcription...');
+    } catch (e) {
+      // non-fatal if progress update fails
+      console.warn('⚠️ [FINALIZE] Could not update progress before stopping transcription:', e.message);
+    }
+
+    try {
+      // Stop the streaming session and gather the final transcript
+      finalTranscript = await stopStreamingSession(recordingStatus.sessionId);
+      console.log('✅ [FINALIZE] Streaming transcription stopped, transcript collected');
+    } catch (stopErr) {
+      console.error('❌ [FINALIZE] Error stopping streaming session:', stopErr);
+      processingError = stopErr && stopErr.message ? stopErr.message : String(stopErr);
+    }
+
+    // Consent prompts stop accepting answers once the recording has ended
+    await closeConsentPrompts(recordingStatus.sessionId);
+
+    try {
+      if (finalTranscript) {
+        await onProgress('Generating summary', '• Generating AI summary...');
+        meetingSummary = await generateMeetingSummary(finalTranscript, { duration: recordingStatus.duration, startTime: recordingStatus.startTime, endTime: Date.now() });
+        console.log('✅ [FINALIZE] Meeting summary generated');
+      } else {
+        console.warn('⚠️ [FINALIZE] No final transcript available; skipping AI summary generation');
+      }
+    } catch (genErr) {
+      console.error('❌ [FINALIZE] Error generating meeting summary:', genErr);
+      processingError = processingError || (genErr && genErr.message ? genErr.message : String(genErr));
+    }
+
+    // Step 3: Post results to the summary channel of the session's own guild
+    console.log('🔄 [FINALIZE] Step 3: Posting results...');
+
+    const summaryChannel = await resolveGuildChannel(client, recordingStatus.guildId, 'summary', fallbackChannelId);
+    if (!summaryChannel) throw new Error(`No channel to post the summary in for guild ${recordingStatus.guildId}`);
+
+    // Reset presence to idle (best-effort)
+    try {
+      await setBotState(client, 'idle', recordingStatus.guildId);
+    } catch (e) {
+      console.warn('⚠️ [FINALIZE] Could not reset presence:', e.message);
+    }
+
+    // Try to send the summary as a single "post" (single message). If too large, send the first post
+    // then subsequent continuation posts. Use paragraph-aware splitting to avoid breaking numbering.
+    async function sendAsPostThenContinue(channel, text) {
+      if (!text) return null;
+
+      // Use embed-friendly chunk size (embed description limit is 4096)
+      const MAX_EMBED_DESC = 3800;
+      const chunks = splitTextIntoChunks(text, MAX_EMBED_DESC);
+      if (chunks.length === 0) return null;
+
+      // Prepare metadata for embed footers
+      const speakerCount = recordingStatus?.participants ?? (finalTranscript && Array.isArray(finalTranscript.participants) ? finalTranscript.participants.length : (finalTranscript?.statistics?.participantCount ?? 0));
+      const durationStr = recordingStatus?.duration ? formatDuration(recordingStatus.duration) : (finalTranscript?.duration ? formatDuration(finalTranscript.duration) : 'Unknown');
+      const startDate = recordingStatus?.startTime ? new Date(recordingStatus.startTime) : new Date();
+      const dateStr = startDate.toLocaleDateString('en-US');
+
+      // Send first chunk as an embed (styled post)
+      const totalPages = chunks.length;
+      const firstEmbed = new EmbedBuilder()
+        .setColor(embedColors.summary || embedColors.success)
+        .setDescription(chunks[0])
+        .setFooter({ text: `${speakerCount} speakers • ${durationStr} • ${dateStr} • Page 1 of ${totalPages}` })
+        .setTimestamp();
+
+      let first = await channel.send({ embeds: [firstEmbed] });
+
+      // Send remaining chunks as continuation embeds with footer page info
+      for (let i = 1; i < chunks.length; i++) {
+        const contEmbed = new EmbedBuilder()
+          .setColor(embedColors.summary || embedColors.success)
+          .setDescription(chunks[i])
+          .setFooter({ text: `${speakerCount} speakers • ${durationStr} • ${dateStr} • Page ${i + 1} of ${totalPages}` })
+          .setTimestamp();
+        await channel.send({ embeds: [contEmbed] });
+      }
+
+      return first;
+    }
+
+    // Build summary content directly from Gemini output and display it AS-IS (accepting markdown)
+    // Footer and paging will be handled by sendAsPostThenContinue. This intentionally
+    // avoids attempting to re-format JSON and shows the original Gemini text output.
+    let contentToPost = '';
+    if (!meetingSummary) {
+      contentToPost = 'No summary available.';
+    } else if (typeof meetingSummary === 'string') {
+      contentToPost = meetingSummary;
+    } else if (typeof meetingSummary === 'object') {
+      // Prefer the raw text returned by Gemini (rawSummary). Fall back to briefOverview.
+      contentToPost = meetingSummary.rawSummary || meetingSummary.briefOverview || 'No summary available.';
+    } else {
+      contentToPost = String(meetingSummary);
+    }
+
+    // Members who opted out or gave no consent never appear in the transcript, so say they were there
+    const unrecordedNames = (finalTranscript?.unrecordedParticipants || []).map(p => `${p.displayName || p.id} (${p.reason || 'opted out'})`);
+    if (unrecordedNames.length > 0) {
+      contentToPost += `\n\n🙈 *Also present, not recorded: ${unrecordedNames.join(', ')}*`;
+    }
+
+    // Chapter markers let readers jump to a part of the meeting in the transcript or subtitles
+    const chapters = finalTranscript?.timeline?.chapters || [];
+    if (chapters.length > 1) {
+      contentToPost += `\n\n📑 **Chapters**\n${chapters.map(chapter => `\`${formatTimestamp(chapter.startMs)}\` ${chapter.title}`).join('\n')}`;
+    }
+
+    const firstSummaryMessage = await sendAsPostThenContinue(summaryChannel, contentToPost);
+    try {
+      if (firstSummaryMessage && typeof firstSummaryMessage.crosspost === 'function') {
+        await firstSummaryMessage.crosspost();
+        console.log(`✅ [FINALIZE] Crossposted summary message in ${summaryChannel.id}`);
+      }
+    } catch (crossErr) {
+      console.warn('⚠️ [FINALIZE] Could not crosspost summary (channel may not be an Announcement channel or bot lacks permission):', crossErr.message);
+    }
+
+    // Attach raw transcript as a .txt file (safe for large text), with subtitle versions for the recording
+    const transcriptText = finalTranscript && finalTranscript.combinedText ? finalTranscript.combinedText : (typeof finalTranscript === 'string' ? finalTranscript : JSON.stringify(finalTranscript || {}, null, 2));
+    try {
+      const buffer = Buffer.from(transcriptText, 'utf-8');
+      const files = [{ attachment: buffer, name: 'transcript.txt' }];
+      const timeline = finalTranscript?.timeline;
+      if (timeline?.turns?.length > 0) {
+        files.push(
+          { attachment: Buffer.from(toSrt(timeline), 'utf-8'), name: 'transcript.srt' },
+          { attachment: Buffer.from(toWebVtt(timeline), 'utf-8'), name: 'transcript.vtt' }
+        );
+      }
+      await summaryChannel.send({ files });
+    } catch (attachErr) {
+      console.warn('⚠️ [FINALIZE] Could not attach transcript file:', attachErr.message);
+      // Fallback: send transcript as multiple messages (code blocks) capped to avoid spam
+      try {
+        const CHUNK_MAX = 1990;
+        const chunks = splitTextIntoChunks(transcriptText, CHUNK_MAX);
+        const MAX_CHUNKS = 50;
+        if (chunks.length === 0) {
+          await summaryChannel.send({ content: '⚠️ Transcript was empty and could not be attached.' });
+        } else if (chunks.length > MAX_CHUNKS) {
+          await summaryChannel.send({ content: `⚠️ Transcript is very large (${chunks.length} parts). Sending first ${MAX_CHUNKS} parts; the rest is truncated. Consider configuring cloud storage for large transcripts.` });
+          for (let i = 0; i < MAX_CHUNKS; i++) await summaryChannel.send({ content: '```\n' + chunks[i] + '\n```' });
+          await summaryChannel.send({ content: `⚠️ Transcript truncated after ${MAX_CHUNKS} parts.` });
+        } else {
+          await summaryChannel.send({ content: `⚠️ Could not attach transcript as a file. Falling back to sending the transcript in ${chunks.length} message(s).` });
+          for (const c of chunks) await summaryChannel.send({ content: '```\n' + c + '\n```' });
+          await summaryChannel.send({ content: '✅ Full transcript sent (split across multiple messages).' });
+        }
+      } catch (sendErr) {
+        console.error('❌ [FINALIZE] Failed to send transcript fallback messages:', sendErr);
+        await summaryChannel.send({ content: '⚠️ Could not attach or send the full transcript due to size or permission limits. Please check bot logs or configure external storage (S3/Drive) for large transcripts.' });
+      }
+    }
+
+    // Send status to the guild's status channel (if it has one apart from the summary channel)
+    try {
+      const statusChannel = await resolveGuildChannel(client, recordingStatus.guildId, 'status', fallbackChannelId);
+      if (statusChannel && statusChannel.id !== summaryChannel.id) {
+        const statusEmbed = new EmbedBuilder()
+          .setColor(processingError ? embedColors.warning : embedColors.success)
+          .setTitle('📝 Recording Processed')
+          .setDescription(`Meeting recording completed and summary generated${describeReason(reason)}`)
+          .addFields(
+            { name: '📊 Stats', value: `Duration: ${formatDuration(recordingStatus.duration)}\nParticipants: ${recordingStatus.participants}`, inline: true },
+            { name: '📝 Summary', value: `Posted in <#${summaryChannel.id}>`, inline: true }
+          )
+          .setTimestamp();
+        await statusChannel.send({ embeds: [statusEmbed] });
+      }
+    } catch (err) {
+      console.warn('⚠️ [FINALIZE] Could not send status message:', err.message);
+    }
+
+    return { finalTranscript, meetingSummary, processingError, summaryChannelId: summaryChannel.id };
+
+  } catch (postError) {
+    console.error('❌ [FINALIZE] Failed to post results:', postError);
+
+    // If we lack access to the configured summary channel, attempt to notify in the status channel instead
+    if (postError && postError.code === 50001) {
+      try {
+        const statusChannel = await resolveGuildChannel(client, recordingStatus.guildId, 'status', fallbackChannelId);
+        const fallbackEmbed = new EmbedBuilder()
+          .setColor(embedColors.warning)
+          .setTitle('⚠️ Summary Post Failed - Missing Access')
+          .setDescription(`I couldn't post the meeting summary to the configured summary channel because I don't have access. The summary may be attached here instead if available.`)
+          .addFields(
+            { name: 'Session', value: recordingStatus.sessionId, inline: true },
+            { name: 'Error', value: postError.message, inline: true }
+          )
+          .setTimestamp();
+
+        if (statusChannel) {
+          await statusChannel.send({ embeds: [fallbackEmbed] });
+        }
+      } catch (fallbackErr) {
+        console.error('❌ [FINALIZE] Failed to post fallback summary to status channel:', fallbackErr);
+      }
+    }
+
+    throw postError;
+  }
+}
+
+/**
+ * Describes why a session stopped, for status messages
+ * @param {string} reason - Stop reason
+ * @returns {string} Suffix for the status description
+ */
+function describeReason(reason) {
+  switch (reason) {
+    case 'silence':
+      return ' (stopped automatically after a period of silence)';
+    case 'duration':
+      return ' (stopped automatically at the maximum recording duration)';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Splits long text into chunks under a length limit, keeping paragraphs together where possible
+ * @param {string} text - Text to split
+ * @param {number} maxLen - Maximum chunk length (Discord message limit is 2000)
+ * @returns {string[]} Chunks
+ */
+function splitTextIntoChunks(text, maxLen = 2000) {
+  if (!text) return [];
+  const paragraphs = text.split('\n\n');
+  const chunks = [];
+  let current = '';
+  for (const para of paragraphs) {
+    const candidate = current ? (current + '\n\n' + para) : para;
+    if (candidate.length > maxLen) {
+      if (current) {
+        chunks.push(current);
+        current = '';
+      }
+      if (para.length > maxLen) {
+        for (let i = 0; i < para.length; i += maxLen) {
+          chunks.push(para.slice(i, i + maxLen));
+        }
+      } else {
+        current = para;
+      }
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Formats duration in milliseconds to human readable format
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+
+  if (hours > 0) {
+    return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+  } else if (minutes > 0) {
+    return `${minutes}m ${seconds % 60}s`;
+  } else {
+    return `${seconds}s`;
+  }
+}
+
+export default {
+  finalizeStreamingSession
+};
@@ -0,0 +1,222 @@
+import { EmbedBuilder } from 'discord.js';
+import { config, embedColors } from '../config.js';
+import { activeStreamingSessions, getStreamingSessionStatus } from './streamingAudioProcessor.js';
+import { finalizeStreamingSession } from './sessionFinalizer.js';
+import { resolveGuildChannel } from './guildChannels.js';
+
+/**
+ * Session Watchdog - stops forgotten recordings automatically
+ * Silence timeout and maximum duration; both post a warning to the guild's status channel
+ * first, then run the same pipeline as /stop
+ */
+
+/**
+ * Starts the silence watchdog for a session. If nobody speaks for
+ * SILENCE_TIMEOUT_MINUTES the session is finalized without needing an interaction.
+ * @param {import('discord.js').Client} client - Discord client
+ * @param {string} sessionId - Session identifier
+ */
+export function startSilenceWatchdog(client, sessionId) {
+  const session = activeStreamingSessions.get(sessionId);
+  if (!session) {
+    console.warn(`⚠️ [WATCHDOG] Cannot watch unknown session: ${sessionId}`);
+    return;
+  }
+
+  const timeoutMs = config.recording.silenceTimeoutMinutes * 60 * 1000;
+  // Warn ahead of the stop, but never before half of the timeout has passed
+  const warningLeadMs = Math.min(config.recording.silenceWarningMinutes * 60 * 1000, timeoutMs / 2);
+  const checkIntervalMs = Math.max(1000, Math.min(15000, Math.floor(timeoutMs / 10)));
+  let warned = false;
+
+  const interval = setInterval(async () => {
+    try {
+      if (!session.active || session.stopping) {
+        clearInterval(interval);
+        return;
+      }
+
+      // Silence is expected while off the record; the count restarts on resume
+      if (session.paused) {
+        warned = false;
+        return;
+      }
+
+      const silentForMs = Date.now() - getLastSpeechTime(session);
+
+      if (silentForMs >= timeoutMs) {
+        clearInterval(interval);
+        console.log(`😶 [WATCHDOG] No speech for ${Math.round(silentForMs / 1000)}s in ${sessionId}, stopping automatically`);
+
+        await postStatus(client, session, new EmbedBuilder()
+          .setColor(embedColors.warning)
+          .setTitle('⏹️ Recording Auto-Stopped')
+          .setDescription(`No speech was detected for ${config.recording.silenceTimeoutMinutes} minutes, so the recording is being stopped and summarized.`)
+          .addFields({ name: '🎯 Session', value: `\`${sessionId}\``, inline: true })
+          .setTimestamp());
+
+        const status = getStreamingSessionStatus(sessionId);
+        if (status) {
+          await finalizeStreamingSession(client, status, { reason: 'silence' });
+        }
+        return;
+      }
+
+      if (!warned && silentForMs >= timeoutMs - warningLeadMs) {
+        warned = true;
+        const remainingMs = timeoutMs - silentForMs;
+        console.log(`⚠️ [WATCHDOG] Silence warning for ${sessionId} (${Math.round(silentForMs / 1000)}s silent)`);
+
+        await postStatus(client, session, new EmbedBuilder()
+          .setColor(embedColors.warning)
+          .setTitle('😶 No Speech Detected')
+          .setDescription(`Nobody has spoken for a while. The recording will stop automatically <t:${Math.floor((Date.now() + remainingMs) / 1000)}:R> unless someone speaks.`)
+          .addFields({ name: '🎯 Session', value: `\`${sessionId}\``, inline: true })
+          .setTimestamp());
+      } else if (warned && silentForMs < timeoutMs - warningLeadMs) {
+        // Speech resumed after the warning; re-arm it for the next quiet period
+        warned = false;
+      }
+    } catch (error) {
+      console.error(`❌ [WATCHDOG] Silence check failed for ${sessionId}:`, error);
+    }
+  }, checkIntervalMs);
+
+  session.timers.push(interval);
+  console.log(`⏱️ [WATCHDOG] Silence watchdog armed for ${sessionId} (${config.recording.silenceTimeoutMinutes} min)`);
+}
+
+/**
+ * Schedules the countdown warnings and the hard stop for a session's maximum
+ * duration (MAX_RECORDING_DURATION_HOURS, moved by /extend)
+ * @param {import('discord.js').Client} client - Discord client
+ * @param {string} sessionId - Session identifier
+ */
+export function startDurationLimit(client, sessionId) {
+  const session = activeStreamingSessions.get(sessionId);
+  if (!session) {
+    console.warn(`⚠️ [WATCHDOG] Cannot schedule duration limit for unknown session: ${sessionId}`);
+    return;
+  }
+
+  clearDeadlineTimers(session);
+  session.deadlineTimers = [];
+  const now = Date.now();
+
+  for (const minutesBefore of config.recording.durationWarningMinutes) {
+    const warnAt = session.deadline - minutesBefore * 60 * 1000;
+    if (warnAt <= now) continue;
+
+    addDeadlineTimer(session, setTimeout(async () => {
+      if (!session.active || session.stopping) return;
+      console.log(`⏳ [WATCHDOG] ${minutesBefore} min left before duration limit in ${sessionId}`);
+
+      await postStatus(client, session, new EmbedBuilder()
+        .setColor(embedColors.warning)
+        .setTitle('⏳ Recording Limit Approaching')
+        .setDescription(`This recording will stop automatically <t:${Math.floor(session.deadline / 1000)}:R> when it reaches the maximum duration. Use \`/extend\` to keep recording.`)
+        .addFields({ name: '🎯 Session', value: `\`${sessionId}\``, inline: true })
+        .setTimestamp());
+    }, warnAt - now));
+  }
+
+  addDeadlineTimer(session, setTimeout(async () => {
+    try {
+      if (!session.active || session.stopping) return;
+      console.log(`⏹️ [WATCHDOG] Duration limit reached for ${sessionId}, stopping automatically`);
+
+      await postStatus(client, session, new EmbedBuilder()
+        .setColor(embedColors.warning)
+        .setTitle('⏹️ Recording Limit Reached')
+        .setDescription('The maximum recording duration was reached, so the recording is being stopped and summarized.')
+        .addFields({ name: '🎯 Session', value: `\`${sessionId}\``, inline: true })
+        .setTimestamp());
+
+      const status = getStreamingSessionStatus(sessionId);
+      if (status) {
+        await finalizeStreamingSession(client, status, { reason: 'duration' });
+      }
+    } catch (error) {
+      console.error(`❌ [WATCHDOG] Duration stop failed for ${sessionId}:`, error);
+    }
+  }, Math.max(0, session.deadline - now)));
+
+  console.log(`⏱️ [WATCHDOG] Duration limit for ${sessionId} set to ${new Date(session.deadline).toISOString()}`);
+}
+
+/**
+ * Pushes a session's duration limit out and reschedules its warnings
+ * @param {import('discord.js').Client} client - Discord client
+ * @param {string} sessionId - Session identifier
+ * @param {number} minutes - Minutes to add to the current deadline
+ * @returns {number|null} New deadline (epoch ms), or null if the session is not active
+ */
+export function extendSessionDeadline(client, sessionId, minutes) {
+  const session = activeStreamingSessions.get(sessionId);
+  if (!session || !session.active || session.stopping) return null;
+
+  session.deadline += minutes * 60 * 1000;
+  startDurationLimit(client, sessionId);
+  return session.deadline;
+}
+
+/**
+ * Tracks a deadline timer on the session so it is cleared on stop or reschedule
+ * @param {Object} session - Session information
+ * @param {NodeJS.Timeout} timer - Timer handle
+ */
+function addDeadlineTimer(session, timer) {
+  session.deadlineTimers.push(timer);
+  session.timers.push(timer);
+}
+
+/**
+ * Clears a session's pending deadline timers
+ * @param {Object} session - Session information
+ */
+function clearDeadlineTimers(session) {
+  for (const timer of session.deadlineTimers || []) {
+    clearTimeout(timer);
+    const index = session.timers.indexOf(timer);
+    if (index !== -1) session.timers.splice(index, 1);
+  }
+}
+
+/**
+ * Gets the last time anyone in the session was heard speaking
+ * @param {Object} session - Session information
+ * @returns {number} Epoch ms of the last speech (session start or last resume if nobody spoke since)
+ */
+function getLastSpeechTime(session) {
+  let lastSpeech = Math.max(session.startTime, session.resumedAt || 0);
+  const voiceActivity = session.transcriber?.data?.voiceActivity;
+  if (voiceActivity) {
+    for (const activity of voiceActivity.values()) {
+      if (activity.lastSpoke && activity.lastSpoke > lastSpeech) lastSpeech = activity.lastSpoke;
+    }
+  }
+  return lastSpeech;
+}
+
+/**
+ * Posts an embed to the status channel of the session's guild (best-effort)
+ * @param {import('discord.js').Client} client - Discord client
+ * @param {Object} session - Session information
+ * @param {EmbedBuilder} embed - Embed to post
+ */
+async function postStatus(client, session, embed) {
+  try {
+    const statusChannel = await resolveGuildChannel(client, session.guildId, 'status', session.textChannelId);
+    if (statusChannel) {
+      await statusChannel.send({ embeds: [embed] });
+    }
+  } catch (error) {
+    console.warn('⚠️ [WATCHDOG] Could not send status message:', error.message);
+  }
+}
+
+export default {
+  startSilenceWatchdog,
+  startDurationLimit,
+  extendSessionDeadline
+};
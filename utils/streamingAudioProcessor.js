@@ -1,5 +1,8 @@
 import { config, audioConfig } from '../config.js';
-import { createStreamingTranscriber, connectAudioStream, stopStreamingTranscription, initializeStreamingClient } from './streamingTranscription.js';
+import { createStreamingTranscriber, connectAudioStream, disconnectSpeaker, stopStreamingTranscription, initializeStreamingClient, sendSpeakerAudio, writeRecordingFrame, writeTrackFrame, getPipelineMetrics, setSessionPaused, markParticipantUnrecorded, recordSessionEvent } from './streamingTranscription.js';
+import { getTranscriptionProvider, resolveProviderName } from './transcriptionProviders/index.js';
+import { attachRtpHeaderCapture } from './opusJitterBuffer.js';
+import { isOptedOut } from './optOutRegistry.js';
 
 /**
  * Streaming Audio Processing for Discord Voice Recording
@@ -9,36 +12,66 @@ import { createStreamingTranscriber, connectAudioStream, stopStreamingTranscript
 // Global state for active streaming sessions
 export const activeStreamingSessions = new Map();
 
+// Guilds whose /join is still connecting; their session is not registered yet
+const reservedGuilds = new Set();
+
 /**
  * Starts a streaming transcription session
  * @param {string} sessionId - Unique session identifier
  * @param {Object} connection - Discord voice connection
- * @param {Array} userIds - Array of user IDs to record
+ * @param {Array} userIds - Array of user IDs in the channel; members who opted out are noted but not recorded
+ * @param {Object} [options] - Session options
+ * @param {Map<string, string>} [options.displayNames] - User ID -> display name used to label transcript turns
+ * @param {string} [options.guildId] - Guild the session records in
+ * @param {string} [options.channelId] - Voice channel the session records
+ * @param {string} [options.textChannelId] - Channel /join was used in; messages go there when the guild has no channel configured
+ * @param {string} [options.language] - Spoken language code or 'auto' (defaults to the guild's)
+ * @param {string} [options.summaryLanguage] - Summary language code or 'same' (defaults to the guild's)
+ * @param {boolean} [options.requireConsent] - Consent mode: record only members who accepted (see recordConsentDecision)
  * @returns {Promise<Object>} Session information
  */
-export async function startStreamingSession(sessionId, connection, userIds) {
+export async function startStreamingSession(sessionId, connection, userIds, options = {}) {
   try {
     console.log(`🎯 [STREAM-AUDIO] Starting streaming session: ${sessionId}`);
     console.log(`👥 [STREAM-AUDIO] Recording ${userIds.length} users`);
     
-    // Initialize AssemblyAI client if needed
+    // Initialize streaming client if needed
     initializeStreamingClient();
     
-    // Create streaming transcriber
+    // Create streaming transcriber with the engine this guild uses
+    const provider = resolveProviderName(options.guildId);
+    console.log(`🧠 [STREAM-AUDIO] Transcription engine: ${provider}`);
     const transcriber = await createStreamingTranscriber(sessionId, {
-      sampleRate: audioConfig.sampleRate,
-      channels: audioConfig.channels,
+      provider,
+      guildId: options.guildId,
+      language: options.language,
+      summaryLanguage: options.summaryLanguage,
+      sampleRate: config.streaming.targetSampleRate,
+      channels: 1,
       formatTurns: true,
       punctuate: true,
       disfluencies: false,
       speakerLabels: true
     });
-    // createStreamingTranscriber resolves when the AssemblyAI WebSocket session has begun
+    // Speakers' provider streams are opened as their audio is connected below,
     // so there's no separate `connect()` step to call here.
     
     // Prepare session info early and add a pending set to prevent duplicate subscriptions
     const userStreams = new Map();
     const pendingUserStreams = new Set();
+    const displayNames = new Map(options.displayNames || []);
+
+    // Align every speaker on one clock: per-speaker frames feed their transcription
+    // streams and recording tracks, the mixed frame feeds the master track
+    const mixer = createAudioMixer({
+      sampleRate: transcriber.data.sampleRate,
+      onTrackFrame: (userId, frame, queuedMs) => {
+        sendSpeakerAudio(sessionId, userId, frame, queuedMs);
+        writeTrackFrame(sessionId, userId, frame);
+      },
+      onMixFrame: (frame) => writeRecordingFrame(sessionId, frame)
+    });
+    mixer.start();
 
     const sessionInfo = {
       sessionId,
@@ -46,17 +79,47 @@ export async function startStreamingSession(sessionId, connection, userIds) {
       transcriber,
       userStreams,
       pendingUserStreams,
+      displayNames,
+      mixer,
+      guildId: options.guildId || null,
+      channelId: options.channelId || null,
+      textChannelId: options.textChannelId || null,
+      // Watchdog timers/intervals, cleared when the session stops
+      timers: [],
+      stopping: false,
       startTime: Date.now(),
+      // Hard stop for forgotten recordings; /extend can push it out
+      deadline: Date.now() + config.recording.maxDurationHours * 60 * 60 * 1000,
+      // Consent mode: who was asked, and every decision in the order it was made
+      consent: options.requireConsent ? { prompts: new Map(), decisions: [], current: new Map() } : null,
       active: true
     };
 
     // Publish session info early so addUserToStreamingSession can join safely without races
     activeStreamingSessions.set(sessionId, sessionInfo);
+
+    // Keep each packet's RTP sequence number and timestamp for the jitter buffer in connectAudioStream
+    if (!attachRtpHeaderCapture(connection.receiver)) {
+      console.warn('⚠️ [STREAM-AUDIO] Voice receiver does not expose RTP headers; packets will not be reordered or deduplicated');
+    }
     
     for (const userId of userIds) {
       try {
         console.log(`🔗 [STREAM-AUDIO] Setting up stream for user: ${userId}`);
 
+        // Never subscribe to a member who opted out; the summary still lists them as present
+        if (isOptedOut(sessionInfo.guildId, userId)) {
+          markParticipantUnrecorded(sessionId, userId, displayNames.get(userId));
+          continue;
+        }
+
+        // In consent mode only members who accepted are subscribed
+        const consentBlock = getConsentBlock(sessionInfo, userId);
+        if (consentBlock) {
+          markParticipantUnrecorded(sessionId, userId, displayNames.get(userId), consentBlock);
+          continue;
+        }
+
         // If user already has a stream or is pending, skip (defensive)
         if (userStreams.has(userId) || pendingUserStreams.has(userId)) {
           console.log(`ℹ️ [STREAM-AUDIO] User ${userId} already connected or pending — skipping duplicate subscription`);
@@ -87,8 +150,11 @@ export async function startStreamingSession(sessionId, connection, userIds) {
           }
         }, 10000);
         
-        // Connect audio stream to transcriber
-        await connectAudioStream(sessionId, audioStream, userId);
+        // Connect audio stream to the user's own transcription stream (via the mixer)
+        mixer.addTrack(userId);
+        await connectAudioStream(sessionId, audioStream, userId, displayNames.get(userId), {
+          onFrame: (frame) => mixer.push(userId, frame)
+        });
 
         userStreams.set(userId, {
           audioStream,
@@ -135,6 +201,10 @@ export async function stopStreamingSession(sessionId) {
       return null;
     }
     
+    // Stop watchdogs first so they cannot fire during shutdown
+    for (const timer of sessionInfo.timers) clearTimeout(timer);
+    sessionInfo.timers.length = 0;
+
     // Stop all user audio streams
     for (const [userId, streamInfo] of sessionInfo.userStreams) {
       try {
@@ -145,14 +215,18 @@ export async function stopStreamingSession(sessionId) {
       }
     }
     
-    // Stop the streaming transcription
-    const finalTranscript = await stopStreamingTranscription(sessionId);
-    
-    // Mark session as inactive
-    sessionInfo.active = false;
-    
-    // Remove from active sessions
-    activeStreamingSessions.delete(sessionId);
+    // Play out queued audio before the transcription streams are terminated
+    sessionInfo.mixer.stop();
+
+    // Stop the streaming transcription; the consent record is kept with the transcript and recording
+    let finalTranscript;
+    try {
+      finalTranscript = await stopStreamingTranscription(sessionId, { consent: describeConsent(sessionInfo) });
+    } finally {
+      // Release the session even if the transcription failed to stop, so the guild can record again
+      sessionInfo.active = false;
+      activeStreamingSessions.delete(sessionId);
+    }
     
     const duration = Date.now() - sessionInfo.startTime;
     console.log(`✅ [STREAM-AUDIO] Session ${sessionId} stopped. Duration: ${Math.round(duration/1000)}s`);
@@ -169,9 +243,10 @@ export async function stopStreamingSession(sessionId) {
  * Adds a new user to an existing streaming session
  * @param {string} sessionId - Session identifier
  * @param {string} userId - User ID to add
- * @returns {Promise<boolean>} Success status
+ * @param {string} [displayName] - Name used to label the user's transcript turns
+ * @returns {Promise<boolean>} Success status (false for a member who opted out or has not consented)
  */
-export async function addUserToStreamingSession(sessionId, userId) {
+export async function addUserToStreamingSession(sessionId, userId, displayName = null) {
   try {
     console.log(`➕ [STREAM-AUDIO] Adding user ${userId} to session ${sessionId}`);
     
@@ -194,6 +269,21 @@ export async function addUserToStreamingSession(sessionId, userId) {
       return true;
     }
     
+    if (displayName) sessionInfo.displayNames.set(userId, displayName);
+
+    // Never subscribe to a member who opted out; the summary still lists them as present
+    if (isOptedOut(sessionInfo.guildId, userId)) {
+      markParticipantUnrecorded(sessionId, userId, sessionInfo.displayNames.get(userId));
+      return false;
+    }
+
+    // In consent mode only members who accepted are subscribed
+    const consentBlock = getConsentBlock(sessionInfo, userId);
+    if (consentBlock) {
+      markParticipantUnrecorded(sessionId, userId, sessionInfo.displayNames.get(userId), consentBlock);
+      return false;
+    }
+
     // Mark pending before subscribing/connecting
     sessionInfo.pendingUserStreams.add(userId);
 
@@ -203,8 +293,11 @@ export async function addUserToStreamingSession(sessionId, userId) {
     });
 
     try {
-      // Connect to transcriber
-      await connectAudioStream(sessionId, audioStream, userId);
+      // Connect to transcriber (via the mixer)
+      sessionInfo.mixer.addTrack(userId);
+      await connectAudioStream(sessionId, audioStream, userId, sessionInfo.displayNames.get(userId), {
+        onFrame: (frame) => sessionInfo.mixer.push(userId, frame)
+      });
 
       // Add to session
       sessionInfo.userStreams.set(userId, {
@@ -260,6 +353,10 @@ export async function removeUserFromStreamingSession(sessionId, userId) {
     
     // Remove from session
     sessionInfo.userStreams.delete(userId);
+    sessionInfo.mixer.removeTrack(userId);
+
+    // Close the user's transcription stream; their turns stay in the transcript
+    await disconnectSpeaker(sessionId, userId);
     
     // Also clear any pending marker if present
     if (sessionInfo.pendingUserStreams && sessionInfo.pendingUserStreams.has(userId)) {
@@ -276,7 +373,136 @@ export async function removeUserFromStreamingSession(sessionId, userId) {
 }
 
 /**
- * Gets information about active streaming sessions
+ * Pauses a session: audio stops being transcribed and saved, but the bot stays in the channel
+ * and the transcription session stays open
+ * @param {string} sessionId - Session identifier
+ * @param {Object} [actor] - Who paused it: { userId, displayName }
+ * @returns {boolean} True if the session was recording and is now paused
+ */
+export function pauseStreamingSession(sessionId, actor = {}) {
+  const session = activeStreamingSessions.get(sessionId);
+  if (!session || !session.active || session.stopping || session.paused) return false;
+  if (!setSessionPaused(sessionId, true, actor)) return false;
+
+  session.paused = true;
+  session.pausedAt = Date.now();
+  return true;
+}
+
+/**
+ * Resumes a paused session
+ * @param {string} sessionId - Session identifier
+ * @param {Object} [actor] - Who resumed it: { userId, displayName }
+ * @returns {number|null} How long (ms) the session was paused, or null if it was not paused
+ */
+export function resumeStreamingSession(sessionId, actor = {}) {
+  const session = activeStreamingSessions.get(sessionId);
+  if (!session || !session.active || session.stopping || !session.paused) return null;
+  setSessionPaused(sessionId, false, actor);
+
+  const pausedMs = Date.now() - session.pausedAt;
+  session.paused = false;
+  session.pausedAt = null;
+  // The silence watchdog counts from here, not from the last words before the pause
+  session.resumedAt = Date.now();
+  return pausedMs;
+}
+
+/**
+ * Tells why consent mode keeps a member from being recorded
+ * @param {Object} sessionInfo - Session information
+ * @param {string} userId - User ID
+ * @returns {string|null} Reason, or null if the member may be recorded
+ */
+function getConsentBlock(sessionInfo, userId) {
+  if (!sessionInfo.consent) return null;
+  const decision = sessionInfo.consent.current.get(userId);
+  if (decision === 'accepted') return null;
+  return decision === 'declined' ? 'declined consent' : 'no consent given';
+}
+
+/**
+ * Notes that a member was asked for consent to be recorded
+ * @param {string} sessionId - Session identifier
+ * @param {string} userId - User ID
+ * @param {Object} details - { displayName, via: 'channel' | 'dm' | 'thread', messageId }
+ * @returns {boolean} True if the member had not been asked before
+ */
+export function recordConsentPrompt(sessionId, userId, details = {}) {
+  const session = activeStreamingSessions.get(sessionId);
+  if (!session || !session.consent || session.consent.prompts.has(userId)) return false;
+
+  session.consent.prompts.set(userId, { userId, ...details, promptedAt: new Date().toISOString() });
+  return true;
+}
+
+/**
+ * Records a member accepting or declining to be recorded. Decisions are kept in the order they
+ * were made, so a member who changes their mind leaves both in the record. Does not subscribe or
+ * detach the member; the caller does that.
+ * @param {string} sessionId - Session identifier
+ * @param {string} userId - User ID
+ * @param {string} decision - 'accepted' or 'declined'
+ * @param {Object} [details] - { displayName, via: 'channel' | 'dm' | 'thread', messageId }
+ * @returns {Object|null} The recorded decision, or null if the session is not in consent mode
+ */
+export function recordConsentDecision(sessionId, userId, decision, details = {}) {
+  const session = activeStreamingSessions.get(sessionId);
+  if (!session || !session.active || !session.consent) return null;
+
+  const entry = { userId, ...details, decision, decidedAt: new Date().toISOString() };
+  session.consent.decisions.push(entry);
+  session.consent.current.set(userId, decision);
+  recordSessionEvent(sessionId, { type: 'consent', userId, displayName: details.displayName, decision });
+  console.log(`✋ [STREAM-AUDIO] ${details.displayName || userId} ${decision} recording in session ${sessionId}${details.via ? ` (via ${details.via})` : ''}`);
+  return entry;
+}
+
+/**
+ * Gets a member's consent state in a session
+ * @param {string} sessionId - Session identifier
+ * @param {string} userId - User ID
+ * @returns {Object|null} { prompted, decision } or null if the session is not in consent mode
+ */
+export function getParticipantConsent(sessionId, userId) {
+  const session = activeStreamingSessions.get(sessionId);
+  if (!session || !session.consent) return null;
+  return {
+    prompted: session.consent.prompts.has(userId),
+    decision: session.consent.current.get(userId) || null
+  };
+}
+
+/**
+ * Gets the consent record of a session, as stored with its transcript
+ * @param {string} sessionId - Session identifier
+ * @returns {Object|null} Consent record, or null if the session is not in consent mode
+ */
+export function getConsentRecord(sessionId) {
+  const session = activeStreamingSessions.get(sessionId);
+  return session ? describeConsent(session) : null;
+}
+
+/**
+ * Builds the consent record of a session
+ * @param {Object} session - Session information
+ * @returns {Object|null} { sessionId, guildId, channelId, prompts, decisions } or null outside consent mode
+ */
+function describeConsent(session) {
+  if (!session.consent) return null;
+  return {
+    sessionId: session.sessionId,
+    guildId: session.guildId,
+    channelId: session.channelId,
+    startedAt: new Date(session.startTime).toISOString(),
+    prompts: Array.from(session.consent.prompts.values()),
+    decisions: [...session.consent.decisions]
+  };
+}
+
+/**
+ * Gets information about active streaming sessions, including each session's pipeline counters
+ * per user and stage (see getPipelineMetrics)
  * @returns {Object} Session statistics
  */
 export function getStreamingSessionStats() {
@@ -289,48 +515,146 @@ export function getStreamingSessionStats() {
       sessionId: session.sessionId,
       userCount: session.userStreams.size,
       duration: Date.now() - session.startTime,
-      active: session.active
+      active: session.active,
+      metrics: getPipelineMetrics(session.sessionId)
     }))
   };
 }
 
 /**
- * Gets current recording status for streaming sessions
+ * Builds the status object for a session
+ * @param {Object} session - Session information
+ * @returns {Object} Recording status
+ */
+function describeSession(session) {
+  return {
+    sessionId: session.sessionId,
+    guildId: session.guildId,
+    channelId: session.channelId,
+    textChannelId: session.textChannelId,
+    participants: session.userStreams.size,
+    duration: Date.now() - session.startTime,
+    active: session.active,
+    startTime: session.startTime,
+    deadline: session.deadline,
+    paused: !!session.paused,
+    pausedAt: session.pausedAt || null,
+    consentRequired: !!session.consent
+  };
+}
+
+/**
+ * Gets the status of every session that is recording (or paused), oldest first
+ * @returns {Object[]} Recording statuses
+ */
+export function listStreamingSessionStatuses() {
+  return Array.from(activeStreamingSessions.values())
+    .filter(s => s.active && !s.stopping)
+    .map(describeSession);
+}
+
+/**
+ * Gets current recording status for streaming sessions. A guild has at most one session, since
+ * the bot holds one voice connection per guild.
+ * @param {string} [guildId] - Only look at this guild's session; without it, the most recent session anywhere
  * @returns {Object|null} Current recording status or null if not recording
  */
-export function getCurrentStreamingStatus() {
-  const activeSessions = Array.from(activeStreamingSessions.values()).filter(s => s.active);
+export function getCurrentStreamingStatus(guildId = null) {
+  const activeSessions = listStreamingSessionStatuses().filter(s => !guildId || s.guildId === guildId);
   
   if (activeSessions.length === 0) {
     return null;
   }
   
   // Return info about the most recent session
-  const currentSession = activeSessions[activeSessions.length - 1];
-  
-  return {
-    sessionId: currentSession.sessionId,
-    participants: currentSession.userStreams.size,
-    duration: Date.now() - currentSession.startTime,
-    active: currentSession.active,
-    startTime: currentSession.startTime
-  };
+  return activeSessions[activeSessions.length - 1];
+}
+
+/**
+ * Checks whether a guild has a session that is recording or still stopping
+ * @param {string} guildId - Guild ID
+ * @returns {boolean} True if a new session cannot start in the guild yet
+ */
+export function hasGuildStreamingSession(guildId) {
+  for (const session of activeStreamingSessions.values()) {
+    if (session.guildId === guildId) return true;
+  }
+  return false;
+}
+
+/**
+ * Reserves a guild for a session that is about to start. Checked and taken in one step, so two
+ * /join commands in the same guild cannot both pass while the first is still connecting.
+ * @param {string} guildId - Guild ID
+ * @returns {boolean} True if the caller now holds the guild; release it with releaseGuildStreamingSession
+ */
+export function reserveGuildStreamingSession(guildId) {
+  if (reservedGuilds.has(guildId) || hasGuildStreamingSession(guildId)) return false;
+  reservedGuilds.add(guildId);
+  return true;
+}
+
+/**
+ * Releases a guild reservation, once its session is registered or failed to start
+ * @param {string} guildId - Guild ID
+ */
+export function releaseGuildStreamingSession(guildId) {
+  reservedGuilds.delete(guildId);
+}
+
+/**
+ * Finds the active session recording a voice channel
+ * @param {string} channelId - Voice channel ID
+ * @returns {Object|null} Session information or null if the channel is not being recorded
+ */
+export function findStreamingSessionByChannel(channelId) {
+  for (const session of activeStreamingSessions.values()) {
+    if (session.active && !session.stopping && session.channelId === channelId) return session;
+  }
+  return null;
+}
+
+/**
+ * Gets recording status for a specific session
+ * @param {string} sessionId - Session identifier
+ * @returns {Object|null} Recording status or null if the session is not active
+ */
+export function getStreamingSessionStatus(sessionId) {
+  const session = activeStreamingSessions.get(sessionId);
+  if (!session || !session.active) return null;
+  return describeSession(session);
+}
+
+/**
+ * Marks a session as stopping so only one stop pipeline runs for it
+ * @param {string} sessionId - Session identifier
+ * @returns {boolean} True if the caller now owns the stop, false if already stopping or gone
+ */
+export function markSessionStopping(sessionId) {
+  const session = activeStreamingSessions.get(sessionId);
+  if (!session || !session.active || session.stopping) return false;
+  session.stopping = true;
+  return true;
 }
 
 /**
  * Validates streaming audio configuration
+ * @param {string} [guildId] - Validate the engine this guild records with (the deployment default without one)
  * @returns {boolean} True if configuration is valid
  */
-export function validateStreamingConfig() {
+export function validateStreamingConfig(guildId = null) {
   const errors = [];
   
-  if (!config.apis.assemblyAI) {
-    errors.push('AssemblyAI API key not configured');
-  }
+  errors.push(...getTranscriptionProvider(resolveProviderName(guildId)).validate());
   
   if (!audioConfig.sampleRate || audioConfig.sampleRate < 16000) {
     errors.push('Invalid sample rate configuration');
   }
+
+  const targetRate = config.streaming.targetSampleRate;
+  if (!targetRate || targetRate < 8000 || targetRate > audioConfig.sampleRate) {
+    errors.push(`STREAM_SAMPLE_RATE must be between 8000 and ${audioConfig.sampleRate}`);
+  }
   
   if (errors.length > 0) {
     console.error('❌ [STREAM-AUDIO] Configuration errors:', errors);
@@ -366,4 +690,179 @@ export async function stopAllStreamingSessions() {
   }
   
   console.log('✅ [STREAM-AUDIO] All streaming sessions stopped');
-}
\ No newline at end of file
+}
+/**
+ * Creates a time-aligned mixer for a session's speakers. Each speaker's PCM is queued
+ * on arrival and played out on a shared clock, so overlapping speech is summed instead
+ * of spliced and gaps are filled with silence.
+ * @param {Object} options - Mixer options
+ * @param {number} options.sampleRate - Sample rate of the mono s16le input
+ * @param {Function} [options.onTrackFrame] - Called with (userId, frame, queuedMs) for each speaker heard in a tick,
+ *   where queuedMs is the speaker's audio still queued behind the frame
+ * @param {Function} [options.onMixFrame] - Called with the mixed frame on every tick (silence when nobody talks)
+ * @returns {Object} Mixer with push/addTrack/removeTrack/start/stop
+ */
+export function createAudioMixer(options) {
+  const { sampleRate, onTrackFrame = () => {}, onMixFrame = () => {} } = options;
+  const frameMs = config.streaming.mixerFrameMs || 100;
+  const jitterMs = config.streaming.mixerJitterMs || 300;
+  const maxBufferMs = config.streaming.mixerMaxBufferMs || 2000;
+
+  const bytesPerMs = (sampleRate / 1000) * 2;
+  const frameSamples = Math.round((sampleRate * frameMs) / 1000);
+  const frameBytes = frameSamples * 2;
+  const jitterBytes = Math.round(bytesPerMs * jitterMs);
+  const maxBufferBytes = Math.round(bytesPerMs * maxBufferMs);
+
+  // userId -> { chunks, bytes, primed, queuedSince }
+  const tracks = new Map();
+  let timer = null;
+  let clockStart = 0;
+  let framesEmitted = 0;
+
+  function getTrack(userId) {
+    let track = tracks.get(userId);
+    if (!track) {
+      track = { chunks: [], bytes: 0, primed: false, queuedSince: null };
+      tracks.set(userId, track);
+    }
+    return track;
+  }
+
+  // Pull one frame of audio from a track, padding with silence if it runs dry
+  function takeFrame(track) {
+    const frame = Buffer.alloc(frameBytes);
+    let offset = 0;
+    while (offset < frameBytes && track.chunks.length > 0) {
+      const chunk = track.chunks[0];
+      const needed = frameBytes - offset;
+      if (chunk.length <= needed) {
+        chunk.copy(frame, offset);
+        offset += chunk.length;
+        track.chunks.shift();
+      } else {
+        chunk.copy(frame, offset, 0, needed);
+        track.chunks[0] = chunk.subarray(needed);
+        offset += needed;
+      }
+    }
+    track.bytes -= offset;
+    if (track.bytes <= 0) {
+      // Speaker went quiet: wait for a fresh jitter buffer before playing them again
+      track.bytes = 0;
+      track.primed = false;
+      track.queuedSince = null;
+    }
+    return frame;
+  }
+
+  function mixTick() {
+    const now = Date.now();
+    const mix = new Float64Array(frameSamples);
+    let activeTracks = 0;
+
+    for (const [userId, track] of tracks) {
+      if (!track.primed && track.bytes > 0) {
+        // Start playing a speaker once enough audio is queued, or once it has waited long enough
+        track.primed = track.bytes >= jitterBytes || (now - track.queuedSince) >= jitterMs;
+      }
+      if (!track.primed) continue;
+
+      const frame = takeFrame(track);
+      activeTracks++;
+      for (let i = 0; i < frameSamples; i++) {
+        mix[i] += frame.readInt16LE(i * 2);
+      }
+
+      try {
+        onTrackFrame(userId, frame, track.bytes / bytesPerMs);
+      } catch (error) {
+        console.error(`❌ [STREAM-AUDIO] Mixer track handler error for ${userId}:`, error);
+      }
+    }
+
+    const mixed = Buffer.alloc(frameBytes);
+    if (activeTracks > 0) {
+      for (let i = 0; i < frameSamples; i++) {
+        mixed.writeInt16LE(softClip(mix[i]), i * 2);
+      }
+    }
+
+    try {
+      onMixFrame(mixed);
+    } catch (error) {
+      console.error('❌ [STREAM-AUDIO] Mixer output handler error:', error);
+    }
+    framesEmitted++;
+  }
+
+  // Emit every frame that is due on the clock; timers drift, the frame count must not
+  function runClock() {
+    const due = Math.floor((Date.now() - clockStart) / frameMs);
+    const maxCatchUp = Math.ceil(maxBufferMs / frameMs);
+    if (due - framesEmitted > maxCatchUp) {
+      // Event loop stalled for a long time: skip ahead rather than burst minutes of silence
+      console.warn(`⚠️ [STREAM-AUDIO] Mixer fell ${due - framesEmitted} frames behind, resyncing clock`);
+      framesEmitted = due - maxCatchUp;
+    }
+    while (framesEmitted < due) mixTick();
+  }
+
+  return {
+    frameMs,
+
+    addTrack(userId) {
+      getTrack(userId);
+    },
+
+    removeTrack(userId) {
+      tracks.delete(userId);
+    },
+
+    push(userId, pcm) {
+      const track = getTrack(userId);
+      if (track.bytes === 0) track.queuedSince = Date.now();
+      track.chunks.push(pcm);
+      track.bytes += pcm.length;
+
+      // Bound latency: drop the oldest audio if a speaker's queue grows too large
+      while (track.bytes > maxBufferBytes && track.chunks.length > 1) {
+        track.bytes -= track.chunks.shift().length;
+      }
+    },
+
+    start() {
+      if (timer) return;
+      clockStart = Date.now();
+      framesEmitted = 0;
+      timer = setInterval(runClock, Math.max(10, Math.floor(frameMs / 2)));
+    },
+
+    stop() {
+      if (!timer) return;
+      clearInterval(timer);
+      timer = null;
+      // Play out whatever is still queued so the end of the meeting is not cut off
+      for (const track of tracks.values()) {
+        if (track.bytes > 0) track.primed = true;
+      }
+      while (Array.from(tracks.values()).some(track => track.bytes > 0)) mixTick();
+    }
+  };
+}
+
+/**
+ * Limits a summed sample to the int16 range, compressing peaks above a knee
+ * instead of hard clipping them
+ * @param {number} sample - Summed sample value
+ * @returns {number} Sample within int16 range
+ */
+function softClip(sample) {
+  const knee = 0.8 * 32767;
+  const magnitude = Math.abs(sample);
+  if (magnitude <= knee) return Math.round(sample);
+
+  const headroom = 32767 - knee;
+  const compressed = knee + headroom * Math.tanh((magnitude - knee) / headroom);
+  return Math.sign(sample) * Math.min(32767, Math.round(compressed));
+}
@@ -1,16 +1,19 @@
 import { Transform } from 'stream';
-import { config } from '../config.js';
-import { WebSocket } from 'ws';
-import fs from 'fs';
-import { promises as fsp } from 'fs';
-import { dirname, join } from 'path';
-import { fileURLToPath } from 'url';
+import { config, audioConfig } from '../config.js';
+import { createResampler, downmixStereo, toPcm16, createSpeakerDspChain, createVoiceActivityGate } from './audioDsp.js';
+import { getTranscriptionProvider } from './transcriptionProviders/index.js';
+import { createRecordingArchive } from './recordingArchive.js';
+import { buildTimeline, formatTimestampedTranscript } from './transcriptTimeline.js';
+import { createTurnConsolidator, summarizeTurns } from './turnConsolidator.js';
+import { getGuildVocabulary, applyVocabularyCorrections } from './vocabulary.js';
+import { createRedactor, getGuildSensitiveTerms } from './redaction.js';
+import { resolveGuildLanguages, rankTurnLanguages } from './languages.js';
+import { createOpusJitterBuffer } from './opusJitterBuffer.js';
 import Prism from 'prism-media';
-import crypto from 'crypto';
 
 /**
- * AssemblyAI Streaming Transcription Service - Direct WebSocket Implementation
- * Following AssemblyAI's streaming API documentation
+ * Streaming Transcription Service
+ * Streams each speaker's audio to the session's transcription provider (see transcriptionProviders/)
  */
 
 // Track active connections
@@ -27,180 +30,523 @@ function logDebug(...args) {
   }
 }
 
-function computeFrameHash(buffer) {
-  try {
-    // Use a fast digest for frame identity (not cryptographic necessity here)
-    return crypto.createHash('sha1').update(buffer).digest('hex');
-  } catch (e) {
-    return null;
-  }
-}
-
 /**
- * Initialize streaming client (now using direct WebSocket)
+ * Initialize streaming client
  */
 export function initializeStreamingClient() {
-  console.log('✅ [STREAMING] Direct WebSocket client ready');
+  console.log(`✅ [STREAMING] Streaming client ready (default engine: ${config.transcription.provider})`);
 }
 
 /**
- * Creates a streaming transcriber using direct WebSocket connection
+ * Creates a streaming transcription session. Each speaker gets their own provider
+ * stream (opened lazily by connectAudioStream) so every turn can be attributed.
  * @param {string} sessionId - Unique session identifier
  * @param {Object} options - Configuration options
- * @returns {Promise<Object>} WebSocket connection and data
+ * @param {string} [options.provider] - Transcription provider name (defaults to TRANSCRIPTION_PROVIDER)
+ * @param {string} [options.guildId] - Guild whose custom vocabulary and default languages are used
+ * @param {string} [options.language] - Spoken language code or 'auto' (defaults to the guild's)
+ * @param {string} [options.summaryLanguage] - Summary language code or 'same' (defaults to the guild's)
+ * @returns {Promise<Object>} Session transcription data
  */
 export async function createStreamingTranscriber(sessionId, options = {}) {
   try {
-    console.log(`🎯 [STREAMING] Creating WebSocket transcriber for session: ${sessionId}`);
-    
-    // Build WebSocket URL with required query parameters
-    const wsUrl = new URL('wss://streaming.assemblyai.com/v3/ws');
-    wsUrl.searchParams.set('sample_rate', '48000'); // Discord's sample rate
-    wsUrl.searchParams.set('encoding', 'pcm_s16le'); // Discord's audio format
-    wsUrl.searchParams.set('format_turns', 'true');
-    
-    // Add optional parameters
-    if (options.end_of_turn_confidence_threshold) {
-      wsUrl.searchParams.set('end_of_turn_confidence_threshold', options.end_of_turn_confidence_threshold.toString());
-    }
-    
-    console.log(`🔗 [STREAMING] Connecting to: ${wsUrl.toString()}`);
-    
-    // Create WebSocket with Authorization header
-    const ws = new WebSocket(wsUrl.toString(), {
-      headers: {
-        'Authorization': config.apis.assemblyAI
-      }
-    });
+    console.log(`🎯 [STREAMING] Creating per-speaker transcriber for session: ${sessionId}`);
     
     // Initialize session data
+    const consolidator = createTurnConsolidator();
+    const guildLanguages = resolveGuildLanguages(options.guildId);
     const transcriptionData = {
       sessionId,
-      transcripts: [],
+      // One entry per turn: later versions of a turn (final, formatted) replace earlier ones
+      transcripts: consolidator.turns,
+      consolidator,
       participants: new Map(),
-      isConnected: false,
+      // userId -> speaker stream (provider stream + session info)
+      speakers: new Map(),
+      // userId -> voice activity gate; kept across leaves and reconnects so its stats cover the session
+      voiceGates: new Map(),
+      // userId -> level processing chain (high-pass, noise gate, AGC) and input meter; kept across reconnects
+      dspChains: new Map(),
+      // userId -> pipeline counters per stage (see getSpeakerMetrics); kept across reconnects
+      metrics: new Map(),
+      // userId -> { displayName } of members present in the channel who opted out of recording
+      unrecordedParticipants: new Map(),
+      // Non-speech session events (participants joining/leaving, ...) in time order
+      timeline: [],
+      isConnected: true,
       startTime: Date.now(),
       lastActivity: Date.now(),
-      websocket: ws,
-      assemblySessionId: null,
-      expiresAt: null
+      // Rate of the mono PCM sent upstream and written to disk
+      sampleRate: options.sampleRate || config.streaming.targetSampleRate,
+      provider: getTranscriptionProvider(options.provider || config.transcription.provider),
+      // Guild terms: sent to the provider as keyterms and used to correct the final transcript
+      vocabulary: getGuildVocabulary(options.guildId),
+      // PII detectors and guild sensitive terms applied to the final transcript (null if none apply)
+      redactor: createRedactor({ terms: getGuildSensitiveTerms(options.guildId) }),
+      // Spoken language passed to the provider, and the language the summary is written in
+      language: options.language || guildLanguages.spoken,
+      summaryLanguage: options.summaryLanguage || guildLanguages.summary,
+      options
     };
 
-    // Optionally prepare recording to disk
+    // Optionally archive the recording to disk: one track per speaker plus the mixed master
     const saveToDisk = options.saveToDisk || config.recording.saveToDisk || false;
     if (saveToDisk) {
-      // Ensure recordings directory exists
-      const __filename = fileURLToPath(import.meta.url);
-      const __dirname = dirname(__filename);
-      const recordingsDir = config.files && config.files.recordingsDir ? config.files.recordingsDir : join(__dirname, '..', 'recordings');
       try {
-        await fsp.mkdir(recordingsDir, { recursive: true });
+        transcriptionData.recording = await createRecordingArchive(sessionId, { sampleRate: transcriptionData.sampleRate });
       } catch (err) {
-        console.warn('⚠️ [STREAMING] Could not create recordings directory:', recordingsDir, err.message);
+        console.warn(`⚠️ [STREAMING] Could not create recording archive for ${sessionId}:`, err.message);
+      }
+    }
+
+    activeTranscribers.set(sessionId, { data: transcriptionData });
+
+    return { data: transcriptionData };
+
+  } catch (error) {
+    console.error(`❌ [STREAMING] Failed to create transcriber:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Creates a bounded FIFO of audio frames. When full, the oldest frames are dropped.
+ * @param {number} maxBytes - Maximum bytes of audio held
+ * @returns {Object} Ring buffer with push/drain and byte/drop counters
+ */
+function createAudioRingBuffer(maxBytes) {
+  const entries = [];
+  const buffer = {
+    bytes: 0,
+    droppedBytes: 0,
+
+    /**
+     * @param {Buffer} frame - Mono PCM frame
+     * @param {number} sessionMs - Where the frame starts on the session clock
+     */
+    push(frame, sessionMs) {
+      entries.push({ frame, sessionMs });
+      buffer.bytes += frame.length;
+      while (buffer.bytes > maxBytes && entries.length > 0) {
+        const dropped = entries.shift();
+        buffer.bytes -= dropped.frame.length;
+        buffer.droppedBytes += dropped.frame.length;
       }
+    },
 
-      const rawPath = join(recordingsDir, `${sessionId}.pcm`);
-      const wavPath = join(recordingsDir, `${sessionId}.wav`);
-      const writeStream = fs.createWriteStream(rawPath, { flags: 'a' });
-      transcriptionData.recording = {
-        enabled: true,
-        rawPath,
-        wavPath,
-        writeStream
-      };
-      console.log(`💾 [STREAMING] Recording enabled for session ${sessionId} -> ${rawPath}`);
+    /**
+     * @returns {Object[]} Held frames, oldest first: { frame, sessionMs }
+     */
+    drain() {
+      const drained = entries.splice(0, entries.length);
+      buffer.bytes = 0;
+      return drained;
     }
+  };
+  return buffer;
+}
 
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('WebSocket connection timeout'));
-      }, 10000);
+// Drift (ms) between a stream's audio and the session clock tolerated before re-anchoring
+const STREAM_CLOCK_TOLERANCE_MS = 250;
 
-      ws.on('open', () => {
-        console.log(`✅ [STREAMING] WebSocket opened for session: ${sessionId}`);
-        transcriptionData.isConnected = true;
-      });
+/**
+ * Creates the clock of one provider stream, mapping times in the audio the stream received
+ * (what providers report word timings in) to offsets from the session start. Audio reaches a
+ * stream with holes (gated silence, outages, late joins), so each jump is kept as an anchor.
+ * @returns {Object} Clock: record(sessionMs, durationMs) per frame sent, toSessionMs(streamMs)
+ */
+function createStreamClock() {
+  const anchors = [];
+  let streamMs = 0;
 
-      ws.on('message', (data) => {
-        try {
-          const message = JSON.parse(data.toString());
-          console.log(`📨 [STREAMING] Message type: ${message.type} for ${sessionId}`);
-          
-          switch (message.type) {
-            case 'Begin':
-              console.log(`🚀 [STREAMING] Session began: ${message.id}`);
-              transcriptionData.assemblySessionId = message.id;
-              transcriptionData.expiresAt = message.expires_at;
-              
-              // Store the transcriber and resolve the promise
-              activeTranscribers.set(sessionId, {
-                websocket: ws,
-                data: transcriptionData
-              });
-              
-              clearTimeout(timeout);
-              resolve({ websocket: ws, data: transcriptionData });
-              break;
-              
-            case 'Turn':
-              if (message.transcript && message.transcript.trim() !== '') {
-                console.log(`💬 [STREAMING] Turn: "${message.transcript}"`);
-                
-                const transcriptEntry = {
-                  text: message.transcript,
-                  timestamp: Date.now(),
-                  turnOrder: message.turn_order,
-                  isFormatted: message.turn_is_formatted,
-                  endOfTurn: message.end_of_turn,
-                  confidence: message.end_of_turn_confidence,
-                  words: message.words || []
-                };
-                
-                transcriptionData.transcripts.push(transcriptEntry);
-                transcriptionData.lastActivity = Date.now();
-              }
-              break;
-              
-            case 'Termination':
-              console.log(`🔚 [STREAMING] Session terminated for ${sessionId}`);
-              transcriptionData.isConnected = false;
-              break;
-              
-            default:
-              console.log(`📋 [STREAMING] Unknown message: ${message.type}`);
-          }
-        } catch (error) {
-          console.error(`❌ [STREAMING] Message parse error for ${sessionId}:`, error);
-        }
-      });
+  return {
+    record(sessionMs, durationMs) {
+      const last = anchors[anchors.length - 1];
+      const expectedMs = last ? last.sessionMs + (streamMs - last.streamMs) : null;
+      if (!last || Math.abs(sessionMs - expectedMs) > STREAM_CLOCK_TOLERANCE_MS) {
+        anchors.push({ streamMs, sessionMs });
+      }
+      streamMs += durationMs;
+    },
 
-      ws.on('error', (error) => {
-        console.error(`❌ [STREAMING] WebSocket error for ${sessionId}:`, error);
-        transcriptionData.isConnected = false;
-        clearTimeout(timeout);
-        reject(error);
-      });
+    toSessionMs(ms) {
+      if (anchors.length === 0) return null;
+      // Last anchor at or before ms
+      let low = 0;
+      let high = anchors.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (anchors[mid].streamMs <= ms) low = mid;
+        else high = mid - 1;
+      }
+      return Math.round(anchors[low].sessionMs + (ms - anchors[low].streamMs));
+    }
+  };
+}
 
-      ws.on('close', (code, reason) => {
-        console.log(`🔒 [STREAMING] WebSocket closed for ${sessionId}: ${code} - ${reason}`);
-        transcriptionData.isConnected = false;
-      });
-    });
+/**
+ * Opens the transcription stream for a single speaker
+ * @param {Object} data - Session transcription data
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<Object>} Speaker stream once the provider session has begun
+ */
+async function openSpeakerTranscriber(data, userId) {
+  const participant = data.participants.get(userId) || {};
+  const bytesPerSecond = data.sampleRate * 2;
+
+  const speaker = {
+    userId,
+    displayName: participant.displayName || userId,
+    // Provider stream currently receiving this speaker's audio, and that stream's clock
+    stream: null,
+    clock: null,
+    isConnected: false,
+    // Set when the stream is shut down on purpose, so its close is not treated as an outage
+    closing: false,
+    // Set once reconnect attempts are exhausted
+    failed: false,
+    providerSessionId: null,
+    expiresAt: null,
+    connectionCount: 0,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    disconnectedAt: null,
+    // Replacement stream opened ahead of the current session's expiry
+    pendingStream: null,
+    rolloverTimer: null,
+    rolloverCount: 0,
+    // Audio captured while the socket is down, replayed after reconnecting
+    outageBuffer: createAudioRingBuffer(bytesPerSecond * config.streaming.reconnectBufferSeconds)
+  };
+
+  await connectSpeakerStream(data, speaker);
+  return speaker;
+}
+
+/**
+ * Opens a provider stream for a speaker and records the turns it produces.
+ * Used for the first connection, for every reconnect and for session rollovers.
+ * @param {Object} data - Session transcription data
+ * @param {Object} speaker - Speaker stream
+ * @param {Object} [connectOptions] - Connection options
+ * @param {boolean} [connectOptions.rollover] - Keep streaming to the current stream until the new session has begun
+ * @returns {Promise<void>} Resolves once the provider session has begun
+ */
+async function connectSpeakerStream(data, speaker, connectOptions = {}) {
+  const { sessionId, options } = data;
+  const { userId } = speaker;
+
+  const stream = data.provider.createStream({
+    sessionId,
+    userId,
+    sampleRate: data.sampleRate,
+    keyterms: data.vocabulary.map(entry => entry.term),
+    language: data.language,
+    options
+  });
+  const clock = createStreamClock();
+  if (connectOptions.rollover) {
+    speaker.pendingStream = stream;
+  } else {
+    speaker.stream = stream;
+    speaker.clock = clock;
+  }
+
+  let begun = false;
+  // Provider session this stream belongs to; turns still arriving on a retired stream keep it
+  let streamSessionId = null;
+
+  stream.on('turn', (turn) => {
+    if (!turn.transcript || turn.transcript.trim() === '') return;
+    // Only the length: turn text is not redacted yet and must not reach the host's logs
+    console.log(`💬 [STREAMING] Turn (${speaker.displayName}): ${turn.transcript.length} chars`);
+
+    // Provider times count the audio this stream received; move them onto the session clock
+    const arrivedMs = Date.now() - data.startTime;
+    const toSessionMs = (ms) => (typeof ms === 'number' ? clock.toSessionMs(ms) : null) ?? arrivedMs;
+    const words = (turn.words || []).map(word => ({
+      ...word,
+      start: toSessionMs(word.start),
+      end: toSessionMs(word.end)
+    }));
+    let startMs = arrivedMs;
+    let endMs = arrivedMs;
+    if (typeof turn.startMs === 'number') {
+      startMs = toSessionMs(turn.startMs);
+      endMs = toSessionMs(turn.endMs);
+    } else if (words.length > 0) {
+      startMs = words[0].start;
+      endMs = words[words.length - 1].end;
+    }
 
+    const transcriptEntry = {
+      userId,
+      speakerName: speaker.displayName,
+      // Turn order restarts with every provider session, so keep the session the turn came from
+      providerSessionId: streamSessionId,
+      text: turn.transcript,
+      timestamp: Date.now(),
+      // Offsets from the session start
+      startMs,
+      endMs,
+      turnOrder: turn.turnOrder,
+      isFormatted: turn.isFormatted,
+      endOfTurn: turn.endOfTurn,
+      confidence: turn.confidence,
+      // Detected by the provider, else the language the session was started with
+      language: turn.language || (data.language !== 'auto' ? data.language : null),
+      words
+    };
+
+    data.consolidator.add(transcriptEntry);
+    data.lastActivity = Date.now();
+  });
+
+  stream.on('termination', () => {
+    console.log(`🔚 [STREAMING] Session terminated for ${userId} in ${sessionId}`);
+    if (speaker.stream === stream) speaker.isConnected = false;
+  });
+
+  stream.on('error', (error) => {
+    console.error(`❌ [STREAMING] Provider error for ${userId} in ${sessionId}:`, error.message);
+  });
+
+  stream.on('close', () => {
+    if (speaker.pendingStream === stream) speaker.pendingStream = null;
+    // A newer stream may already have replaced this one
+    if (!begun || speaker.stream !== stream) return;
+    speaker.isConnected = false;
+    if (speaker.rolloverTimer) {
+      clearTimeout(speaker.rolloverTimer);
+      speaker.rolloverTimer = null;
+    }
+    // A half-open rollover cannot take over from a dropped stream; the reconnect replaces both
+    if (speaker.pendingStream) {
+      speaker.pendingStream.destroy();
+    }
+
+    // An established stream dropped unexpectedly: buffer audio and reconnect
+    if (!speaker.closing && data.isConnected) {
+      if (!speaker.disconnectedAt) speaker.disconnectedAt = Date.now();
+      scheduleSpeakerReconnect(data, speaker);
+    }
+  });
+
+  let session;
+  try {
+    session = await stream.start();
   } catch (error) {
-    console.error(`❌ [STREAMING] Failed to create WebSocket transcriber:`, error);
+    if (speaker.pendingStream === stream) speaker.pendingStream = null;
+    stream.destroy();
     throw error;
   }
+  console.log(`🚀 [STREAMING] ${data.provider.label} session began for ${userId}: ${session.id}`);
+  begun = true;
+  streamSessionId = session.id;
+
+  if (connectOptions.rollover) {
+    // Switch audio over in one step, then let the old session flush its last turn
+    const previous = speaker.stream;
+    speaker.pendingStream = null;
+    speaker.stream = stream;
+    speaker.clock = clock;
+    speaker.rolloverCount++;
+    previous.stop().catch(() => {});
+  }
+
+  speaker.providerSessionId = session.id;
+  speaker.expiresAt = session.expiresAt;
+  speaker.isConnected = true;
+  speaker.connectionCount++;
+  scheduleSessionRollover(data, speaker);
+
+  if (speaker.disconnectedAt) {
+    resumeAfterReconnect(data, speaker);
+  }
 }
 
 /**
- * Connects audio stream to AssemblyAI WebSocket
+ * Schedules the next reconnect attempt for a speaker with exponential backoff
+ * @param {Object} data - Session transcription data
+ * @param {Object} speaker - Speaker stream
+ */
+function scheduleSpeakerReconnect(data, speaker) {
+  if (speaker.reconnectTimer || speaker.closing || speaker.failed || !data.isConnected) return;
+
+  const { reconnectBaseDelayMs, reconnectMaxDelayMs, reconnectMaxAttempts } = config.streaming;
+  speaker.reconnectAttempts++;
+
+  if (speaker.reconnectAttempts > reconnectMaxAttempts) {
+    console.error(`❌ [STREAMING] Giving up on ${speaker.userId} after ${reconnectMaxAttempts} reconnect attempts`);
+    speaker.failed = true;
+    speaker.outageBuffer.drain();
+    data.timeline.push({
+      type: 'transcription_lost',
+      timestamp: Date.now(),
+      userId: speaker.userId,
+      displayName: speaker.displayName
+    });
+    return;
+  }
+
+  // Jitter keeps speakers dropped by the same outage from reconnecting in lockstep
+  const backoff = Math.min(reconnectMaxDelayMs, reconnectBaseDelayMs * Math.pow(2, speaker.reconnectAttempts - 1));
+  const delay = Math.round(backoff * (1 + Math.random() * 0.2));
+  console.warn(`🔁 [STREAMING] Reconnecting ${speaker.userId} in ${delay}ms (attempt ${speaker.reconnectAttempts}/${reconnectMaxAttempts})`);
+
+  speaker.reconnectTimer = setTimeout(() => {
+    speaker.reconnectTimer = null;
+    if (speaker.closing || !data.isConnected) return;
+    connectSpeakerStream(data, speaker).catch((error) => {
+      console.warn(`⚠️ [STREAMING] Reconnect attempt failed for ${speaker.userId}:`, error.message);
+      scheduleSpeakerReconnect(data, speaker);
+    });
+  }, delay);
+}
+
+/**
+ * Schedules a rollover to a fresh provider session shortly before the current one expires
+ * @param {Object} data - Session transcription data
+ * @param {Object} speaker - Speaker stream
+ */
+function scheduleSessionRollover(data, speaker) {
+  if (speaker.rolloverTimer) {
+    clearTimeout(speaker.rolloverTimer);
+    speaker.rolloverTimer = null;
+  }
+  // expiresAt is a Unix timestamp in seconds; providers without a session limit leave it unset
+  if (!speaker.expiresAt) return;
+
+  const rolloverAt = speaker.expiresAt * 1000 - config.streaming.rolloverLeadSeconds * 1000;
+  const delay = Math.max(0, rolloverAt - Date.now());
+  console.log(`⏲️ [STREAMING] Rollover for ${speaker.userId} scheduled in ${Math.round(delay / 1000)}s`);
+
+  speaker.rolloverTimer = setTimeout(() => {
+    speaker.rolloverTimer = null;
+    rolloverSpeakerSession(data, speaker);
+  }, delay);
+}
+
+/**
+ * Opens a new provider session for a speaker while audio keeps flowing to the current one.
+ * The switch happens when the new session begins (see connectSpeakerStream), so no frames are lost.
+ * @param {Object} data - Session transcription data
+ * @param {Object} speaker - Speaker stream
+ */
+function rolloverSpeakerSession(data, speaker) {
+  if (speaker.closing || speaker.failed || !data.isConnected || speaker.pendingStream) return;
+  if (!speaker.isConnected) return; // A reconnect opens a fresh session anyway
+
+  console.log(`🔄 [STREAMING] Rolling ${speaker.userId} over to a new session before ${speaker.providerSessionId} expires`);
+  connectSpeakerStream(data, speaker, { rollover: true }).catch((error) => {
+    console.warn(`⚠️ [STREAMING] Rollover failed for ${speaker.userId}:`, error.message);
+    // Retry while the current session still has time left; after expiry the reconnect path takes over
+    const remainingMs = speaker.expiresAt * 1000 - Date.now();
+    if (remainingMs > 10000 && !speaker.closing && data.isConnected) {
+      speaker.rolloverTimer = setTimeout(() => {
+        speaker.rolloverTimer = null;
+        rolloverSpeakerSession(data, speaker);
+      }, Math.min(5000, remainingMs / 2));
+    }
+  });
+}
+
+/**
+ * Replays audio buffered during an outage and notes the gap in the session timeline.
+ * Turns from the new provider session land in the same transcript list, so the
+ * speaker's transcript continues where it left off.
+ * @param {Object} data - Session transcription data
+ * @param {Object} speaker - Speaker stream
+ */
+function resumeAfterReconnect(data, speaker) {
+  const gapMs = Date.now() - speaker.disconnectedAt;
+  const bytesPerMs = (data.sampleRate / 1000) * 2;
+  const droppedMs = Math.round(speaker.outageBuffer.droppedBytes / bytesPerMs);
+
+  // Sent synchronously, so live frames cannot overtake the replayed ones
+  const frames = speaker.outageBuffer.drain();
+  const metrics = getSpeakerMetrics(data, speaker.userId);
+  for (const { frame, sessionMs } of frames) {
+    speaker.clock.record(sessionMs, frame.length / bytesPerMs);
+    if (speaker.stream.sendAudio(frame)) metrics.framesSent++;
+    else metrics.sendFailures++;
+  }
+
+  console.log(`✅ [STREAMING] ${speaker.userId} reconnected after ${gapMs}ms, replayed ${frames.length} buffered frames${droppedMs > 0 ? ` (${droppedMs}ms of audio lost)` : ''}`);
+  data.timeline.push({
+    type: 'reconnect',
+    timestamp: Date.now(),
+    userId: speaker.userId,
+    displayName: speaker.displayName,
+    gapMs,
+    replayedFrames: frames.length,
+    droppedMs
+  });
+
+  speaker.outageBuffer.droppedBytes = 0;
+  speaker.disconnectedAt = null;
+  speaker.reconnectAttempts = 0;
+}
+
+/**
+ * Stops a speaker's provider session, letting it flush its final turns
+ * @param {Object} speaker - Speaker stream
+ * @returns {Promise<void>}
+ */
+async function closeSpeakerTranscriber(speaker) {
+  speaker.closing = true;
+  if (speaker.reconnectTimer) {
+    clearTimeout(speaker.reconnectTimer);
+    speaker.reconnectTimer = null;
+  }
+  if (speaker.rolloverTimer) {
+    clearTimeout(speaker.rolloverTimer);
+    speaker.rolloverTimer = null;
+  }
+  if (speaker.pendingStream) {
+    speaker.pendingStream.destroy();
+    speaker.pendingStream = null;
+  }
+
+  if (speaker.stream) {
+    await speaker.stream.stop();
+  }
+}
+
+/**
+ * Closes the transcription stream of a speaker who left the session.
+ * Turns already received stay in the session transcript.
+ * @param {string} sessionId - Session identifier
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if a speaker stream was closed
+ */
+export async function disconnectSpeaker(sessionId, userId) {
+  const sessionData = activeTranscribers.get(sessionId);
+  if (!sessionData) return false;
+
+  const speaker = sessionData.data.speakers.get(userId);
+  if (!speaker) return false;
+
+  sessionData.data.speakers.delete(userId);
+  try {
+    await closeSpeakerTranscriber(speaker);
+  } catch (error) {
+    console.warn(`⚠️ [STREAMING] Error closing speaker stream for ${userId}:`, error.message);
+  }
+  return true;
+}
+
+/**
+ * Connects a user's audio stream to their own transcription stream
  * @param {string} sessionId - Session identifier
  * @param {Stream} audioStream - Discord audio stream
  * @param {string} userId - User ID for the stream
+ * @param {string} [displayName] - Name used to label the user's transcript turns
+ * @param {Object} [options] - Stream options
+ * @param {Function} [options.onFrame] - Receives each assembled PCM frame instead of it being sent directly
  * @returns {Promise<void>}
  */
-export async function connectAudioStream(sessionId, audioStream, userId) {
+export async function connectAudioStream(sessionId, audioStream, userId, displayName = null, options = {}) {
   try {
     console.log(`🔗 [STREAMING] Connecting audio stream for user ${userId} in session ${sessionId}`);
     
@@ -209,22 +555,53 @@ export async function connectAudioStream(sessionId, audioStream, userId) {
       throw new Error(`No transcriber found for session: ${sessionId}`);
     }
 
-    const { websocket, data } = sessionData;
-    
-    // Verify WebSocket is open
-    if (!data.isConnected || websocket.readyState !== WebSocket.OPEN) {
-      throw new Error('WebSocket connection is not open');
+    const { data } = sessionData;
+    if (!data.isConnected) {
+      throw new Error(`Transcription session is closed: ${sessionId}`);
+    }
+
+    // A member who opted back in is recorded from here on
+    data.unrecordedParticipants.delete(userId);
+
+    // Ensure participant metadata exists
+    let participantMeta = data.participants.get(userId);
+    if (!participantMeta) {
+      participantMeta = { joinedAt: Date.now(), displayName: displayName || userId };
+      data.participants.set(userId, participantMeta);
+    } else if (displayName) {
+      participantMeta.displayName = displayName;
     }
+
+    // Open (or reuse) this speaker's own transcription stream; one that is reconnecting is kept
+    let speaker = data.speakers.get(userId);
+    if (!speaker || speaker.closing || speaker.failed) {
+      speaker = await openSpeakerTranscriber(data, userId);
+      data.speakers.set(userId, speaker);
+    }
+
+    // Frames go to the session mixer when one is attached; otherwise straight upstream and to the speaker's track
+    const deliverFrame = options.onFrame || ((frame) => {
+      sendSpeakerAudio(sessionId, userId, frame);
+      writeTrackFrame(sessionId, userId, frame);
+    });
     
-    // Create audio transform stream (stereo -> mono)
-    const audioTransform = createAudioTransformStream(userId);
+    // Create audio transform stream (stereo 48 kHz -> mono at the streaming rate)
+    const audioTransform = createAudioTransformStream(userId, data.sampleRate);
+
+    // Level processing sits between the decoder/mono transform and the chunker, so the VAD and
+    // the recognizer see every speaker at a similar level
+    let dspChain = data.dspChains.get(userId);
+    if (!dspChain) {
+      dspChain = createSpeakerDspChain({ sampleRate: data.sampleRate, ...config.streaming.dsp });
+      data.dspChains.set(userId, dspChain);
+    }
 
     // Many Discord voice receiver streams emit Opus packets, not raw PCM.
     // Decode Opus -> PCM using prism-media before transforming to mono.
     const opusDecoder = new Prism.opus.Decoder({
       frameSize: 960,
       channels: 2,
-      rate: data.sampleRate || 48000
+      rate: audioConfig.sampleRate
     });
 
     // Pipe: opus (from Discord) -> opusDecoder (PCM stereo s16le) -> audioTransform (stereo->mono)
@@ -255,24 +632,32 @@ export async function connectAudioStream(sessionId, audioStream, userId) {
       }
     });
 
-    // Correct piping: Opus stream -> decoder -> mono transform
-    audioStream.pipe(opusDecoder).pipe(audioTransform);
+    // Pipeline counters for the first stages
+    const metrics = getSpeakerMetrics(data, userId);
+    audioStream.on('data', () => { metrics.opusPackets++; });
+    opusDecoder.on('data', (pcmChunk) => { metrics.pcmBytesDecoded += pcmChunk.length; });
+
+    // Puts packets back in RTP order, drops repeated sequence numbers and fills lost packets with
+    // silence, so choppy connections keep their timing instead of running words together
+    const jitterBuffer = createOpusJitterBuffer({
+      depthMs: config.streaming.jitterBufferMs,
+      maxConcealMs: config.streaming.maxConcealMs,
+      dedupe: config.streaming.enablePacketDedupe,
+      metrics,
+      onLoss: ({ lostFrames, concealedFrames }) => {
+        logDebug(`🩹 [JITTER] ${userId} lost ${lostFrames} packets, filled ${concealedFrames * 20}ms with silence`);
+      }
+    });
+
+    // Pipe: Opus stream -> jitter buffer -> decoder -> mono transform
+    audioStream.pipe(jitterBuffer).pipe(opusDecoder).pipe(audioTransform);
 
   // Ensure voice activity map exists for VAD logging
   if (!data.voiceActivity) data.voiceActivity = new Map();
 
-  // Ensure participant metadata exists and attach a recentFrameHashes array used for dedupe
-  let participantMeta = data.participants.get(userId);
-  if (!participantMeta) {
-    participantMeta = { joinedAt: Date.now(), recentFrameHashes: [] };
-    data.participants.set(userId, participantMeta);
-  } else if (!participantMeta.recentFrameHashes) {
-    participantMeta.recentFrameHashes = [];
-  }
-
   // Create a chunking transform that accumulates PCM bytes until target duration is reached
     const chunkMs = 200; // default target chunk duration in milliseconds (between 50 and 1000)
-    const sampleRate = data.sampleRate || 48000; // fallback if not provided
+    const sampleRate = data.sampleRate; // rate after the mono/resample transform
     const bytesPerSample = 2; // pcm_s16le -> 16-bit = 2 bytes per sample
     const bytesPerMs = Math.floor((sampleRate / 1000) * bytesPerSample);
     const targetBytes = Math.max( Math.round(bytesPerMs * 50), Math.min(Math.round(bytesPerMs * chunkMs), Math.round(bytesPerMs * 1000)) );
@@ -282,8 +667,22 @@ export async function connectAudioStream(sessionId, audioStream, userId) {
 
   // Buffering is handled from the mono transform 'data' events (no extra piping needed)
 
-    audioTransform.on('data', (chunk) => {
+    audioTransform.on('data', (monoChunk) => {
       try {
+        // Off the record: nothing is transcribed, mixed or saved until the session resumes
+        if (data.paused) {
+          metrics.pausedMs += monoChunk.length / bytesPerMs;
+          chunkBuffer.length = 0;
+          bufferedBytes = 0;
+          return;
+        }
+
+        const chunk = dspChain.process(monoChunk);
+        if (dspChain.takeQuietWarning()) {
+          const { speechDb } = dspChain.levels;
+          console.warn(`🎤 [DSP] ${participantMeta.displayName}'s mic is very quiet (speech at ${speechDb} dBFS); they should move closer or raise their input volume`);
+        }
+
         // Accumulate chunk
         chunkBuffer.push(chunk);
         bufferedBytes += chunk.length;
@@ -295,7 +694,7 @@ export async function connectAudioStream(sessionId, audioStream, userId) {
           // Voice activity detection (RMS) on the assembled frame (pcm_s16le mono)
           try {
             const rms = computeRms(frame); // normalized 0..1
-            const vadThreshold = 0.02; // adjust as needed (0.02 ~= light speech)
+            const vadThreshold = config.streaming.vad.threshold;
 
             let activity = data.voiceActivity.get(userId) || {};
             const now = Date.now();
@@ -322,44 +721,8 @@ export async function connectAudioStream(sessionId, audioStream, userId) {
             console.warn('⚠️ [VAD] Error computing RMS:', vadErr.message);
           }
 
-          if (data.isConnected && websocket.readyState === WebSocket.OPEN) {
-            // Packet deduplication: compute hash and compare with recent hashes for this user
-            let isDuplicate = false;
-            try {
-              if (config && config.streaming && config.streaming.enablePacketDedupe) {
-                const hash = computeFrameHash(frame);
-                const now = Date.now();
-                // Prune old entries first
-                participantMeta.recentFrameHashes = (participantMeta.recentFrameHashes || []).filter(h => (now - h.ts) <= (config.streaming.dedupeWindowMs || 2000));
-                if (participantMeta.recentFrameHashes.some(h => h.hash === hash)) {
-                  isDuplicate = true;
-                } else {
-                  participantMeta.recentFrameHashes.push({ hash, ts: now });
-                  // keep size bounded
-                  while (participantMeta.recentFrameHashes.length > (config.streaming.dedupeMaxEntries || 64)) participantMeta.recentFrameHashes.shift();
-                }
-              }
-            } catch (dedupeErr) {
-              console.warn('⚠️ [STREAMING] Packet dedupe error:', dedupeErr.message);
-            }
-
-            if (isDuplicate) {
-              logDebug(`⚠️ [STREAMING-DEDUPE] Dropping duplicate frame for ${userId} (${bufferedBytes} bytes)`);
-            } else {
-              websocket.send(frame, { binary: true });
-              // Also write to disk if recording enabled
-              try {
-                if (data.recording && data.recording.enabled && data.recording.writeStream) {
-                  data.recording.writeStream.write(frame);
-                }
-              } catch (writeErr) {
-                console.warn('⚠️ [STREAMING] Failed to write audio frame to disk:', writeErr.message);
-              }
-              logDebug(`🔊 [STREAMING] Sent audio frame for ${userId}: ${bufferedBytes} bytes (~${(bufferedBytes/bytesPerMs).toFixed(1)} ms)`);
-            }
-          } else {
-            console.warn(`⚠️ [STREAMING] Skipping audio chunk - connection closed for ${userId}`);
-          }
+          deliverFrame(frame);
+          logDebug(`🔊 [STREAMING] Delivered audio frame for ${userId}: ${bufferedBytes} bytes (~${(bufferedBytes/bytesPerMs).toFixed(1)} ms)`);
 
           // reset buffer
           chunkBuffer.length = 0;
@@ -378,41 +741,8 @@ export async function connectAudioStream(sessionId, audioStream, userId) {
       try {
         if (bufferedBytes > 0) {
           const frame = Buffer.concat(chunkBuffer, bufferedBytes);
-          if (data.isConnected && websocket.readyState === WebSocket.OPEN) {
-            // Deduplicate final frame as well
-            let isDuplicate = false;
-            try {
-              if (config && config.streaming && config.streaming.enablePacketDedupe) {
-                const hash = computeFrameHash(frame);
-                const now = Date.now();
-                participantMeta.recentFrameHashes = (participantMeta.recentFrameHashes || []).filter(h => (now - h.ts) <= (config.streaming.dedupeWindowMs || 2000));
-                if (participantMeta.recentFrameHashes.some(h => h.hash === hash)) {
-                  isDuplicate = true;
-                } else {
-                  participantMeta.recentFrameHashes.push({ hash, ts: now });
-                }
-              }
-            } catch (dedupeErr) {
-              console.warn('⚠️ [STREAMING] Packet dedupe error (final frame):', dedupeErr.message);
-            }
-
-            if (isDuplicate) {
-              logDebug(`⚠️ [STREAMING-DEDUPE] Dropping duplicate final frame for ${userId} (${bufferedBytes} bytes)`);
-            } else {
-              websocket.send(frame, { binary: true });
-              // write final to disk if enabled
-              try {
-                if (data.recording && data.recording.enabled && data.recording.writeStream) {
-                  data.recording.writeStream.write(frame);
-                }
-              } catch (writeErr) {
-                console.warn('⚠️ [STREAMING] Failed to write final audio frame to disk:', writeErr.message);
-              }
-              logDebug(`🔊 [STREAMING] Sent final audio frame for ${userId}: ${bufferedBytes} bytes (~${(bufferedBytes/bytesPerMs).toFixed(1)} ms)`);
-            }
-          } else {
-            console.warn(`⚠️ [STREAMING] Skipping final audio chunk - connection closed for ${userId}`);
-          }
+          deliverFrame(frame);
+          logDebug(`🔊 [STREAMING] Delivered final audio frame for ${userId}: ${bufferedBytes} bytes (~${(bufferedBytes/bytesPerMs).toFixed(1)} ms)`);
         }
       } catch (error) {
         console.error(`❌ [STREAMING] Error flushing final audio for ${userId}:`, error);
@@ -430,24 +760,291 @@ export async function connectAudioStream(sessionId, audioStream, userId) {
 }
 
 /**
- * Creates audio transform stream for Discord audio
+ * Pauses or resumes a session. While paused, every speaker's audio is dropped before it reaches
+ * the transcriber, the mixer or the recording; the voice connection and provider sessions stay
+ * open. The pause and resume are marked in the session timeline.
+ * @param {string} sessionId - Session identifier
+ * @param {boolean} paused - Whether the session should be paused
+ * @param {Object} [actor] - Who paused or resumed it: { userId, displayName }
+ * @returns {boolean} True if the state changed
+ */
+export function setSessionPaused(sessionId, paused, actor = {}) {
+  const sessionData = activeTranscribers.get(sessionId);
+  if (!sessionData || !sessionData.data.isConnected) return false;
+
+  const { data } = sessionData;
+  if (!!data.paused === paused) return false;
+
+  const now = Date.now();
+  data.paused = paused;
+  if (paused) {
+    data.pausedAt = now;
+    data.timeline.push({ type: 'pause', timestamp: now, ...actor });
+  } else {
+    data.timeline.push({ type: 'resume', timestamp: now, pausedMs: now - data.pausedAt, ...actor });
+    data.pausedAt = null;
+  }
+  console.log(`${paused ? '⏸️' : '▶️'} [STREAMING] Session ${sessionId} ${paused ? 'paused' : 'resumed'}${actor.displayName ? ` by ${actor.displayName}` : ''}`);
+  return true;
+}
+
+/**
+ * Notes a member who is in the recorded channel but is not being recorded (opted out, or has
+ * not given consent), so the transcript and summary can say they were present. Their audio is
+ * never subscribed to.
+ * @param {string} sessionId - Session identifier
+ * @param {string} userId - User ID
+ * @param {string} [displayName] - Member's display name
+ * @param {string} [reason] - Why they are not recorded, e.g. "opted out" or "declined consent"
+ * @returns {boolean} True if the member was newly noted
+ */
+export function markParticipantUnrecorded(sessionId, userId, displayName = null, reason = 'opted out') {
+  const sessionData = activeTranscribers.get(sessionId);
+  if (!sessionData) return false;
+
+  const { data } = sessionData;
+  const existing = data.unrecordedParticipants.get(userId);
+  if (existing) {
+    // Already noted in the transcript; keep the latest reason for the summary
+    existing.reason = reason;
+    return false;
+  }
+
+  data.unrecordedParticipants.set(userId, { displayName: displayName || userId, reason });
+  data.timeline.push({ type: 'unrecorded', timestamp: Date.now(), userId, displayName, reason });
+  console.log(`🙈 [STREAMING] Not recording ${displayName || userId} in session ${sessionId} (${reason})`);
+  return true;
+}
+
+/**
+ * Records a session event (e.g. a participant joining or leaving) in the session timeline
+ * @param {string} sessionId - Session identifier
+ * @param {Object} event - Event data; `type` is required, `timestamp` defaults to now
+ * @returns {boolean} True if the event was recorded
+ */
+export function recordSessionEvent(sessionId, event) {
+  const sessionData = activeTranscribers.get(sessionId);
+  if (!sessionData) return false;
+
+  sessionData.data.timeline.push({ timestamp: Date.now(), ...event });
+  return true;
+}
+
+/**
+ * Sends a PCM frame to the speaker's transcription stream. With the voice activity gate enabled,
+ * silent frames are held back and released only as lead-in when speech starts.
+ * @param {string} sessionId - Session identifier
+ * @param {string} userId - User ID
+ * @param {Buffer} frame - Mono PCM s16le frame
+ * @param {number} [queuedMs=0] - Audio still queued behind the frame (in the mixer), i.e. how long ago it ended
+ * @returns {boolean} True if the frame was sent
+ */
+export function sendSpeakerAudio(sessionId, userId, frame, queuedMs = 0) {
+  const sessionData = activeTranscribers.get(sessionId);
+  if (!sessionData) {
+    console.warn(`⚠️ [STREAMING] Skipping audio chunk - connection closed for ${userId}`);
+    return false;
+  }
+
+  const { data } = sessionData;
+  const metrics = getSpeakerMetrics(data, userId);
+  const speaker = data.speakers.get(userId);
+  if (!speaker || speaker.closing || speaker.failed) {
+    metrics.sendFailures++;
+    console.warn(`⚠️ [STREAMING] Skipping audio chunk - connection closed for ${userId}`);
+    return false;
+  }
+
+  const bytesPerMs = (data.sampleRate / 1000) * 2;
+
+  // Only speech is sent upstream; silence and background noise are held back by the gate
+  let frames = [frame];
+  if (config.streaming.vad.enabled) {
+    let gate = data.voiceGates.get(userId);
+    if (!gate) {
+      gate = createVoiceActivityGate({ sampleRate: data.sampleRate, ...config.streaming.vad });
+      data.voiceGates.set(userId, gate);
+    }
+    const wasOpen = gate.isOpen;
+    frames = gate.process(frame);
+    if (gate.isOpen !== wasOpen) {
+      logDebug(`🎚️ [VAD] Gate ${gate.isOpen ? 'opened' : 'closed'} for ${userId}`);
+    }
+    if (frames.length === 0) {
+      metrics.framesGated++;
+      return false;
+    }
+  }
+
+  // The frame ended before now by the audio queued behind it and the jitter buffer's depth;
+  // frames released with it (the gate's lead-in) directly precede it
+  let endMs = Date.now() - data.startTime - queuedMs - config.streaming.jitterBufferMs;
+  const starts = [];
+  for (let i = frames.length - 1; i >= 0; i--) {
+    endMs -= frames[i].length / bytesPerMs;
+    starts[i] = endMs;
+  }
+
+  let sent = true;
+  frames.forEach((gatedFrame, i) => {
+    sent = deliverSpeakerFrame(speaker, gatedFrame, starts[i], bytesPerMs, metrics) && sent;
+  });
+  return sent;
+}
+
+/**
+ * Sends one frame on a speaker's stream, or holds it while the stream is down
+ * @param {Object} speaker - Speaker stream
+ * @param {Buffer} frame - Mono PCM s16le frame
+ * @param {number} sessionMs - Where the frame starts on the session clock
+ * @param {number} bytesPerMs - PCM bytes per millisecond
+ * @param {Object} metrics - The speaker's pipeline counters
+ * @returns {boolean} Whether the frame was sent
+ */
+function deliverSpeakerFrame(speaker, frame, sessionMs, bytesPerMs, metrics) {
+  const { userId } = speaker;
+  if (!speaker.isConnected || !speaker.stream.isOpen()) {
+    // Outage: hold the audio until the socket is back
+    metrics.framesBuffered++;
+    speaker.outageBuffer.push(frame, sessionMs);
+    logDebug(`🔁 [STREAMING] Buffered audio for ${userId} during outage (${speaker.outageBuffer.bytes} bytes held)`);
+    return false;
+  }
+
+  try {
+    speaker.clock.record(sessionMs, frame.length / bytesPerMs);
+    const sent = speaker.stream.sendAudio(frame);
+    if (sent) metrics.framesSent++;
+    else metrics.sendFailures++;
+    return sent;
+  } catch (error) {
+    metrics.sendFailures++;
+    console.error(`❌ [STREAMING] Error sending audio for ${userId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Gets a speaker's pipeline counters, creating them on first use. Each counter belongs to one
+ * stage, so comparing them shows where a speaker's audio stopped:
+ *   opusPackets      Opus packets received from Discord
+ *   packetsDeduped   packets dropped because their RTP sequence number was already seen
+ *   packetsLate      packets dropped because they arrived after their slot was filled with silence
+ *   packetsReordered packets that arrived out of order and were put back in sequence
+ *   framesConcealed  20 ms frames of silence inserted for lost packets
+ *   pcmBytesDecoded  PCM bytes out of the Opus decoder (48 kHz stereo)
+ *   pausedMs         audio (ms) dropped because the session was paused
+ *   framesGated      frames held back as silence by the voice activity gate
+ *   framesSent       frames sent to the transcription engine (gate lead-in and outage replays included)
+ *   framesBuffered   frames held while the engine connection was down
+ *   sendFailures     frames the engine connection did not accept, or that arrived after it closed
+ * @param {Object} data - Session transcription data
+ * @param {string} userId - User ID
+ * @returns {Object} Counters (mutable)
+ */
+function getSpeakerMetrics(data, userId) {
+  let metrics = data.metrics.get(userId);
+  if (!metrics) {
+    metrics = {
+      opusPackets: 0,
+      packetsDeduped: 0,
+      packetsLate: 0,
+      packetsReordered: 0,
+      framesConcealed: 0,
+      pcmBytesDecoded: 0,
+      pausedMs: 0,
+      framesGated: 0,
+      framesSent: 0,
+      framesBuffered: 0,
+      sendFailures: 0
+    };
+    data.metrics.set(userId, metrics);
+  }
+  return metrics;
+}
+
+/**
+ * Gets a session's pipeline counters per user, plus totals over all users
+ * @param {string} sessionId - Session identifier
+ * @returns {Object|null} { users: [{ userId, displayName, ...counters }], totals }, or null if the session is unknown
+ */
+export function getPipelineMetrics(sessionId) {
+  const sessionData = activeTranscribers.get(sessionId);
+  if (!sessionData) return null;
+
+  const { data } = sessionData;
+  const users = [];
+  const totals = {};
+  data.metrics.forEach((metrics, userId) => {
+    users.push({ userId, displayName: data.participants.get(userId)?.displayName || userId, ...metrics });
+    for (const [name, value] of Object.entries(metrics)) totals[name] = (totals[name] || 0) + value;
+  });
+  return { users, totals };
+}
+
+/**
+ * Appends a mixed PCM frame to the session's master track, if recording is enabled. While the
+ * session is paused the frame is left out, so the pause is a gap in the master's segments.
+ * @param {string} sessionId - Session identifier
+ * @param {Buffer} frame - Mono PCM s16le frame
+ */
+export function writeRecordingFrame(sessionId, frame) {
+  const sessionData = activeTranscribers.get(sessionId);
+  const recording = sessionData?.data.recording;
+  if (!recording) return;
+
+  try {
+    if (sessionData.data.paused) {
+      recording.skipMixFrame(frame.length);
+    } else {
+      recording.writeMixFrame(frame);
+    }
+  } catch (writeErr) {
+    console.warn('⚠️ [STREAMING] Failed to write audio frame to disk:', writeErr.message);
+  }
+}
+
+/**
+ * Appends a speaker's PCM frame to their own track, if recording is enabled
+ * @param {string} sessionId - Session identifier
+ * @param {string} userId - Speaker
+ * @param {Buffer} frame - Mono PCM s16le frame
+ */
+export function writeTrackFrame(sessionId, userId, frame) {
+  const sessionData = activeTranscribers.get(sessionId);
+  const recording = sessionData?.data.recording;
+  if (!recording) return;
+
+  try {
+    recording.writeTrackFrame(userId, frame, sessionData.data.participants.get(userId)?.displayName);
+  } catch (writeErr) {
+    console.warn(`⚠️ [STREAMING] Failed to write audio frame for ${userId} to disk:`, writeErr.message);
+  }
+}
+
+/**
+ * Creates audio transform stream for Discord audio: averages the decoded stereo
+ * channels to mono and resamples to the streaming rate with an anti-aliasing filter
  * @param {string} userId - User identifier
+ * @param {number} [outputRate] - Output sample rate (defaults to config.streaming.targetSampleRate)
  * @returns {Transform} Transform stream
  */
-export function createAudioTransformStream(userId) {
+export function createAudioTransformStream(userId, outputRate = config.streaming.targetSampleRate) {
+  const resample = createResampler(audioConfig.sampleRate, outputRate);
+  // Bytes of an incomplete stereo frame carried over to the next chunk
+  let remainder = Buffer.alloc(0);
+
   return new Transform({
     transform(chunk, encoding, callback) {
       try {
         // Discord sends stereo PCM data, convert to mono
         // Each sample is 2 bytes (16-bit), stereo = 4 bytes per frame
-        const monoChunk = Buffer.alloc(chunk.length / 2);
-        for (let i = 0; i < chunk.length; i += 4) {
-          // Take left channel (first 2 bytes of each 4-byte frame)
-          monoChunk[i / 2] = chunk[i];
-          monoChunk[i / 2 + 1] = chunk[i + 1];
-        }
-        
-        callback(null, monoChunk);
+        const input = remainder.length > 0 ? Buffer.concat([remainder, chunk]) : chunk;
+        const usable = input.length - (input.length % 4);
+        remainder = input.subarray(usable);
+
+        const mono = downmixStereo(input.subarray(0, usable));
+        callback(null, toPcm16(resample(mono)));
       } catch (error) {
         console.error(`❌ [STREAMING] Audio transform error for ${userId}:`, error);
         callback(error);
@@ -478,9 +1075,11 @@ export function computeRms(buffer) {
 /**
  * Stops streaming transcription and returns final transcript
  * @param {string} sessionId - Session identifier
+ * @param {Object} [metadata] - Session metadata kept with the transcript and recording manifest
+ * @param {Object} [metadata.consent] - Consent record of a session started in consent mode
  * @returns {Promise<Object>} Final transcript data
  */
-export async function stopStreamingTranscription(sessionId) {
+export async function stopStreamingTranscription(sessionId, metadata = {}) {
   try {
     console.log(`⏹️ [STREAMING] Stopping transcription for session: ${sessionId}`);
     
@@ -490,33 +1089,24 @@ export async function stopStreamingTranscription(sessionId) {
       return { transcripts: [], participants: new Map() };
     }
     
-    const { websocket, data } = sessionData;
+    const { data } = sessionData;
+    data.isConnected = false;
     
-    // Send termination message
-    if (websocket.readyState === WebSocket.OPEN) {
-      websocket.send(JSON.stringify({
-        type: "Terminate"
-      }));
-
-      // Wait a moment for final messages
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      websocket.close();
-    }
+    // Terminate every speaker's provider session and wait for their final turns
+    await Promise.all(Array.from(data.speakers.values()).map(speaker =>
+      closeSpeakerTranscriber(speaker).catch(err => {
+        console.warn(`⚠️ [STREAMING] Error terminating speaker stream for ${speaker.userId}:`, err.message);
+      })
+    ));
+    data.speakers.clear();
 
-    // If recording was enabled, finalize the raw PCM to WAV
-    if (data.recording && data.recording.enabled) {
+    // If recording was enabled, finalize every track and write the manifest
+    let recordingManifest = null;
+    if (data.recording) {
       try {
-        // Close the raw write stream first
-        if (data.recording.writeStream && typeof data.recording.writeStream.end === 'function') {
-          data.recording.writeStream.end();
-        }
-
-        // Create WAV file from raw PCM
-        await finalizeWavFile(data.recording.rawPath, data.recording.wavPath, /*channels*/1, /*sampleRate*/(data.sampleRate || 48000), /*bitDepth*/16);
-        console.log(`💾 [STREAMING] Finalized WAV: ${data.recording.wavPath}`);
+        recordingManifest = await data.recording.finalize({ consent: metadata.consent || undefined });
       } catch (recErr) {
-        console.error('❌ [STREAMING] Error finalizing recording to WAV:', recErr);
+        console.error('❌ [STREAMING] Error finalizing recording archive:', recErr);
       }
     }
 
@@ -538,16 +1128,75 @@ export async function stopStreamingTranscription(sessionId) {
     // Remove from active transcribers
     activeTranscribers.delete(sessionId);
 
-    const combinedText = data.transcripts.map(t => t.text).join(' ').trim();
-    const wordCount = data.transcripts.reduce((count, t) => count + (t.words?.length || 0), 0);
-    const participantCount = data.participants ? data.participants.size : 0;
+    // Fix known mis-hearings of the guild's vocabulary before anything reads the text
+    if (data.vocabulary.length > 0) {
+      for (const t of data.transcripts) {
+        t.text = applyVocabularyCorrections(t.text, data.vocabulary);
+        t.words = t.words.map(word => ({ ...word, text: applyVocabularyCorrections(word.text, data.vocabulary) }));
+      }
+    }
+
+    // Strip personal data before anything stores, posts or summarizes the text
+    const redactionCounts = {};
+    if (data.redactor) {
+      for (const t of data.transcripts) {
+        const { text, counts } = data.redactor.redact(t.text);
+        if (Object.keys(counts).length === 0) continue;
+        t.text = text;
+        // Word timings would still spell out what was removed
+        t.words = [];
+        for (const [type, count] of Object.entries(counts)) {
+          redactionCounts[type] = (redactionCounts[type] || 0) + count;
+        }
+      }
+      const redactedTotal = Object.values(redactionCounts).reduce((sum, count) => sum + count, 0);
+      if (redactedTotal > 0) {
+        console.log(`🔒 [STREAMING] Redacted ${redactedTotal} items: ${Object.entries(redactionCounts).map(([type, count]) => `${type} ${count}`).join(', ')}`);
+      }
+    }
 
-    // Compute average confidence if available
-    const confidences = data.transcripts.map(t => t.confidence).filter(c => typeof c === 'number');
-    const averageConfidence = confidences.length > 0 ? (confidences.reduce((a,b) => a+b, 0) / confidences.length) : 0;
+    // Place turns and session events on the session clock, then label every turn with its
+    // speaker and time: "[00:12:34] Alice: ..."
+    const timeline = buildTimeline({
+      startTime: data.startTime,
+      endTime: Date.now(),
+      turns: data.transcripts.map(t => ({
+        userId: t.userId,
+        speakerName: t.speakerName,
+        text: t.text,
+        startMs: t.startMs,
+        endMs: t.endMs,
+        confidence: t.confidence,
+        finalized: !!t.endOfTurn,
+        language: t.language,
+        words: t.words
+      })),
+      events: data.timeline.map(e => ({ ...e, offsetMs: e.timestamp - data.startTime, description: describeSessionEvent(e) }))
+    });
+    const combinedText = formatTimestampedTranscript(timeline);
+    const { totalWords: wordCount, averageConfidence, unfinalizedTurns } = summarizeTurns(data.transcripts);
+    const participantCount = data.participants ? data.participants.size : 0;
 
     console.log(`✅ [STREAMING] Transcription completed for session: ${sessionId}`);
     console.log(`📊 [STREAMING] Final stats: ${wordCount} words, ${participantCount} participants`);
+    if (unfinalizedTurns > 0) {
+      console.log(`📝 [STREAMING] ${unfinalizedTurns} turns ended without a final version; kept their last partial text`);
+    }
+    if (data.voiceGates.size > 0) {
+      let sentMs = 0;
+      let gatedMs = 0;
+      data.voiceGates.forEach(gate => {
+        sentMs += gate.stats.sentMs;
+        gatedMs += gate.stats.gatedMs;
+      });
+      console.log(`🎚️ [VAD] Sent ${(sentMs / 1000).toFixed(1)}s of speech, held back ${(gatedMs / 1000).toFixed(1)}s of silence`);
+    }
+    data.dspChains.forEach((chain, userId) => {
+      const levels = chain.levels;
+      if (levels.speechDb === null) return;
+      const name = data.participants.get(userId)?.displayName || userId;
+      console.log(`🎤 [DSP] ${name}: speech ${levels.speechDb} dBFS, peak ${levels.peakDb} dBFS, gain ${levels.gainDb} dB${levels.tooQuiet ? ' (mic too quiet)' : ''}`);
+    });
 
     // Build participants array (try to convert Map values to array)
     const participantsArray = [];
@@ -564,10 +1213,26 @@ export async function stopStreamingTranscription(sessionId) {
       });
     }
 
+    // 'same' summarizes in the meeting's language: the one requested, else the most spoken one detected
+    const detectedLanguages = rankTurnLanguages(data.transcripts);
+    const meetingLanguage = data.language !== 'auto' ? data.language : (detectedLanguages[0] || null);
+
     const finalTranscriptObject = {
       combinedText,
       transcripts: data.transcripts,
+      timeline,
       participants: participantsArray,
+      // Present in the channel but never recorded because they opted out
+      unrecordedParticipants: Array.from(data.unrecordedParticipants, ([id, value]) => ({ id, ...value })),
+      // Redactions by type, e.g. { email: 2, phone: 1 } (null when redaction is off)
+      redaction: data.redactor ? { counts: redactionCounts } : null,
+      // Who was asked for and gave or refused consent, when and how (null outside consent mode)
+      consent: metadata.consent || null,
+      language: {
+        spoken: data.language,
+        detected: detectedLanguages,
+        summary: data.summaryLanguage === 'same' ? meetingLanguage : data.summaryLanguage
+      },
       statistics: {
         totalWords: wordCount,
         participantCount,
@@ -584,7 +1249,9 @@ export async function stopStreamingTranscription(sessionId) {
       rawTranscripts: data.transcripts,
       rawParticipantsMap: data.participants,
       wordCount,
-      duration: Date.now() - data.startTime
+      duration: Date.now() - data.startTime,
+      // Manifest of the on-disk recording archive (null when recordings are not saved)
+      recording: recordingManifest
     };
     
   } catch (error) {
@@ -593,6 +1260,50 @@ export async function stopStreamingTranscription(sessionId) {
   }
 }
 
+/**
+ * Renders a session event as a transcript line
+ * @param {Object} event - Timeline event
+ * @returns {string|null} Transcript line, or null for events not shown in the transcript
+ */
+function describeSessionEvent(event) {
+  switch (event.type) {
+    case 'join':
+      return `[${event.displayName || event.userId} joined the channel]`;
+    case 'leave':
+      return `[${event.displayName || event.userId} left the channel]`;
+    case 'reconnect':
+      // Buffered audio was replayed, so only a gap that overflowed the buffer is worth noting
+      return event.droppedMs > 0
+        ? `[Transcription of ${event.displayName || event.userId} missed ${Math.round(event.droppedMs / 1000)}s during a reconnect]`
+        : null;
+    case 'transcription_lost':
+      return `[Transcription of ${event.displayName || event.userId} stopped after repeated connection failures]`;
+    case 'unrecorded':
+      return `[${event.displayName || event.userId} is present but not recorded (${event.reason || 'opted out'})]`;
+    case 'consent':
+      return event.decision === 'accepted'
+        ? `[${event.displayName || event.userId} consented to being recorded]`
+        : `[${event.displayName || event.userId} declined to be recorded]`;
+    case 'pause':
+      return `[Recording paused${event.displayName ? ` by ${event.displayName}` : ''}; nothing was recorded until it resumed]`;
+    case 'resume':
+      return `[Recording resumed${event.displayName ? ` by ${event.displayName}` : ''} after ${formatPauseLength(event.pausedMs)}]`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Formats the length of a pause for the transcript
+ * @param {number} ms - Pause length
+ * @returns {string} e.g. "4m 12s"
+ */
+function formatPauseLength(ms) {
+  const seconds = Math.round(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
 /**
  * Gets streaming statistics for a session
  * @param {string} sessionId - Session identifier
@@ -605,82 +1316,50 @@ export function getStreamingStats(sessionId) {
   }
   
   const { data } = sessionData;
+  const speakers = Array.from(data.speakers.values());
   return {
     sessionId: data.sessionId,
-    isConnected: data.isConnected,
+    isConnected: speakers.some(speaker => speaker.isConnected),
     transcriptCount: data.transcripts.length,
     participantCount: data.participants.size,
+    unrecordedCount: data.unrecordedParticipants.size,
     duration: Date.now() - data.startTime,
     lastActivity: data.lastActivity,
-    assemblySessionId: data.assemblySessionId
+    paused: !!data.paused,
+    speakers: speakers.map(speaker => ({
+      userId: speaker.userId,
+      displayName: speaker.displayName,
+      isConnected: speaker.isConnected,
+      reconnecting: !!speaker.disconnectedAt && !speaker.failed,
+      reconnectAttempts: speaker.reconnectAttempts,
+      bufferedBytes: speaker.outageBuffer.bytes,
+      rolloverCount: speaker.rolloverCount,
+      provider: data.provider.name,
+      providerSessionId: speaker.providerSessionId,
+      expiresAt: speaker.expiresAt,
+      ...describeVoiceGate(data.voiceGates.get(speaker.userId)),
+      inputLevel: data.dspChains.get(speaker.userId)?.levels || null,
+      metrics: { ...getSpeakerMetrics(data, speaker.userId) }
+    })),
+    // Audio sent for transcription versus held back as silence, over every speaker this session
+    audio: describeVoiceGate({
+      stats: Array.from(data.voiceGates.values()).reduce((totals, gate) => ({
+        sentMs: totals.sentMs + gate.stats.sentMs,
+        gatedMs: totals.gatedMs + gate.stats.gatedMs
+      }), { sentMs: 0, gatedMs: 0 })
+    })
   };
 }
 
 /**
- * Finalize a raw PCM file into a WAV file (RIFF header + PCM data)
- * @param {string} rawPath - path to raw PCM file
- * @param {string} wavPath - destination WAV file path
- * @param {number} channels
- * @param {number} sampleRate
- * @param {number} bitDepth
+ * Summarizes a voice activity gate's stats in seconds
+ * @param {Object} [gate] - Voice activity gate (or { stats })
+ * @returns {Object} { sentSeconds, gatedSeconds }
  */
-export async function finalizeWavFile(rawPath, wavPath, channels = 1, sampleRate = 48000, bitDepth = 16) {
-  // Read raw file size
-  try {
-    const stat = await fsp.stat(rawPath);
-    const dataSize = stat.size;
-
-    const bytesPerSample = bitDepth / 8;
-    const byteRate = sampleRate * channels * bytesPerSample;
-    const blockAlign = channels * bytesPerSample;
-
-    const header = Buffer.alloc(44);
-    header.write('RIFF', 0);
-    header.writeUInt32LE(36 + dataSize, 4);
-    header.write('WAVE', 8);
-    header.write('fmt ', 12);
-    header.writeUInt32LE(16, 16); // Subchunk1Size (16 for PCM)
-    header.writeUInt16LE(1, 20); // AudioFormat (1 = PCM)
-    header.writeUInt16LE(channels, 22);
-    header.writeUInt32LE(sampleRate, 24);
-    header.writeUInt32LE(byteRate, 28);
-    header.writeUInt16LE(blockAlign, 32);
-    header.writeUInt16LE(bitDepth, 34);
-    header.write('data', 36);
-    header.writeUInt32LE(dataSize, 40);
-
-    // Create write stream for WAV and pipe raw data
-    await new Promise((resolve, reject) => {
-      const out = fs.createWriteStream(wavPath);
-      out.on('error', reject);
-      out.on('finish', resolve);
-      out.write(header);
-      const readStream = fs.createReadStream(rawPath);
-      readStream.on('error', reject);
-      readStream.pipe(out);
-    });
-  } catch (error) {
-    console.error('❌ [STREAMING] finalizeWavFile error:', error);
-    throw error;
-  }
+function describeVoiceGate(gate) {
+  const stats = gate ? gate.stats : { sentMs: 0, gatedMs: 0 };
+  return {
+    sentSeconds: Math.round(stats.sentMs / 100) / 10,
+    gatedSeconds: Math.round(stats.gatedMs / 100) / 10
+  };
 }
-
-/**
- * Validates streaming configuration
- * @returns {boolean} Whether configuration is valid
- */
-export function validateStreamingConfig() {
-  const errors = [];
-  
-  if (!config.apis.assemblyAI) {
-    errors.push('AssemblyAI API key not configured');
-  }
-  
-  if (errors.length > 0) {
-    console.error('❌ [STREAMING] Configuration errors:', errors);
-    return false;
-  }
-  
-  console.log('✅ [STREAMING] Configuration validated');
-  return true;
-}
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { config } from '../config.js';
+import { getLanguageLabel } from './languages.js';
 
 /** 
  * Google Gemini AI Summary Generation Service
@@ -65,11 +66,34 @@ export async function generateMeetingSummary(combinedTranscript, meetingInfo = {
     console.log(`   - Total words: ${combinedTranscript.statistics.totalWords}`);
     console.log(`   - Average confidence: ${combinedTranscript.statistics.averageConfidence}%`);
     
+    // The summary may be asked for in another language than the meeting was held in
+    const languages = combinedTranscript.language || {};
+    const spokenLanguages = languages.detected && languages.detected.length > 0
+      ? languages.detected.map(getLanguageLabel).join(', ')
+      : (languages.spoken && languages.spoken !== 'auto' ? getLanguageLabel(languages.spoken) : 'not specified');
+    const languageInstruction = languages.summary
+      ? `\n- Write the entire summary, headings included, in ${getLanguageLabel(languages.summary)}, translating anything said in other languages`
+      : '';
+
+    // Members who opted out or gave no consent were there but said nothing the transcript can show
+    const unrecordedNames = (combinedTranscript.unrecordedParticipants || []).map(p => `${p.displayName || p.id} (${p.reason || 'opted out'})`);
+    const unrecordedInstruction = unrecordedNames.length > 0
+      ? `\n- Also present but not recorded: ${unrecordedNames.join(', ')}. Mention in the summary that they attended, and do not guess what they said`
+      : '';
+
+    // Redacted personal data shows up as placeholders the model must not try to fill in
+    const redactionInstruction = combinedTranscript.redaction
+      ? '\n- Placeholders like [EMAIL], [PHONE], [CARD_NUMBER] or [SENSITIVE_TERM] replace redacted information; keep them as they are and never guess what they hide'
+      : '';
+
     // Prepare the prompt with transcript
     const prompt = `${config.gemini.summaryPrompt}${combinedTranscript.combinedText}
     
 Additional Meeting Context:
-- Participants: ${combinedTranscript.participants.map(p => p.username).join(', ')}
+- Each transcript line is prefixed with its time in the meeting and the name of the participant who said it
+- Lines like [Language: Spanish] mark where the spoken language changes${redactionInstruction}
+- Spoken language(s): ${spokenLanguages}${languageInstruction}
+- Participants: ${combinedTranscript.participants.map(p => p.displayName || p.username).join(', ')}${unrecordedInstruction}
 - Total Words: ${combinedTranscript.statistics.totalWords}
 - Average Confidence: ${combinedTranscript.statistics.averageConfidence}%
 - Meeting Duration: ${formatDuration(meetingInfo.duration || combinedTranscript.statistics.totalDuration)}`;
@@ -140,8 +164,10 @@ Additional Meeting Context:
         model: config.gemini.model,
         transcriptLength: combinedTranscript.combinedText.length,
         participantCount: combinedTranscript.participants.length,
+        unrecordedParticipants: unrecordedNames,
         totalWords: combinedTranscript.statistics.totalWords,
         averageConfidence: combinedTranscript.statistics.averageConfidence,
+        summaryLanguage: languages.summary || null,
         meetingDuration: meetingInfo.duration || combinedTranscript.statistics.totalDuration,
         startTime: meetingInfo.startTime,
         endTime: meetingInfo.endTime
@@ -295,12 +321,14 @@ function extractFallbackSections(summaryText) {
 function createFallbackSummary(combinedTranscript, meetingInfo, errorMessage) {
   console.log('🔄 Creating fallback summary due to AI failure');
   
-  const participantList = combinedTranscript.participants.map(p => p.username).join(', ');
+  const participantList = combinedTranscript.participants.map(p => p.displayName || p.username).join(', ');
+  const unrecordedNames = (combinedTranscript.unrecordedParticipants || []).map(p => `${p.displayName || p.id} (${p.reason || 'opted out'})`);
+  const unrecordedNote = unrecordedNames.length > 0 ? ` Also present but not recorded: ${unrecordedNames.join(', ')}.` : '';
   const wordCount = combinedTranscript.statistics.totalWords;
   const duration = formatDuration(meetingInfo.duration || combinedTranscript.statistics.totalDuration);
   
   return {
-    briefOverview: `Meeting with ${combinedTranscript.participants.length} participants (${participantList}). Total discussion contained ${wordCount} words over ${duration}. AI summary generation failed: ${errorMessage}`,
+    briefOverview: `Meeting with ${combinedTranscript.participants.length} participants (${participantList}). Total discussion contained ${wordCount} words over ${duration}.${unrecordedNote} AI summary generation failed: ${errorMessage}`,
     keyDiscussionPoints: [
       'AI summary generation unavailable',
       `${combinedTranscript.participants.length} participants contributed to the discussion`,
@@ -315,6 +343,7 @@ function createFallbackSummary(combinedTranscript, meetingInfo, errorMessage) {
       model: 'fallback',
       transcriptLength: combinedTranscript.combinedText.length,
       participantCount: combinedTranscript.participants.length,
+      unrecordedParticipants: unrecordedNames,
       totalWords: wordCount,
       averageConfidence: combinedTranscript.statistics.averageConfidence,
       meetingDuration: meetingInfo.duration || combinedTranscript.statistics.totalDuration,
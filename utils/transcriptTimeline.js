@@ -0,0 +1,199 @@
+import { getLanguageLabel } from './languages.js';
+
+/**
+ * Session timeline: turns, words and session events placed on one clock that starts when the
+ * session starts. Drives the timestamped transcript, chapter markers and subtitle exports.
+ */
+
+// A pause in the conversation at least this long starts a new chapter
+const CHAPTER_GAP_MS = 90 * 1000;
+// Longest chapter before one is started at the next turn anyway
+const MAX_CHAPTER_MS = 15 * 60 * 1000;
+// Subtitle cue limits, so long turns are split into readable pieces
+const MAX_CUE_MS = 7000;
+const MAX_CUE_CHARS = 84;
+
+/**
+ * Formats a session offset as HH:MM:SS
+ * @param {number} ms - Offset from the session start
+ * @returns {string} e.g. "00:12:34"
+ */
+export function formatTimestamp(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return [hours, minutes, seconds].map(v => String(v).padStart(2, '0')).join(':');
+}
+
+/**
+ * Formats a session offset as a subtitle cue time
+ * @param {number} ms - Offset from the session start
+ * @param {string} separator - Millisecond separator (',' for SRT, '.' for WebVTT)
+ * @returns {string} e.g. "00:12:34,567"
+ */
+function formatCueTime(ms, separator) {
+  const clamped = Math.max(0, Math.round(ms));
+  return `${formatTimestamp(clamped)}${separator}${String(clamped % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * Builds the session timeline
+ * @param {Object} session - Session data
+ * @param {number} session.startTime - Session start (epoch ms)
+ * @param {number} session.endTime - Session end (epoch ms)
+ * @param {Object[]} session.turns - Turns with startMs/endMs and words already on the session clock
+ * @param {Object[]} session.events - Session events with offsetMs and a description (null to leave out of the transcript)
+ * @returns {Object} { startedAt, durationMs, turns, events, chapters }
+ */
+export function buildTimeline({ startTime, endTime, turns, events }) {
+  const sortedTurns = [...turns].sort((a, b) => a.startMs - b.startMs);
+  return {
+    startedAt: new Date(startTime).toISOString(),
+    durationMs: endTime - startTime,
+    turns: sortedTurns,
+    events: [...events].sort((a, b) => a.offsetMs - b.offsetMs),
+    chapters: buildChapters(sortedTurns)
+  };
+}
+
+/**
+ * Splits the session into chapters at long pauses, capping each chapter's length
+ * @param {Object[]} turns - Turns sorted by start
+ * @returns {Object[]} Chapters: { index, startMs, endMs, title }
+ */
+export function buildChapters(turns) {
+  const chapters = [];
+  let current = null;
+  let lastEndMs = 0;
+
+  for (const turn of turns) {
+    const startsChapter = !current
+      || turn.startMs - lastEndMs >= CHAPTER_GAP_MS
+      || turn.startMs - current.startMs >= MAX_CHAPTER_MS;
+    if (startsChapter) {
+      if (current) current.endMs = lastEndMs;
+      current = {
+        index: chapters.length + 1,
+        startMs: turn.startMs,
+        endMs: turn.endMs,
+        // The opening words stand in for a title until the summary names the chapter
+        title: turn.text.length > 60 ? `${turn.text.slice(0, 57).trimEnd()}...` : turn.text
+      };
+      chapters.push(current);
+    }
+    lastEndMs = Math.max(lastEndMs, turn.endMs);
+  }
+  if (current) current.endMs = lastEndMs;
+
+  return chapters;
+}
+
+/**
+ * Renders the timeline as a transcript with one "[HH:MM:SS] Speaker: text" line per turn,
+ * interleaved with the session events that have a description. When the meeting switches
+ * language, a "[Language: ...]" line opens every section spoken in a different language than
+ * the one before.
+ * @param {Object} timeline - Session timeline
+ * @returns {string} Transcript text
+ */
+export function formatTimestampedTranscript(timeline) {
+  const languageMarkers = [];
+  let currentLanguage = null;
+  for (const turn of timeline.turns) {
+    if (turn.language && turn.language !== currentLanguage) {
+      currentLanguage = turn.language;
+      languageMarkers.push({ offsetMs: turn.startMs, marker: true, line: `[Language: ${getLanguageLabel(turn.language)}]` });
+    }
+  }
+  // A meeting held in one language needs no markers
+  if (languageMarkers.length < 2) languageMarkers.length = 0;
+
+  return [
+    ...timeline.turns.map(turn => ({ offsetMs: turn.startMs, line: `${turn.speakerName}: ${turn.text}` })),
+    ...timeline.events.filter(event => event.description).map(event => ({ offsetMs: event.offsetMs, line: event.description })),
+    ...languageMarkers
+  ]
+    // A language marker goes right before the turn that opens its section
+    .sort((a, b) => a.offsetMs - b.offsetMs || (b.marker ? 1 : 0) - (a.marker ? 1 : 0))
+    .map(entry => `[${formatTimestamp(entry.offsetMs)}] ${entry.line}`)
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Splits turns into subtitle cues, using word timings where the provider gave them
+ * @param {Object[]} turns - Turns sorted by start
+ * @returns {Object[]} Cues: { startMs, endMs, speakerName, text }
+ */
+function buildCues(turns) {
+  const cues = [];
+  for (const turn of turns) {
+    const words = (turn.words || []).filter(word => typeof word.start === 'number' && typeof word.end === 'number');
+    if (words.length === 0) {
+      cues.push({ startMs: turn.startMs, endMs: turn.endMs, speakerName: turn.speakerName, text: turn.text });
+      continue;
+    }
+
+    // Formatted turns carry punctuation and casing the raw words lack; use their tokens when they line up
+    const tokens = turn.text.split(/\s+/).filter(Boolean);
+    const useTokens = tokens.length === words.length;
+
+    let cue = null;
+    words.forEach((word, index) => {
+      const text = useTokens ? tokens[index] : word.text;
+      if (cue && (word.end - cue.startMs > MAX_CUE_MS || cue.text.length + text.length + 1 > MAX_CUE_CHARS)) {
+        cues.push(cue);
+        cue = null;
+      }
+      if (!cue) {
+        cue = { startMs: word.start, endMs: word.end, speakerName: turn.speakerName, text };
+      } else {
+        cue.endMs = word.end;
+        cue.text += ` ${text}`;
+      }
+    });
+    cues.push(cue);
+  }
+  return cues.sort((a, b) => a.startMs - b.startMs);
+}
+
+/**
+ * Exports the timeline as SubRip (.srt) subtitles
+ * @param {Object} timeline - Session timeline
+ * @returns {string} SRT document
+ */
+export function toSrt(timeline) {
+  return buildCues(timeline.turns)
+    .map((cue, index) => `${index + 1}\n${formatCueTime(cue.startMs, ',')} --> ${formatCueTime(cue.endMs, ',')}\n${cue.speakerName}: ${cue.text}\n`)
+    .join('\n');
+}
+
+/**
+ * Exports the timeline as WebVTT (.vtt) subtitles, with chapters as cue comments
+ * @param {Object} timeline - Session timeline
+ * @returns {string} WebVTT document
+ */
+export function toWebVtt(timeline) {
+  const blocks = [
+    ...timeline.chapters.map(chapter => ({
+      startMs: chapter.startMs,
+      text: `NOTE Chapter ${chapter.index}: ${chapter.title}`
+    })),
+    ...buildCues(timeline.turns).map(cue => ({
+      startMs: cue.startMs,
+      text: `${formatCueTime(cue.startMs, '.')} --> ${formatCueTime(cue.endMs, '.')}\n<v ${cue.speakerName}>${cue.text}`
+    }))
+  ].sort((a, b) => a.startMs - b.startMs);
+
+  return ['WEBVTT', ...blocks.map(block => block.text)].join('\n\n') + '\n';
+}
+
+export default {
+  formatTimestamp,
+  buildTimeline,
+  buildChapters,
+  formatTimestampedTranscript,
+  toSrt,
+  toWebVtt
+};
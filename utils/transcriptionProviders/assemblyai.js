@@ -0,0 +1,186 @@
+import { EventEmitter } from 'events';
+import { WebSocket } from 'ws';
+import { config } from '../../config.js';
+
+/**
+ * AssemblyAI Universal Streaming (v3) provider.
+ * The protocol client is shared with the local mock provider, which speaks the same protocol.
+ */
+
+const ASSEMBLYAI_STREAMING_URL = 'wss://streaming.assemblyai.com/v3/ws';
+
+/**
+ * Creates a transcription stream speaking the AssemblyAI v3 WebSocket protocol
+ * (Begin / Turn / Termination messages, binary PCM audio, Terminate to finish)
+ * @param {Object} streamOptions - Stream options
+ * @param {string|Function} streamOptions.url - Endpoint, or async function resolving it
+ * @param {Object} [streamOptions.headers] - Extra headers for the WebSocket handshake
+ * @param {number} streamOptions.sampleRate - Rate of the mono PCM that will be sent
+ * @param {string} streamOptions.userId - Speaker the stream belongs to (for logs)
+ * @param {string} streamOptions.sessionId - Bot session identifier (for logs)
+ * @param {string[]} [streamOptions.keyterms] - Words and phrases to boost (the guild's vocabulary)
+ * @param {string} [streamOptions.language] - Spoken language code, or 'auto'
+ * @param {Object} [streamOptions.options] - Session options (end_of_turn_confidence_threshold, ...)
+ * @returns {EventEmitter} Transcription stream
+ */
+export function createRealtimeSocketStream(streamOptions) {
+  const { headers = {}, sampleRate, userId, sessionId, keyterms = [], language = 'en', options = {} } = streamOptions;
+  const stream = new EventEmitter();
+  let ws = null;
+
+  stream.start = async () => {
+    const baseUrl = typeof streamOptions.url === 'function' ? await streamOptions.url() : streamOptions.url;
+
+    // Build WebSocket URL with required query parameters
+    const wsUrl = new URL(baseUrl);
+    wsUrl.searchParams.set('sample_rate', String(sampleRate)); // Resampled streaming rate
+    wsUrl.searchParams.set('encoding', 'pcm_s16le'); // 16-bit mono PCM
+    wsUrl.searchParams.set('format_turns', 'true');
+
+    // Add optional parameters
+    if (options.end_of_turn_confidence_threshold) {
+      wsUrl.searchParams.set('end_of_turn_confidence_threshold', options.end_of_turn_confidence_threshold.toString());
+    }
+    if (keyterms.length > 0) {
+      wsUrl.searchParams.set('keyterms_prompt', JSON.stringify(keyterms));
+    }
+    // The default model is English-only; other languages need the multilingual model, which
+    // detects the language of every turn itself
+    if (language !== 'en') {
+      wsUrl.searchParams.set('speech_model', 'universal-streaming-multilingual');
+      wsUrl.searchParams.set('language_detection', 'true');
+    }
+
+    console.log(`🔗 [STREAMING] Connecting speaker ${userId} to: ${wsUrl.toString()}`);
+
+    ws = new WebSocket(wsUrl.toString(), { headers });
+
+    return new Promise((resolve, reject) => {
+      let begun = false;
+      const timeout = setTimeout(() => {
+        reject(new Error(`WebSocket connection timeout for speaker ${userId}`));
+        ws.terminate();
+      }, 10000);
+
+      ws.on('open', () => {
+        console.log(`✅ [STREAMING] WebSocket opened for ${userId} in session: ${sessionId}`);
+      });
+
+      ws.on('message', (raw) => {
+        try {
+          const message = JSON.parse(raw.toString());
+          console.log(`📨 [STREAMING] Message type: ${message.type} for ${userId} in ${sessionId}`);
+
+          switch (message.type) {
+            case 'Begin':
+              begun = true;
+              clearTimeout(timeout);
+              resolve({ id: message.id, expiresAt: message.expires_at || null });
+              break;
+
+            case 'Turn':
+              stream.emit('turn', {
+                transcript: message.transcript,
+                turnOrder: message.turn_order,
+                isFormatted: message.turn_is_formatted,
+                endOfTurn: message.end_of_turn,
+                confidence: message.end_of_turn_confidence,
+                words: message.words || [],
+                language: message.language_code || null,
+                languageConfidence: message.language_confidence ?? null
+              });
+              break;
+
+            case 'Termination':
+              stream.emit('termination');
+              break;
+
+            default:
+              console.log(`📋 [STREAMING] Unknown message: ${message.type}`);
+          }
+        } catch (error) {
+          console.error(`❌ [STREAMING] Message parse error for ${userId} in ${sessionId}:`, error);
+        }
+      });
+
+      ws.on('error', (error) => {
+        console.error(`❌ [STREAMING] WebSocket error for ${userId} in ${sessionId}:`, error);
+        if (!begun) {
+          clearTimeout(timeout);
+          reject(error);
+        }
+      });
+
+      ws.on('close', (code, reason) => {
+        console.log(`🔒 [STREAMING] WebSocket closed for ${userId} in ${sessionId}: ${code} - ${reason}`);
+        clearTimeout(timeout);
+        if (!begun) reject(new Error(`WebSocket closed before the session began for speaker ${userId}`));
+        stream.emit('close', { code, reason: reason?.toString() });
+      });
+    });
+  };
+
+  stream.isOpen = () => !!ws && ws.readyState === WebSocket.OPEN;
+
+  stream.sendAudio = (frame) => {
+    if (!stream.isOpen()) return false;
+    ws.send(frame, { binary: true });
+    return true;
+  };
+
+  stream.stop = async () => {
+    if (!stream.isOpen()) return;
+
+    ws.send(JSON.stringify({
+      type: "Terminate"
+    }));
+
+    // Wait a moment for final messages
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, 1000);
+      stream.once('termination', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+
+    ws.close();
+  };
+
+  stream.destroy = () => {
+    if (ws) ws.terminate();
+  };
+
+  return stream;
+}
+
+/**
+ * Creates the AssemblyAI provider
+ * @returns {Object} Transcription provider
+ */
+export function createAssemblyAIProvider() {
+  return {
+    name: 'assemblyai',
+    label: 'AssemblyAI',
+
+    validate() {
+      return config.apis.assemblyAI ? [] : ['AssemblyAI API key not configured (ASSEMBLYAI_API_KEY)'];
+    },
+
+    createStream(streamOptions) {
+      if (!config.apis.assemblyAI) {
+        throw new Error('AssemblyAI API key not configured');
+      }
+      return createRealtimeSocketStream({
+        ...streamOptions,
+        url: ASSEMBLYAI_STREAMING_URL,
+        headers: { 'Authorization': config.apis.assemblyAI }
+      });
+    }
+  };
+}
+
+export default {
+  createRealtimeSocketStream,
+  createAssemblyAIProvider
+};
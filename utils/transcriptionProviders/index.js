@@ -0,0 +1,64 @@
+import { config } from '../../config.js';
+import { getGuildSettings } from '../guildSettings.js';
+import { createAssemblyAIProvider } from './assemblyai.js';
+import { createMockProvider } from './mock.js';
+import { createWhisperCppProvider } from './whisperCpp.js';
+
+/**
+ * Transcription provider registry.
+ *
+ * A provider is { name, label, validate(), createStream(streamOptions) }. createStream receives
+ * { sessionId, userId, sampleRate, keyterms, language, options } and returns an EventEmitter with:
+ *   start()          -> Promise<{ id, expiresAt }> once the upstream session has begun
+ *   sendAudio(frame) -> boolean, frame is 16-bit mono PCM at sampleRate
+ *   isOpen()         -> boolean
+ *   stop()           -> Promise, flushes final turns and closes
+ *   destroy()        -> closes immediately
+ * and emits 'turn' ({ transcript, turnOrder, isFormatted, endOfTurn, confidence, words, language?, startMs?, endMs? }),
+ * 'termination', 'error' and 'close' ({ code, reason }). Word start/end and the optional turn
+ * startMs/endMs are milliseconds of audio received by that stream.
+ */
+
+const providers = new Map([
+  ['assemblyai', createAssemblyAIProvider()],
+  ['whisper', createWhisperCppProvider()],
+  ['mock', createMockProvider()]
+]);
+
+/**
+ * Lists the registered providers
+ * @returns {Object[]} Providers
+ */
+export function listTranscriptionProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Gets a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+export function getTranscriptionProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown transcription provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Picks the provider for a guild: the guild's own choice, else the deployment default
+ * @param {string} [guildId] - Guild ID
+ * @returns {string} Provider name
+ */
+export function resolveProviderName(guildId) {
+  const guildChoice = guildId ? getGuildSettings(guildId).transcriptionProvider : null;
+  if (guildChoice && providers.has(guildChoice)) return guildChoice;
+  return config.transcription.provider;
+}
+
+export default {
+  listTranscriptionProviders,
+  getTranscriptionProvider,
+  resolveProviderName
+};
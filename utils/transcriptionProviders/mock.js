@@ -0,0 +1,58 @@
+import { config } from '../../config.js';
+import { createRealtimeSocketStream } from './assemblyai.js';
+import { loadMockScript, startMockTranscriptionServer } from './mockServer.js';
+
+/**
+ * Mock provider: speaks the AssemblyAI v3 protocol to MOCK_TRANSCRIPTION_URL, or to a
+ * mock server started inside the bot process on first use.
+ */
+
+// Shared in-process server, started lazily
+let localServer = null;
+
+/**
+ * Resolves the endpoint of the mock server, starting the local one if needed
+ * @returns {Promise<string>} WebSocket URL
+ */
+async function resolveMockUrl() {
+  if (config.transcription.mock.url) return config.transcription.mock.url;
+
+  if (!localServer) {
+    localServer = loadMockScript(config.transcription.mock.scriptPath)
+      .then(script => startMockTranscriptionServer({
+        script,
+        turnEverySeconds: config.transcription.mock.turnEverySeconds
+      }))
+      .catch(error => {
+        localServer = null;
+        throw error;
+      });
+  }
+  return (await localServer).url;
+}
+
+/**
+ * Creates the mock provider
+ * @returns {Object} Transcription provider
+ */
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    label: 'Mock (scripted)',
+
+    validate() {
+      return [];
+    },
+
+    createStream(streamOptions) {
+      return createRealtimeSocketStream({
+        ...streamOptions,
+        url: resolveMockUrl
+      });
+    }
+  };
+}
+
+export default {
+  createMockProvider
+};
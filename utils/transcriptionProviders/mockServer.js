@@ -0,0 +1,162 @@
+import { WebSocketServer } from 'ws';
+import { promises as fsp } from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Local mock of the AssemblyAI v3 streaming endpoint.
+ * Replies to streamed audio with scripted Turn messages, so the whole pipeline can run
+ * without a paid API key.
+ */
+
+const DEFAULT_SCRIPT = [
+  'Okay, let us get started with the weekly sync.',
+  'First item on the agenda is the release schedule.',
+  'I think we can ship the beta by Friday if testing goes well.',
+  'Sounds good. I will take care of the release notes.',
+  'Let us meet again next week to review the feedback.'
+];
+
+/**
+ * Loads the lines the mock speaks. A .json file holds an array of strings; any other file
+ * is read as one line per turn.
+ * @param {string} [scriptPath] - Path to a script file
+ * @returns {Promise<string[]>} Script lines
+ */
+export async function loadMockScript(scriptPath) {
+  if (!scriptPath) return DEFAULT_SCRIPT;
+
+  const content = await fsp.readFile(scriptPath, 'utf8');
+  const lines = scriptPath.endsWith('.json')
+    ? JSON.parse(content)
+    : content.split('\n');
+  const script = lines.map(line => String(line).trim()).filter(Boolean);
+  return script.length > 0 ? script : DEFAULT_SCRIPT;
+}
+
+/**
+ * Builds word timings for a scripted turn, spread evenly over the audio it stands for
+ * @param {string} text - Turn text
+ * @param {number} startMs - Stream offset of the turn start
+ * @param {number} endMs - Stream offset of the turn end
+ * @returns {Object[]} Words in AssemblyAI's format
+ */
+function buildWords(text, startMs, endMs) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const step = (endMs - startMs) / Math.max(tokens.length, 1);
+  return tokens.map((token, index) => ({
+    text: token,
+    start: Math.round(startMs + index * step),
+    end: Math.round(startMs + (index + 1) * step),
+    confidence: 0.95,
+    word_is_final: true
+  }));
+}
+
+/**
+ * Starts a mock streaming server
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+ * @param {string[]} [options.script] - Lines spoken in order, looping when exhausted
+ * @param {number} [options.turnEverySeconds=3] - Seconds of received audio per scripted turn
+ * @param {number} [options.sessionSeconds=10800] - Lifetime reported in Begin.expires_at
+ * @returns {Promise<Object>} { url, port, close }
+ */
+export function startMockTranscriptionServer(options = {}) {
+  const {
+    port = 0,
+    script = DEFAULT_SCRIPT,
+    turnEverySeconds = 3,
+    sessionSeconds = 3 * 60 * 60
+  } = options;
+
+  const wss = new WebSocketServer({ host: '127.0.0.1', port });
+
+  wss.on('connection', (ws, request) => {
+    const params = new URL(request.url, 'ws://localhost').searchParams;
+    const sampleRate = parseInt(params.get('sample_rate')) || 16000;
+    const bytesPerMs = (sampleRate / 1000) * 2;
+    const sessionId = crypto.randomUUID();
+    let receivedBytes = 0;
+    let turnOrder = 0;
+    let turnStartMs = 0;
+
+    ws.on('error', (error) => {
+      console.warn(`⚠️ [MOCK-STT] Socket error in mock session ${sessionId}:`, error.message);
+    });
+
+    ws.send(JSON.stringify({
+      type: 'Begin',
+      id: sessionId,
+      expires_at: Math.floor(Date.now() / 1000) + sessionSeconds
+    }));
+
+    const emitTurn = (endMs) => {
+      const text = script[turnOrder % script.length];
+      const words = buildWords(text, turnStartMs, endMs);
+      const base = {
+        type: 'Turn',
+        turn_order: turnOrder,
+        end_of_turn: true,
+        end_of_turn_confidence: 0.9,
+        words
+      };
+      // Like AssemblyAI with format_turns: an unformatted end of turn, then the formatted one
+      ws.send(JSON.stringify({ ...base, transcript: text.toLowerCase().replace(/[.,!?]/g, ''), turn_is_formatted: false }));
+      ws.send(JSON.stringify({ ...base, transcript: text, turn_is_formatted: true }));
+      turnOrder++;
+      turnStartMs = endMs;
+    };
+
+    ws.on('message', (message, isBinary) => {
+      if (isBinary) {
+        receivedBytes += message.length;
+        const receivedMs = receivedBytes / bytesPerMs;
+        if (receivedMs - turnStartMs >= turnEverySeconds * 1000) {
+          emitTurn(Math.round(receivedMs));
+        }
+        return;
+      }
+
+      try {
+        const control = JSON.parse(message.toString());
+        if (control.type === 'Terminate') {
+          const receivedMs = Math.round(receivedBytes / bytesPerMs);
+          // Flush a final turn for trailing audio, as the real service does
+          if (receivedMs - turnStartMs >= 500) emitTurn(receivedMs);
+          ws.send(JSON.stringify({
+            type: 'Termination',
+            audio_duration_seconds: receivedMs / 1000,
+            session_duration_seconds: receivedMs / 1000
+          }));
+          ws.close(1000);
+        }
+      } catch (error) {
+        console.warn('⚠️ [MOCK-STT] Ignoring malformed control message:', error.message);
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    wss.once('error', reject);
+    wss.once('listening', () => {
+      // Once started, errors are logged: an 'error' event without a listener would crash the bot
+      wss.off('error', reject);
+      wss.on('error', (error) => {
+        console.error('❌ [MOCK-STT] Mock transcription server error:', error);
+      });
+
+      const { port: boundPort } = wss.address();
+      console.log(`🧪 [MOCK-STT] Mock transcription server listening on ws://127.0.0.1:${boundPort}`);
+      resolve({
+        url: `ws://127.0.0.1:${boundPort}/v3/ws`,
+        port: boundPort,
+        close: () => new Promise(done => wss.close(() => done()))
+      });
+    });
+  });
+}
+
+export default {
+  loadMockScript,
+  startMockTranscriptionServer
+};
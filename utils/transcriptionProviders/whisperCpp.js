@@ -0,0 +1,222 @@
+import { EventEmitter } from 'events';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import { promises as fsp } from 'fs';
+import { tmpdir } from 'os';
+import { basename, delimiter, join } from 'path';
+import crypto from 'crypto';
+import { config } from '../../config.js';
+import { createResampler, toPcm16 } from '../audioDsp.js';
+import { createWavHeader } from '../recordingArchive.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * whisper.cpp provider: buffers each speaker's audio into fixed-length chunks, writes them
+ * to local WAV files and transcribes them with the whisper.cpp CLI. Not real time, but needs
+ * no network access or API key.
+ */
+
+// whisper.cpp only accepts 16 kHz mono
+const WHISPER_SAMPLE_RATE = 16000;
+const WHISPER_BYTES_PER_MS = (WHISPER_SAMPLE_RATE / 1000) * 2;
+
+/**
+ * Finds the whisper.cpp CLI: a path is used as given, a bare name is looked up on PATH
+ * @param {string} binary - WHISPER_CPP_BIN
+ * @returns {string|null} Path of the executable, or null if there is none
+ */
+function findExecutable(binary) {
+  const candidates = binary.includes('/') || binary.includes('\\')
+    ? [binary]
+    : (process.env.PATH || '').split(delimiter).filter(Boolean).map(dir => join(dir, binary));
+  for (const candidate of candidates) {
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      if (fs.statSync(candidate).isFile()) return candidate;
+    } catch (error) {
+      // Not here; try the next directory
+    }
+  }
+  return null;
+}
+
+/**
+ * Tells whether a whisper.cpp model only knows English (ggml-base.en.bin, ggml-small.en-q5_1.bin, ...)
+ * @param {string} model - Model file path
+ * @returns {boolean} True for an English-only model
+ */
+function isEnglishOnlyModel(model) {
+  return /\.en[.-]/.test(basename(model));
+}
+
+/**
+ * Runs the whisper.cpp CLI on a WAV file
+ * @param {string} wavPath - File to transcribe
+ * @param {Object} [runOptions] - Run options
+ * @param {string[]} [runOptions.keyterms] - Terms to bias recognition towards, given to whisper.cpp as its initial prompt
+ * @param {string} [runOptions.language='en'] - Spoken language code, or 'auto'
+ * @returns {Promise<Object>} { text, language } (language is the detected one when auto-detecting)
+ */
+async function runWhisper(wavPath, { keyterms = [], language = 'en' } = {}) {
+  const { binary, model, threads } = config.transcription.whisper;
+  const args = ['-m', model, '-f', wavPath, '-nt', '-np', '-t', String(threads), '-l', language];
+  if (keyterms.length > 0) {
+    args.push('--prompt', keyterms.join(', '));
+  }
+
+  const { stdout, stderr } = await execFileAsync(binary, args, {
+    timeout: 5 * 60 * 1000,
+    maxBuffer: 10 * 1024 * 1024
+  });
+  // -np silences progress output but whisper.cpp still reports a detected language on stderr
+  const detected = language === 'auto' ? /auto-detected language: (\w+)/.exec(stderr || '') : null;
+  return {
+    text: stdout.split('\n').map(line => line.trim()).filter(Boolean).join(' '),
+    language: detected ? detected[1] : (language === 'auto' ? null : language)
+  };
+}
+
+/**
+ * Creates a whisper.cpp transcription stream for one speaker
+ * @param {Object} streamOptions - Stream options
+ * @returns {EventEmitter} Transcription stream
+ */
+function createWhisperStream(streamOptions) {
+  const { sampleRate, userId, sessionId, keyterms = [] } = streamOptions;
+  let { language = 'en' } = streamOptions;
+  const stream = new EventEmitter();
+  const resample = sampleRate === WHISPER_SAMPLE_RATE ? null : createResampler(sampleRate, WHISPER_SAMPLE_RATE);
+  const chunkBytes = config.transcription.whisper.chunkSeconds * WHISPER_SAMPLE_RATE * 2;
+  let pending = [];
+  let pendingBytes = 0;
+  // Audio (16 kHz PCM bytes) already handed to whisper.cpp, i.e. where the pending chunk starts
+  let chunkedBytes = 0;
+  let open = false;
+  let turnOrder = 0;
+  // Chunks are transcribed one at a time, in order
+  let queue = Promise.resolve();
+
+  const transcribeChunk = (pcm, startMs) => {
+    const order = turnOrder++;
+    queue = queue.then(async () => {
+      const wavPath = join(tmpdir(), `whisper-${sessionId}-${userId}-${crypto.randomUUID()}.wav`);
+      try {
+        await fsp.writeFile(wavPath, Buffer.concat([createWavHeader(pcm.length, 1, WHISPER_SAMPLE_RATE, 16), pcm]));
+        const { text, language: turnLanguage } = await runWhisper(wavPath, { keyterms, language });
+        if (text) {
+          stream.emit('turn', {
+            transcript: text,
+            turnOrder: order,
+            isFormatted: true,
+            endOfTurn: true,
+            confidence: null,
+            words: [],
+            language: turnLanguage,
+            // No word timings, but the chunk's place in the stream is known
+            startMs,
+            endMs: startMs + pcm.length / WHISPER_BYTES_PER_MS
+          });
+        }
+      } catch (error) {
+        console.error(`❌ [WHISPER] Transcription failed for ${userId} in ${sessionId}:`, error.message);
+        stream.emit('error', error);
+      } finally {
+        fs.unlink(wavPath, () => {});
+      }
+    });
+  };
+
+  const flush = (minBytes) => {
+    if (pendingBytes < minBytes) return;
+    const pcm = Buffer.concat(pending);
+    pending = [];
+    pendingBytes = 0;
+    transcribeChunk(pcm, chunkedBytes / WHISPER_BYTES_PER_MS);
+    chunkedBytes += pcm.length;
+  };
+
+  // An English-only model cannot transcribe (or detect) another language; guilds may still pick one
+  if (language !== 'en' && isEnglishOnlyModel(config.transcription.whisper.model)) {
+    console.warn(`⚠️ [WHISPER] ${config.transcription.whisper.model} is English-only; transcribing ${userId} as English instead of "${language}"`);
+    language = 'en';
+  }
+
+  stream.start = async () => {
+    open = true;
+    const id = `whisper-${crypto.randomUUID()}`;
+    console.log(`🚀 [WHISPER] Local transcription started for ${userId}: ${id}`);
+    return { id, expiresAt: null };
+  };
+
+  stream.isOpen = () => open;
+
+  stream.sendAudio = (frame) => {
+    if (!open) return false;
+    let pcm = frame;
+    if (resample) {
+      const samples = new Float64Array(frame.length / 2);
+      for (let i = 0; i < samples.length; i++) samples[i] = frame.readInt16LE(i * 2);
+      pcm = toPcm16(resample(samples));
+    }
+    pending.push(pcm);
+    pendingBytes += pcm.length;
+    flush(chunkBytes);
+    return true;
+  };
+
+  stream.stop = async () => {
+    if (!open) return;
+    open = false;
+    // Transcribe trailing audio longer than half a second
+    flush(WHISPER_SAMPLE_RATE);
+    await queue;
+    stream.emit('termination');
+    stream.emit('close', { code: 1000, reason: 'stopped' });
+  };
+
+  stream.destroy = () => {
+    if (!open) return;
+    open = false;
+    pending = [];
+    pendingBytes = 0;
+    stream.emit('close', { code: 1006, reason: 'destroyed' });
+  };
+
+  return stream;
+}
+
+/**
+ * Creates the whisper.cpp provider
+ * @returns {Object} Transcription provider
+ */
+export function createWhisperCppProvider() {
+  return {
+    name: 'whisper',
+    label: 'whisper.cpp (local)',
+
+    validate() {
+      const errors = [];
+      // Without this check a missing CLI only shows up as a failed run for every chunk
+      if (!findExecutable(config.transcription.whisper.binary)) {
+        errors.push(`whisper.cpp CLI not found: ${config.transcription.whisper.binary} is not an executable file or on PATH (WHISPER_CPP_BIN)`);
+      }
+      if (!fs.existsSync(config.transcription.whisper.model)) {
+        errors.push(`whisper.cpp model not found at ${config.transcription.whisper.model} (WHISPER_CPP_MODEL)`);
+      }
+      if (config.transcription.language !== 'en' && isEnglishOnlyModel(config.transcription.whisper.model)) {
+        errors.push(`whisper.cpp model ${config.transcription.whisper.model} is English-only but TRANSCRIPTION_LANGUAGE is "${config.transcription.language}"; use a multilingual model such as ggml-base.bin (WHISPER_CPP_MODEL)`);
+      }
+      return errors;
+    },
+
+    createStream(streamOptions) {
+      return createWhisperStream(streamOptions);
+    }
+  };
+}
+
+export default {
+  createWhisperCppProvider
+};
@@ -0,0 +1,92 @@
+/**
+ * Transcript consolidation. Providers send several versions of one turn: partials while it is
+ * spoken, a final unformatted version and (with format_turns) a final formatted one, all with
+ * the same turn order. Only the best version of each turn is kept.
+ */
+
+/**
+ * Ranks a version of a turn: formatted final > unformatted final > partial
+ * @param {Object} turn - Transcript entry
+ * @returns {number} Rank
+ */
+function turnRank(turn) {
+  if (turn.isFormatted) return 2;
+  if (turn.endOfTurn) return 1;
+  return 0;
+}
+
+/**
+ * Creates a consolidator that keeps one entry per (speaker, provider session, turn order).
+ * Turn order restarts with every provider session, so the session is part of the key.
+ * @returns {Object} Consolidator: turns (one entry per turn, in first-seen order), add(entry)
+ */
+export function createTurnConsolidator() {
+  const turns = [];
+  const byKey = new Map();
+
+  return {
+    turns,
+
+    /**
+     * Adds a version of a turn, replacing the stored version unless that one ranks higher.
+     * A turn that never gets a final version keeps its latest partial.
+     * @param {Object} entry - Transcript entry
+     * @returns {Object|null} The stored entry, or null if this version was discarded
+     */
+    add(entry) {
+      if (entry.turnOrder === undefined || entry.turnOrder === null) {
+        turns.push(entry);
+        return entry;
+      }
+
+      const key = `${entry.userId}:${entry.providerSessionId}:${entry.turnOrder}`;
+      const existing = byKey.get(key);
+      if (!existing) {
+        turns.push(entry);
+        byKey.set(key, entry);
+        return entry;
+      }
+      if (turnRank(entry) < turnRank(existing)) return null;
+
+      // Updated in place, so the turn keeps its position
+      Object.assign(existing, entry);
+      return existing;
+    }
+  };
+}
+
+/**
+ * Computes transcript statistics from consolidated turns
+ * @param {Object[]} turns - Consolidated transcript entries
+ * @returns {Object} { totalWords, averageConfidence (percent, from word confidences), unfinalizedTurns }
+ */
+export function summarizeTurns(turns) {
+  let totalWords = 0;
+  let confidenceSum = 0;
+  let confidenceCount = 0;
+  let unfinalizedTurns = 0;
+
+  for (const turn of turns) {
+    const words = turn.words || [];
+    // Providers without word timings still produce text
+    totalWords += words.length > 0 ? words.length : turn.text.split(/\s+/).filter(Boolean).length;
+    for (const word of words) {
+      if (typeof word.confidence === 'number') {
+        confidenceSum += word.confidence;
+        confidenceCount++;
+      }
+    }
+    if (!turn.endOfTurn) unfinalizedTurns++;
+  }
+
+  return {
+    totalWords,
+    averageConfidence: confidenceCount > 0 ? Math.round((confidenceSum / confidenceCount) * 1000) / 10 : 0,
+    unfinalizedTurns
+  };
+}
+
+export default {
+  createTurnConsolidator,
+  summarizeTurns
+};
@@ -0,0 +1,103 @@
+import { getGuildSettings, updateGuildSettings } from './guildSettings.js';
+
+/**
+ * Per-guild custom vocabulary: product names and jargon the recognizer should expect.
+ * Terms are sent to the transcription provider as keyterms, and known mis-hearings of a term
+ * are corrected in the final transcript.
+ */
+
+// AssemblyAI accepts at most 100 keyterms of up to 50 characters each
+export const MAX_VOCABULARY_TERMS = 100;
+export const MAX_TERM_LENGTH = 50;
+
+/**
+ * Gets a guild's vocabulary
+ * @param {string} guildId - Guild ID
+ * @returns {Object[]} Entries: { term, soundsLike: string[] }
+ */
+export function getGuildVocabulary(guildId) {
+  if (!guildId) return [];
+  return getGuildSettings(guildId).vocabulary || [];
+}
+
+/**
+ * Adds a term to a guild's vocabulary, or merges new mis-hearings into an existing term
+ * @param {string} guildId - Guild ID
+ * @param {string} term - Term as it should be written
+ * @param {string[]} [soundsLike] - Ways the recognizer mishears it
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function addVocabularyTerm(guildId, term, soundsLike = []) {
+  const vocabulary = getGuildVocabulary(guildId);
+  const key = term.toLowerCase();
+  let entry = vocabulary.find(e => e.term.toLowerCase() === key);
+  if (!entry) {
+    entry = { term, soundsLike: [] };
+    vocabulary.push(entry);
+  }
+  entry.term = term;
+  for (const variant of soundsLike) {
+    if (variant.toLowerCase() !== key && !entry.soundsLike.some(v => v.toLowerCase() === variant.toLowerCase())) {
+      entry.soundsLike.push(variant);
+    }
+  }
+
+  await updateGuildSettings(guildId, { vocabulary });
+  return entry;
+}
+
+/**
+ * Removes a term from a guild's vocabulary
+ * @param {string} guildId - Guild ID
+ * @param {string} term - Term to remove (case-insensitive)
+ * @returns {Promise<boolean>} Whether the term was found
+ */
+export async function removeVocabularyTerm(guildId, term) {
+  const vocabulary = getGuildVocabulary(guildId);
+  const remaining = vocabulary.filter(e => e.term.toLowerCase() !== term.toLowerCase());
+  if (remaining.length === vocabulary.length) return false;
+
+  await updateGuildSettings(guildId, { vocabulary: remaining.length > 0 ? remaining : undefined });
+  return true;
+}
+
+/**
+ * Escapes a phrase for a regular expression, letting any run of whitespace match its spaces
+ * @param {string} phrase
+ * @returns {string} Pattern source
+ */
+function phrasePattern(phrase) {
+  return phrase.trim().split(/\s+/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+');
+}
+
+/**
+ * Rewrites known mis-hearings (and wrongly cased spellings) of vocabulary terms in a text
+ * @param {string} text - Transcript text
+ * @param {Object[]} vocabulary - Entries: { term, soundsLike }
+ * @returns {string} Corrected text
+ */
+export function applyVocabularyCorrections(text, vocabulary) {
+  if (!text || !vocabulary || vocabulary.length === 0) return text;
+
+  // Longest variants first, so "trans cored" is fixed before "cored" could be
+  const replacements = vocabulary
+    .flatMap(entry => [entry.term, ...(entry.soundsLike || [])].map(variant => ({ variant, term: entry.term })))
+    .sort((a, b) => b.variant.length - a.variant.length);
+
+  let corrected = text;
+  for (const { variant, term } of replacements) {
+    const pattern = new RegExp(`(?<![\\w])${phrasePattern(variant)}(?![\\w])`, 'gi');
+    // A function, so "$&" or "$1" in a term is inserted literally instead of as a replacement pattern
+    corrected = corrected.replace(pattern, () => term);
+  }
+  return corrected;
+}
+
+export default {
+  MAX_VOCABULARY_TERMS,
+  MAX_TERM_LENGTH,
+  getGuildVocabulary,
+  addVocabularyTerm,
+  removeVocabularyTerm,
+  applyVocabularyCorrections
+};
@@ -0,0 +1,55 @@
+import { addUserToStreamingSession, removeUserFromStreamingSession, findStreamingSessionByChannel } from './streamingAudioProcessor.js';
+import { recordSessionEvent } from './streamingTranscription.js';
+import { isOptedOut } from './optOutRegistry.js';
+import { promptLateJoiner } from './consentGate.js';
+
+/**
+ * Voice State Tracker - keeps recording sessions in sync with their voice channel
+ * Subscribes members who join a recorded channel and detaches members who leave
+ */
+
+/**
+ * Handles a Discord VoiceStateUpdate event
+ * @param {import('discord.js').VoiceState} oldState - State before the update
+ * @param {import('discord.js').VoiceState} newState - State after the update
+ */
+export async function handleVoiceStateUpdate(oldState, newState) {
+  // Mute/deafen/stream toggles keep the same channel; only moves matter here
+  if (oldState.channelId === newState.channelId) return;
+
+  const member = newState.member || oldState.member;
+  if (!member || member.user.bot) return;
+
+  const displayName = member.displayName || member.user.username;
+
+  try {
+    const leftSession = oldState.channelId ? findStreamingSessionByChannel(oldState.channelId) : null;
+    if (leftSession) {
+      console.log(`👋 [VOICE-STATE] ${displayName} left recorded channel ${oldState.channelId}`);
+      await removeUserFromStreamingSession(leftSession.sessionId, member.id);
+      recordSessionEvent(leftSession.sessionId, { type: 'leave', userId: member.id, displayName });
+    }
+
+    const joinedSession = newState.channelId ? findStreamingSessionByChannel(newState.channelId) : null;
+    if (joinedSession) {
+      console.log(`👋 [VOICE-STATE] ${displayName} joined recorded channel ${newState.channelId}`);
+      recordSessionEvent(joinedSession.sessionId, { type: 'join', userId: member.id, displayName });
+      const added = await addUserToStreamingSession(joinedSession.sessionId, member.id, displayName);
+      // A member who opted out is left unsubscribed on purpose
+      if (!added && !isOptedOut(newState.guild.id, member.id)) {
+        if (joinedSession.consent) {
+          // Consent mode: ask the newcomer; they are recorded once they accept
+          await promptLateJoiner(member, joinedSession.sessionId);
+        } else {
+          console.warn(`⚠️ [VOICE-STATE] Could not start recording ${displayName} in ${joinedSession.sessionId}`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`❌ [VOICE-STATE] Failed to handle voice state update for ${member.id}:`, error);
+  }
+}
+
+export default {
+  handleVoiceStateUpdate
+};